@@ -0,0 +1,12 @@
+// The contact endpoint as a serverless function. Vercel serves files in api/ at the
+// matching path (/api/contact); other Node runtimes with (req, res) handlers can use it too.
+// Serverless platforms sit behind a proxy, so client addresses come from X-Forwarded-For.
+// Their filesystems are read-only too, so there's no falling back to the "file" delivery:
+// CONTACT_DELIVERY has to be set.
+import { createContactEndpoint } from '../server/contact/index.js'
+
+if (!process.env.CONTACT_DELIVERY) {
+  throw new Error('Set CONTACT_DELIVERY to "webhook" or "smtp": the contact function can\'t write messages to a file')
+}
+
+export default createContactEndpoint(process.env, { trustProxy: true })
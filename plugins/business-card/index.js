@@ -0,0 +1,54 @@
+import QRCode from 'qrcode'
+import { loadProfile, loadSite } from '../content/loader.js'
+import { buildVCard, businessCardPath } from '../../src/lib/vcard.js'
+
+// Black on white with the standard four-module quiet zone, so the codes scan from a screen
+// or a cheap printout. Medium error correction survives a smudge or a fold.
+const qrSvg = (text) => QRCode.toString(text, {
+  type: 'svg',
+  errorCorrectionLevel: 'M',
+  margin: 4,
+  color: { dark: '#000000', light: '#ffffff' }
+})
+
+const renderFiles = async () => {
+  const profile = loadProfile()
+  const site = loadSite()
+  const vcard = buildVCard({ profile, site })
+  return [
+    { path: businessCardPath.vcard, type: 'text/vcard', source: vcard },
+    { path: businessCardPath.vcardQr, type: 'image/svg+xml', source: await qrSvg(vcard) },
+    { path: businessCardPath.siteQr, type: 'image/svg+xml', source: await qrSvg(site.url) }
+  ]
+}
+
+// Emits the contact card (contact.vcf) and QR codes for it and for the site on build, and
+// serves the same files from the dev server. The codes are generated here rather than by
+// the page, so the business card view works offline and ships no QR encoder.
+export default function businessCardPlugin() {
+  return {
+    name: 'portfolio-business-card',
+    apply: (config, { isSsrBuild }) => !isSsrBuild,
+
+    async generateBundle() {
+      for (const file of await renderFiles()) {
+        this.emitFile({ type: 'asset', fileName: file.path.slice(1), source: file.source })
+      }
+    },
+
+    configureServer(server) {
+      server.middlewares.use(async (req, res, next) => {
+        const path = req.url.split('?')[0]
+        if (!Object.values(businessCardPath).includes(path)) return next()
+
+        try {
+          const file = (await renderFiles()).find(file => file.path === path)
+          res.setHeader('Content-Type', `${file.type}; charset=utf-8`)
+          res.end(file.source)
+        } catch (error) {
+          next(error)
+        }
+      })
+    }
+  }
+}
@@ -0,0 +1,27 @@
+import { loadEnv } from 'vite'
+import { CONTACT_PATH, createContactEndpoint } from '../../server/contact/index.js'
+
+// Serves the contact endpoint (server/contact) from `vite` and `vite preview`, so the form
+// works locally the same way it does once deployed. Settings come from the environment
+// and .env files, like the deployed endpoint's.
+export default function contactPlugin() {
+  let endpoint
+
+  const mount = (server) => {
+    server.middlewares.use(CONTACT_PATH, (req, res, next) => {
+      endpoint(req, res).catch(next)
+    })
+  }
+
+  return {
+    name: 'portfolio-contact',
+    apply: 'serve',
+
+    configResolved(config) {
+      endpoint = createContactEndpoint(loadEnv(config.mode, config.envDir || config.root, 'CONTACT_'))
+    },
+
+    configureServer: mount,
+    configurePreviewServer: mount
+  }
+}
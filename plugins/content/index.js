@@ -0,0 +1,62 @@
+import path from 'node:path'
+import { CONTENT_DIR, loadContent } from './loader.js'
+import { getHeadTags, getPageMeta, injectHeadTags } from '../../src/lib/seo.js'
+
+const VIRTUAL_ID = 'virtual:content'
+const RESOLVED_ID = '\0' + VIRTUAL_ID
+
+// Exposes the validated content collection as `virtual:content`.
+// Invalid entries throw a ContentError, which fails `vite build` and shows up in the dev server log.
+// Draft blog posts are served in dev and left out of production builds.
+export default function contentPlugin() {
+  let command = 'build'
+
+  return {
+    name: 'portfolio-content',
+
+    configResolved(config) {
+      command = config.command
+    },
+
+    resolveId(id) {
+      if (id === VIRTUAL_ID) return RESOLVED_ID
+    },
+
+    // Fill the %SITE_*% placeholders in index.html before Vite's own %ENV% replacement sees them,
+    // and add the home page's meta tags (prerendered pages swap in their own)
+    transformIndexHtml: {
+      order: 'pre',
+      handler: (html) => {
+        const content = loadContent({ includeDrafts: command === 'serve' })
+        const withSite = html
+          .replaceAll('%SITE_URL%', content.site.url)
+          .replaceAll('%SITE_AUTHOR%', content.profile.name)
+          .replaceAll('%SITE_ROBOTS%', content.site.indexable ? 'index, follow' : 'noindex, nofollow')
+        return injectHeadTags(withSite, getHeadTags(getPageMeta({ pathname: '/' }, content), content))
+      }
+    },
+
+    load(id) {
+      if (id !== RESOLVED_ID) return
+
+      // The dev server watches src/content itself (see configureServer)
+      if (command === 'build') this.addWatchFile(CONTENT_DIR)
+      const content = loadContent({ includeDrafts: command === 'serve' })
+
+      return Object.entries(content)
+        .map(([name, value]) => `export const ${name} = ${JSON.stringify(value)}`)
+        .join('\n')
+    },
+
+    configureServer(server) {
+      server.watcher.add(CONTENT_DIR)
+      server.watcher.on('all', (event, file) => {
+        if (!path.resolve(file).startsWith(CONTENT_DIR)) return
+
+        const module = server.moduleGraph.getModuleById(RESOLVED_ID)
+        if (module) server.moduleGraph.invalidateModule(module)
+        server.ws.send({ type: 'full-reload' })
+      })
+    }
+  }
+}
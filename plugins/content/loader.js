@@ -0,0 +1,210 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { parse as parseYaml } from 'yaml'
+import { renderCaseStudy, renderPost } from './markdown.js'
+import {
+  availabilitySchema,
+  jsonResumeBasicsSchema,
+  jsonResumeEducationSchema,
+  jsonResumeLocationSchema,
+  jsonResumeProfileSchema,
+  jsonResumeProjectSchema,
+  jsonResumeSchema,
+  jsonResumeSkillSchema,
+  jsonResumeWorkSchema,
+  postSchema,
+  profileSchema,
+  projectSchema,
+  projectTranslationSchema,
+  resumeMetaSchema,
+  siteSchema,
+  skillSchema,
+  validate
+} from './schema.js'
+import { educationFromResume, profileFromResume, skillsFromResume, workFromResume } from '../../src/lib/jsonResume.js'
+
+export const CONTENT_DIR = path.resolve('src/content')
+const PUBLIC_DIR = path.resolve('public')
+const LOCALES_DIR = path.resolve('src/locales')
+
+const FRONTMATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/
+
+export class ContentError extends Error {
+  constructor(file, field, message) {
+    const location = path.relative(process.cwd(), file)
+    super(field ? `${location}: "${field}" ${message}` : `${location}: ${message}`)
+    this.name = 'ContentError'
+    this.file = file
+    this.field = field
+  }
+}
+
+// Parse a single content file into { data, body } based on its extension
+const parseFile = (file) => {
+  const source = fs.readFileSync(file, 'utf8')
+  const ext = path.extname(file)
+
+  try {
+    if (ext === '.json') return { data: JSON.parse(source), body: '' }
+    if (ext === '.yml' || ext === '.yaml') return { data: parseYaml(source), body: '' }
+
+    const match = source.match(FRONTMATTER_PATTERN)
+    if (!match) throw new Error('missing "---" frontmatter block')
+    return { data: parseYaml(match[1]) ?? {}, body: match[2].trim() }
+  } catch (error) {
+    throw new ContentError(file, null, `could not be parsed (${error.message})`)
+  }
+}
+
+const assertValid = (file, entry, schema, prefix = '') => {
+  const [issue] = validate(entry, schema)
+  if (issue) throw new ContentError(file, `${prefix}${issue.field}`, issue.message)
+}
+
+const slugFromFile = (file) => path.basename(file, path.extname(file))
+
+// Translations may only target languages the site has a message catalog for
+const assertValidTranslations = (file, translations = {}) => {
+  for (const [locale, fields] of Object.entries(translations)) {
+    if (!fs.existsSync(path.join(LOCALES_DIR, `${locale}.json`))) {
+      throw new ContentError(file, `translations.${locale}`, `is not a supported language (no src/locales/${locale}.json)`)
+    }
+    assertValid(file, fields, projectTranslationSchema, `translations.${locale}.`)
+  }
+}
+
+export const loadProjects = (dir = path.join(CONTENT_DIR, 'projects')) => {
+  const files = fs.readdirSync(dir)
+    .filter(name => /\.(md|json|ya?ml)$/.test(name))
+    .map(name => path.join(dir, name))
+
+  const projects = files.map(file => {
+    const { data, body } = parseFile(file)
+    assertValid(file, data, projectSchema)
+    assertValidTranslations(file, data.translations)
+    if (data.thumbnail && !fs.existsSync(path.join(dir, data.thumbnail))) {
+      throw new ContentError(file, 'thumbnail', `points to a missing file (expected ${path.relative(process.cwd(), path.join(dir, data.thumbnail))})`)
+    }
+
+    const { sections, error } = renderCaseStudy(body)
+    if (error) throw new ContentError(file, null, `case study ${error}`)
+
+    return { slug: slugFromFile(file), ...data, caseStudy: sections }
+  })
+
+  const seen = new Map()
+  for (const [index, project] of projects.entries()) {
+    if (seen.has(project.title)) {
+      throw new ContentError(files[index], 'title', `duplicates "${project.title}" in ${path.basename(seen.get(project.title))}`)
+    }
+    seen.set(project.title, files[index])
+  }
+
+  return projects.sort((a, b) => a.order - b.order)
+}
+
+// Blog posts, newest first. Drafts are only included when asked for (the dev server does).
+export const loadPosts = (dir = path.join(CONTENT_DIR, 'blog'), { includeDrafts = false } = {}) => {
+  if (!fs.existsSync(dir)) return []
+
+  const posts = fs.readdirSync(dir)
+    .filter(name => name.endsWith('.md'))
+    .map(name => {
+      const file = path.join(dir, name)
+      const { data, body } = parseFile(file)
+      assertValid(file, data, postSchema)
+
+      if (!body) throw new ContentError(file, null, 'has no Markdown body')
+      if (data.cover && !fs.existsSync(path.join(PUBLIC_DIR, data.cover))) {
+        throw new ContentError(file, 'cover', `points to a missing file (expected public${data.cover})`)
+      }
+
+      const { html, excerpt, readingTime } = renderPost(body)
+      return {
+        slug: slugFromFile(file),
+        ...data,
+        description: data.description ?? excerpt,
+        tags: data.tags ?? [],
+        draft: data.draft ?? false,
+        readingTime,
+        html
+      }
+    })
+
+  return posts
+    .filter(post => includeDrafts || !post.draft)
+    .sort((a, b) => b.date.localeCompare(a.date) || a.title.localeCompare(b.title))
+}
+
+const RESUME_FILE = path.join(CONTENT_DIR, 'resume.json')
+
+const JSON_RESUME_SECTIONS = {
+  work: jsonResumeWorkSchema,
+  education: jsonResumeEducationSchema,
+  skills: jsonResumeSkillSchema,
+  projects: jsonResumeProjectSchema
+}
+
+// Checks a JSON Resume document part by part, so errors point at e.g. "work[0].startDate"
+export const assertValidJsonResume = (file, resume) => {
+  assertValid(file, resume, jsonResumeSchema)
+  assertValid(file, resume.basics, jsonResumeBasicsSchema, 'basics.')
+  if (resume.basics.location) assertValid(file, resume.basics.location, jsonResumeLocationSchema, 'basics.location.')
+  resume.basics.profiles.forEach((profile, index) => assertValid(file, profile, jsonResumeProfileSchema, `basics.profiles[${index}].`))
+
+  for (const [section, schema] of Object.entries(JSON_RESUME_SECTIONS)) {
+    resume[section]?.forEach((entry, index) => assertValid(file, entry, schema, `${section}[${index}].`))
+  }
+}
+
+// src/content/resume.json, the source of the profile, skills, work history and education
+export const loadResume = (file = RESUME_FILE) => {
+  const { data } = parseFile(file)
+  assertValidJsonResume(file, data)
+  assertValid(file, data.meta ?? {}, resumeMetaSchema, 'meta.')
+  if (data.projects) {
+    throw new ContentError(file, 'projects', 'belong in src/content/projects (run "npm run import:resume" to convert them)')
+  }
+  return data
+}
+
+export const loadSkills = (file = RESUME_FILE) => {
+  const skills = skillsFromResume(loadResume(file))
+  skills.forEach((skill, index) => assertValid(file, skill, skillSchema, `skills[${index}].`))
+  return skills
+}
+
+export const loadProfile = (file = RESUME_FILE) => {
+  const profile = profileFromResume(loadResume(file))
+  assertValid(file, profile, profileSchema)
+  return profile
+}
+
+// "YYYY-MM-DD" of resume.json's last change (its `meta.lastModified`), part of the résumé's date (src/lib/resume.js)
+export const loadResumeModified = (file = RESUME_FILE) => loadResume(file).meta.lastModified
+
+export const loadAvailability = (file = path.join(CONTENT_DIR, 'availability.json')) => {
+  const { data } = parseFile(file)
+  assertValid(file, data, availabilitySchema)
+  return data
+}
+
+// Site-wide settings. SITE_URL in the environment overrides "url", e.g. for preview deployments.
+export const loadSite = (file = path.join(CONTENT_DIR, 'site.json')) => {
+  const { data } = parseFile(file)
+  const site = process.env.SITE_URL ? { ...data, url: process.env.SITE_URL } : data
+  assertValid(file, site, siteSchema)
+  return site
+}
+
+export const loadContent = ({ includeDrafts = false } = {}) => ({
+  site: loadSite(),
+  profile: loadProfile(),
+  projects: loadProjects(),
+  skills: loadSkills(),
+  work: workFromResume(loadResume()),
+  education: educationFromResume(loadResume()),
+  resumeModified: loadResumeModified(),
+  availability: loadAvailability(),
+  posts: loadPosts(undefined, { includeDrafts })
+})
@@ -0,0 +1,66 @@
+import { Marked } from 'marked'
+import hljs from 'highlight.js'
+import { slugify } from './slug.js'
+
+// Headings allowed at the "##" level of a case study, in display order
+export const CASE_STUDY_SECTIONS = ['Overview', 'Challenges', 'Tech Decisions', 'Screenshots', 'Outcomes']
+
+const WORDS_PER_MINUTE = 200
+
+// Fenced code blocks are highlighted here so no highlighter ships to the browser
+const marked = new Marked({
+  renderer: {
+    code({ text, lang }) {
+      const language = lang && hljs.getLanguage(lang) ? lang : 'plaintext'
+      const html = hljs.highlight(text, { language }).value
+      return `<pre><code class="hljs language-${language}">${html}</code></pre>\n`
+    }
+  }
+})
+
+// Split a case study body on its "##" headings and render each section to HTML.
+// Returns { sections } on success or { error } naming the offending heading.
+export const renderCaseStudy = (body) => {
+  if (!body) return { sections: [] }
+
+  const chunks = body.split(/^## +(.+)$/m)
+  if (chunks[0].trim()) {
+    return { error: 'must start with a "## " section heading' }
+  }
+
+  const sections = []
+  for (let i = 1; i < chunks.length; i += 2) {
+    const title = chunks[i].trim()
+    if (!CASE_STUDY_SECTIONS.includes(title)) {
+      return { error: `has unknown section "## ${title}" (expected one of ${CASE_STUDY_SECTIONS.join(', ')})` }
+    }
+    if (sections.some(section => section.title === title)) {
+      return { error: `repeats section "## ${title}"` }
+    }
+    sections.push({ id: slugify(title), title, html: marked.parse(chunks[i + 1].trim()) })
+  }
+
+  sections.sort((a, b) => CASE_STUDY_SECTIONS.indexOf(a.title) - CASE_STUDY_SECTIONS.indexOf(b.title))
+  return { sections }
+}
+
+// Reduce inline Markdown to plain text, for excerpts
+const plainText = (markdown) => markdown
+  .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/[`*_~]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim()
+
+// Render a blog post body. Returns { html, excerpt, readingTime } where the excerpt is
+// the first paragraph and the reading time is in whole minutes.
+export const renderPost = (body) => {
+  const tokens = marked.lexer(body)
+  const paragraph = tokens.find(token => token.type === 'paragraph')
+  const words = body.split(/\s+/).filter(Boolean).length
+
+  return {
+    html: marked.parser(tokens),
+    excerpt: paragraph ? plainText(paragraph.text) : '',
+    readingTime: Math.max(1, Math.round(words / WORDS_PER_MINUTE))
+  }
+}
@@ -0,0 +1,418 @@
+import { WEEKDAYS, isTimeZone } from '../../src/lib/booking.js'
+import { findProfile } from '../../src/lib/jsonResume.js'
+
+// Schemas for the content collection in src/content.
+// Each field descriptor supports: type, required, enum, of (array item type), min, max, format.
+// Fields a schema doesn't list are rejected as typos, unless it sets `additionalFields`.
+// Dates are "YYYY-MM-DD" strings (quote them or not, YAML keeps them as strings).
+
+export const PROJECT_TYPES = ['Frontend', 'Backend', 'Full Stack', 'Mobile']
+export const COMPLEXITY_LEVELS = ['Beginner', 'Intermediate', 'Advanced']
+
+export const projectSchema = {
+  fields: {
+    title: { type: 'string', required: true },
+    description: { type: 'string', required: true },
+    tags: { type: 'array', of: 'string', required: true },
+    category: { type: 'string', required: true },
+    type: { type: 'string', required: true, enum: PROJECT_TYPES },
+    liveUrl: { type: 'string', format: 'url' },
+    githubUrl: { type: 'string', format: 'url', required: true },
+    featured: { type: 'boolean', required: true },
+    previewable: { type: 'boolean', required: true },
+    thumbnail: { type: 'string', format: 'image' },
+    liveThumbnail: { type: 'boolean' },
+    technologies: { type: 'array', of: 'string', required: true },
+    complexity: { type: 'string', required: true, enum: COMPLEXITY_LEVELS },
+    role: { type: 'string' },
+    startDate: { type: 'string', format: 'date', required: true },
+    endDate: { type: 'string', format: 'date' },
+    updatedAt: { type: 'string', format: 'date', required: true },
+    order: { type: 'number', required: true, min: 0 },
+    translations: { type: 'object' }
+  },
+  rules: [
+    (project) => project.previewable && !project.liveUrl
+      ? { field: 'liveUrl', message: 'is required when "previewable" is true' }
+      : null,
+    (project) => project.liveThumbnail && !project.liveUrl
+      ? { field: 'liveUrl', message: 'is required when "liveThumbnail" is true' }
+      : null,
+    (project) => project.endDate && project.endDate < project.startDate
+      ? { field: 'endDate', message: `must not be before "startDate" (${project.startDate})` }
+      : null,
+    (project) => project.updatedAt < project.startDate
+      ? { field: 'updatedAt', message: `must not be before "startDate" (${project.startDate})` }
+      : null
+  ]
+}
+
+// One language's entry in a project's `translations`, e.g. `translations: { ur: { title: ... } }`.
+// Fields left out fall back to the English ones.
+export const projectTranslationSchema = {
+  fields: {
+    title: { type: 'string' },
+    description: { type: 'string' },
+    tags: { type: 'array', of: 'string' }
+  },
+  rules: []
+}
+
+// A skill as the site uses it; resume.json's skills are mapped to these
+export const skillSchema = {
+  fields: {
+    name: { type: 'string', required: true },
+    level: { type: 'number', required: true, min: 0, max: 100 },
+    icon: { type: 'string', required: true },
+    color: { type: 'string', required: true }
+  },
+  rules: []
+}
+
+// The profile and skills the site derives from resume.json (src/lib/jsonResume.js)
+export const profileSchema = {
+  fields: {
+    name: { type: 'string', required: true },
+    title: { type: 'string', required: true },
+    email: { type: 'string', format: 'email', required: true },
+    phone: { type: 'string', format: 'phone', required: true },
+    phoneDisplay: { type: 'string', required: true },
+    location: { type: 'string', required: true },
+    summary: { type: 'string', required: true },
+    github: { type: 'string', format: 'url', required: true },
+    linkedin: { type: 'string', format: 'url', required: true }
+  },
+  rules: []
+}
+
+// JSON Resume (https://jsonresume.org/schema), one schema per kind of object in it.
+// Dates may be "YYYY", "YYYY-MM" or "YYYY-MM-DD". The standard lets any object carry extra
+// properties, so these ignore unknown fields rather than reject them.
+export const jsonResumeSchema = {
+  additionalFields: true,
+  fields: {
+    $schema: { type: 'string', format: 'url' },
+    basics: { type: 'object', required: true },
+    work: { type: 'array', of: 'object' },
+    volunteer: { type: 'array', of: 'object' },
+    education: { type: 'array', of: 'object' },
+    awards: { type: 'array', of: 'object' },
+    certificates: { type: 'array', of: 'object' },
+    publications: { type: 'array', of: 'object' },
+    skills: { type: 'array', of: 'object' },
+    languages: { type: 'array', of: 'object' },
+    interests: { type: 'array', of: 'object' },
+    references: { type: 'array', of: 'object' },
+    projects: { type: 'array', of: 'object' },
+    meta: { type: 'object' }
+  },
+  rules: []
+}
+
+export const jsonResumeBasicsSchema = {
+  additionalFields: true,
+  fields: {
+    name: { type: 'string', required: true },
+    label: { type: 'string', required: true },
+    image: { type: 'string' },
+    email: { type: 'string', format: 'email', required: true },
+    phone: { type: 'string', required: true },
+    url: { type: 'string', format: 'url' },
+    summary: { type: 'string', required: true },
+    location: { type: 'object' },
+    profiles: { type: 'array', of: 'object', required: true }
+  },
+  rules: [
+    // The site links to both, e.g. in the footer and on the business card
+    (basics) => {
+      const missing = ['GitHub', 'LinkedIn'].find(network => !findProfile(basics, network))
+      return missing ? { field: 'profiles', message: `needs a ${missing} entry` } : null
+    },
+    (basics) => basics.phone && !/^\+\d{7,15}$/.test(basics.phone.replace(/[\s().-]/g, ''))
+      ? { field: 'phone', message: `must be an international number such as "+92 300 1234567", got "${basics.phone}"` }
+      : null
+  ]
+}
+
+export const jsonResumeLocationSchema = {
+  additionalFields: true,
+  fields: {
+    address: { type: 'string' },
+    postalCode: { type: 'string' },
+    city: { type: 'string' },
+    countryCode: { type: 'string' },
+    region: { type: 'string' }
+  },
+  rules: [
+    (location) => location.countryCode && !/^[A-Z]{2}$/.test(location.countryCode)
+      ? { field: 'countryCode', message: `must be a two-letter ISO country code such as "PK", got "${location.countryCode}"` }
+      : null
+  ]
+}
+
+export const jsonResumeProfileSchema = {
+  additionalFields: true,
+  fields: {
+    network: { type: 'string', required: true },
+    username: { type: 'string' },
+    url: { type: 'string', format: 'url', required: true }
+  },
+  rules: []
+}
+
+// resume.json's `meta`. The export (src/lib/jsonResume.js) writes its own, but `lastModified`
+// dates the résumé (src/lib/resume.js), so it's kept here and moved forward with each edit.
+export const resumeMetaSchema = {
+  additionalFields: true,
+  fields: {
+    lastModified: { type: 'string', format: 'date', required: true }
+  },
+  rules: []
+}
+
+const partialDateRules = (...fields) => fields.map(field => (entry) =>
+  entry[field] !== undefined && !isPartialDate(entry[field])
+    ? { field, message: `must be a date in YYYY, YYYY-MM or YYYY-MM-DD format, got "${entry[field]}"` }
+    : null
+)
+
+// Compared at the coarser of the two precisions, so "2024" can end a "2024-05" start
+const endsAfterStart = (entry) => entry.startDate && entry.endDate && entry.endDate < entry.startDate.slice(0, entry.endDate.length)
+  ? { field: 'endDate', message: `must not be before "startDate" (${entry.startDate})` }
+  : null
+
+export const jsonResumeWorkSchema = {
+  additionalFields: true,
+  fields: {
+    name: { type: 'string', required: true },
+    location: { type: 'string' },
+    description: { type: 'string' },
+    position: { type: 'string', required: true },
+    url: { type: 'string', format: 'url' },
+    startDate: { type: 'string', required: true },
+    endDate: { type: 'string' },
+    summary: { type: 'string' },
+    highlights: { type: 'array', of: 'string' }
+  },
+  rules: [...partialDateRules('startDate', 'endDate'), endsAfterStart]
+}
+
+export const jsonResumeEducationSchema = {
+  additionalFields: true,
+  fields: {
+    institution: { type: 'string', required: true },
+    url: { type: 'string', format: 'url' },
+    area: { type: 'string' },
+    studyType: { type: 'string' },
+    startDate: { type: 'string' },
+    endDate: { type: 'string' },
+    score: { type: 'string' },
+    courses: { type: 'array', of: 'string' }
+  },
+  rules: [...partialDateRules('startDate', 'endDate'), endsAfterStart]
+}
+
+// `rating` (0-100), `icon` and `color` are the site's own additions for the skill bars
+export const jsonResumeSkillSchema = {
+  additionalFields: true,
+  fields: {
+    name: { type: 'string', required: true },
+    level: { type: 'string' },
+    keywords: { type: 'array', of: 'string' },
+    rating: { type: 'number', min: 0, max: 100 },
+    icon: { type: 'string' },
+    color: { type: 'string' }
+  },
+  rules: []
+}
+
+// Only read by scripts/import-resume.js; the site's projects live in src/content/projects
+export const jsonResumeProjectSchema = {
+  additionalFields: true,
+  fields: {
+    name: { type: 'string', required: true },
+    description: { type: 'string' },
+    highlights: { type: 'array', of: 'string' },
+    keywords: { type: 'array', of: 'string' },
+    startDate: { type: 'string' },
+    endDate: { type: 'string' },
+    url: { type: 'string', format: 'url' },
+    roles: { type: 'array', of: 'string' },
+    entity: { type: 'string' },
+    type: { type: 'string' }
+  },
+  rules: [...partialDateRules('startDate', 'endDate'), endsAfterStart]
+}
+
+export const siteSchema = {
+  fields: {
+    url: { type: 'string', format: 'url', required: true },
+    title: { type: 'string', required: true },
+    description: { type: 'string', required: true },
+    language: { type: 'string', required: true },
+    indexable: { type: 'boolean', required: true },
+    // Pre-filled text for the WhatsApp contact button
+    whatsappMessage: { type: 'string', required: true }
+  },
+  rules: [
+    (site) => site.url?.endsWith('/')
+      ? { field: 'url', message: `must not end with a slash, got "${site.url}"` }
+      : null
+  ]
+}
+
+const isTime = (value) => /^([01]\d|2[0-3]):[0-5]\d$/.test(value)
+
+// Problems with one day's working hours: a list of { start, end } "HH:MM" ranges
+const workingHoursIssue = (ranges) => {
+  if (!Array.isArray(ranges)) return 'must be a list of { "start": "HH:MM", "end": "HH:MM" } ranges'
+  for (const range of ranges) {
+    if (!isTime(range?.start) || !isTime(range?.end)) return `has a range that isn't "HH:MM" to "HH:MM": ${JSON.stringify(range)}`
+    if (range.end <= range.start) return `has a range that ends before it starts: ${range.start}–${range.end}`
+  }
+  return null
+}
+
+// When discovery calls can be booked (src/lib/booking.js). Times are in `timeZone`.
+export const availabilitySchema = {
+  fields: {
+    timeZone: { type: 'string', format: 'timeZone', required: true },
+    meetingMinutes: { type: 'number', required: true, min: 5 },
+    bufferMinutes: { type: 'number', required: true, min: 0 },
+    minimumNoticeHours: { type: 'number', required: true, min: 0 },
+    bookingWindowDays: { type: 'number', required: true, min: 1, max: 90 },
+    workingHours: { type: 'object', required: true },
+    blockedDates: { type: 'array', of: 'string', required: true }
+  },
+  rules: [
+    (availability) => {
+      const hours = availability.workingHours ?? {}
+      const unknown = Object.keys(hours).find(day => !WEEKDAYS.includes(day))
+      if (unknown) return { field: `workingHours.${unknown}`, message: `is not a weekday, expected one of ${WEEKDAYS.join(', ')}` }
+
+      for (const day of WEEKDAYS) {
+        const issue = hours[day] === undefined ? 'is missing (use [] for a day off)' : workingHoursIssue(hours[day])
+        if (issue) return { field: `workingHours.${day}`, message: issue }
+      }
+      return null
+    },
+    (availability) => {
+      const date = (availability.blockedDates ?? []).find(value => !isDate(value))
+      return date !== undefined
+        ? { field: 'blockedDates', message: `must only contain dates in YYYY-MM-DD format, got "${date}"` }
+        : null
+    }
+  ]
+}
+
+export const postSchema = {
+  fields: {
+    title: { type: 'string', required: true },
+    date: { type: 'string', format: 'date', required: true },
+    updated: { type: 'string', format: 'date' },
+    description: { type: 'string' },
+    tags: { type: 'array', of: 'string' },
+    draft: { type: 'boolean' },
+    cover: { type: 'string', format: 'path' }
+  },
+  rules: [
+    (post) => post.updated && post.updated < post.date
+      ? { field: 'updated', message: `must not be before "date" (${post.date})` }
+      : null
+  ]
+}
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value))
+
+const isPartialDate = (value) => /^\d{4}(-\d{2}){0,2}$/.test(value) && !Number.isNaN(Date.parse(value))
+
+const typeOf = (value) => Array.isArray(value) ? 'array' : typeof value
+
+const isUrl = (value) => {
+  try {
+    const url = new URL(value)
+    return url.protocol === 'http:' || url.protocol === 'https:'
+  } catch {
+    return false
+  }
+}
+
+// Returns a list of { field, message } issues; an empty list means the entry is valid
+export const validate = (entry, schema) => {
+  if (typeOf(entry) !== 'object' || entry === null) {
+    return [{ field: '(root)', message: `must be an object, got ${typeOf(entry)}` }]
+  }
+
+  const issues = []
+
+  for (const key of Object.keys(entry)) {
+    if (!schema.fields[key] && !schema.additionalFields) {
+      issues.push({ field: key, message: 'is not a known field (check for typos)' })
+    }
+  }
+
+  for (const [field, rule] of Object.entries(schema.fields)) {
+    const value = entry[field]
+
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) issues.push({ field, message: 'is required' })
+      continue
+    }
+
+    if (typeOf(value) !== rule.type) {
+      issues.push({ field, message: `must be a ${rule.type}, got ${typeOf(value)}` })
+      continue
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+      issues.push({ field, message: `must be one of ${rule.enum.map(v => `"${v}"`).join(', ')}, got "${value}"` })
+    }
+
+    if (rule.of && value.some(item => typeOf(item) !== rule.of)) {
+      issues.push({ field, message: `must only contain ${rule.of} values` })
+    }
+
+    if (rule.min !== undefined && value < rule.min) {
+      issues.push({ field, message: `must be at least ${rule.min}` })
+    }
+
+    if (rule.max !== undefined && value > rule.max) {
+      issues.push({ field, message: `must be at most ${rule.max}` })
+    }
+
+    if (rule.format === 'url' && !isUrl(value)) {
+      issues.push({ field, message: `must be an absolute http(s) URL, got "${value}"` })
+    }
+
+    if (rule.format === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+      issues.push({ field, message: `must be an email address, got "${value}"` })
+    }
+
+    if (rule.format === 'phone' && !/^\+\d{7,15}$/.test(value)) {
+      issues.push({ field, message: `must be an international number such as "+923001234567", got "${value}"` })
+    }
+
+    if (rule.format === 'path' && !/^\/[^\s]*$/.test(value)) {
+      issues.push({ field, message: `must be a site-relative path such as "/images/cover.png", got "${value}"` })
+    }
+
+    if (rule.format === 'image' && !/^[\w./-]+\.(png|jpe?g|webp|avif)$/i.test(value)) {
+      issues.push({ field, message: `must be a PNG, JPEG, WebP or AVIF file such as "images/cover.png", got "${value}"` })
+    }
+
+    if (rule.format === 'timeZone' && !isTimeZone(value)) {
+      issues.push({ field, message: `must be an IANA time zone such as "Asia/Karachi", got "${value}"` })
+    }
+
+    if (rule.format === 'date' && !isDate(value)) {
+      issues.push({ field, message: `must be a date in YYYY-MM-DD format, got "${value}"` })
+    }
+  }
+
+  for (const check of schema.rules) {
+    const issue = check(entry)
+    if (issue) issues.push(issue)
+  }
+
+  return issues
+}
@@ -0,0 +1,5 @@
+// Kept free of build-only imports so the app can share it (e.g. for blog tag URLs)
+export const slugify = (text) => text
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/(^-|-$)/g, '')
@@ -0,0 +1,112 @@
+// Serializers for RSS 2.0, Atom 1.0 and JSON Feed 1.1.
+// Each takes the feed metadata and a list of entries built by buildEntries().
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;')
+
+// Content dates are "YYYY-MM-DD"; feeds want full UTC timestamps
+const toDate = (value) => new Date(`${value}T00:00:00Z`)
+const isoDate = (value) => toDate(value).toISOString()
+const rfc822Date = (value) => toDate(value).toUTCString()
+
+// Root-relative links and images in rendered HTML need the site origin inside a feed reader
+const absolutize = (html, origin) => html.replace(/(href|src)="\/(?!\/)/g, `$1="${origin}/`)
+
+// Projects and published posts as feed entries, newest first.
+// A project is "published" when it finished (or when it started, if still ongoing).
+export const buildEntries = ({ site, projects, posts }) => [
+  ...projects.map(project => ({
+    id: `${site.url}/projects/${project.slug}`,
+    url: `${site.url}/projects/${project.slug}`,
+    title: project.title,
+    summary: project.description,
+    html: absolutize(project.caseStudy.map(section => `<h2>${section.title}</h2>\n${section.html}`).join('\n'), site.url),
+    published: project.endDate ?? project.startDate,
+    updated: project.updatedAt,
+    tags: project.tags
+  })),
+  ...posts.map(post => ({
+    id: `${site.url}/blog/${post.slug}`,
+    url: `${site.url}/blog/${post.slug}`,
+    title: post.title,
+    summary: post.description,
+    html: absolutize(post.html, site.url),
+    published: post.date,
+    updated: post.updated ?? post.date,
+    tags: post.tags
+  }))
+].sort((a, b) => b.published.localeCompare(a.published) || a.title.localeCompare(b.title))
+
+const lastUpdated = (entries) => entries.reduce((latest, entry) => entry.updated > latest ? entry.updated : latest, '1970-01-01')
+
+export const toRss = ({ site, profile }, entries) => `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(site.title)}</title>
+    <link>${site.url}/</link>
+    <description>${escapeXml(site.description)}</description>
+    <language>${site.language}</language>
+    <lastBuildDate>${rfc822Date(lastUpdated(entries))}</lastBuildDate>
+    <atom:link href="${site.url}/rss.xml" rel="self" type="application/rss+xml" />
+${entries.map(entry => `    <item>
+      <title>${escapeXml(entry.title)}</title>
+      <link>${entry.url}</link>
+      <guid isPermaLink="true">${entry.id}</guid>
+      <pubDate>${rfc822Date(entry.published)}</pubDate>
+      <author>${escapeXml(`${profile.email} (${profile.name})`)}</author>
+${entry.tags.map(tag => `      <category>${escapeXml(tag)}</category>`).join('\n')}
+      <description>${escapeXml(entry.summary)}</description>
+    </item>`).join('\n')}
+  </channel>
+</rss>
+`
+
+export const toAtom = ({ site, profile }, entries) => `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${site.language}">
+  <title>${escapeXml(site.title)}</title>
+  <subtitle>${escapeXml(site.description)}</subtitle>
+  <id>${site.url}/</id>
+  <link href="${site.url}/" />
+  <link href="${site.url}/atom.xml" rel="self" type="application/atom+xml" />
+  <updated>${isoDate(lastUpdated(entries))}</updated>
+  <author>
+    <name>${escapeXml(profile.name)}</name>
+    <email>${escapeXml(profile.email)}</email>
+    <uri>${site.url}/</uri>
+  </author>
+${entries.map(entry => `  <entry>
+    <title>${escapeXml(entry.title)}</title>
+    <id>${entry.id}</id>
+    <link href="${entry.url}" />
+    <published>${isoDate(entry.published)}</published>
+    <updated>${isoDate(entry.updated)}</updated>
+${entry.tags.map(tag => `    <category term="${escapeXml(tag)}" />`).join('\n')}
+    <summary>${escapeXml(entry.summary)}</summary>${entry.html ? `
+    <content type="html">${escapeXml(entry.html)}</content>` : ''}
+  </entry>`).join('\n')}
+</feed>
+`
+
+export const toJsonFeed = ({ site, profile }, entries) => JSON.stringify({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: site.title,
+  description: site.description,
+  home_page_url: `${site.url}/`,
+  feed_url: `${site.url}/feed.json`,
+  language: site.language,
+  authors: [{ name: profile.name, url: `${site.url}/` }],
+  items: entries.map(entry => ({
+    id: entry.id,
+    url: entry.url,
+    title: entry.title,
+    summary: entry.summary,
+    ...(entry.html ? { content_html: entry.html } : { content_text: entry.summary }),
+    date_published: isoDate(entry.published),
+    date_modified: isoDate(entry.updated),
+    tags: entry.tags
+  }))
+}, null, 2)
@@ -0,0 +1,45 @@
+import { loadContent } from '../content/loader.js'
+import { buildEntries, toAtom, toJsonFeed, toRss } from './formats.js'
+
+const FEEDS = [
+  { fileName: 'rss.xml', type: 'application/rss+xml', serialize: toRss },
+  { fileName: 'atom.xml', type: 'application/atom+xml', serialize: toAtom },
+  { fileName: 'feed.json', type: 'application/feed+json', serialize: toJsonFeed }
+]
+
+const renderFeeds = (content) => {
+  const entries = buildEntries(content)
+  return FEEDS.map(feed => ({ ...feed, source: feed.serialize(content, entries) }))
+}
+
+// Emits rss.xml, atom.xml and feed.json for projects and blog posts on build,
+// and serves the same files from the dev server.
+export default function feedsPlugin() {
+  let includeDrafts = false
+
+  return {
+    name: 'portfolio-feeds',
+    apply: (config, { isSsrBuild }) => !isSsrBuild,
+
+    configResolved(config) {
+      includeDrafts = config.command === 'serve'
+    },
+
+    generateBundle() {
+      for (const feed of renderFeeds(loadContent({ includeDrafts }))) {
+        this.emitFile({ type: 'asset', fileName: feed.fileName, source: feed.source })
+      }
+    },
+
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const path = req.url.split('?')[0]
+        if (!FEEDS.some(feed => `/${feed.fileName}` === path)) return next()
+
+        const feed = renderFeeds(loadContent({ includeDrafts })).find(feed => `/${feed.fileName}` === path)
+        res.setHeader('Content-Type', `${feed.type}; charset=utf-8`)
+        res.end(feed.source)
+      })
+    }
+  }
+}
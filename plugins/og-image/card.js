@@ -0,0 +1,73 @@
+import fs from 'node:fs'
+import { createRequire } from 'node:module'
+import satori from 'satori'
+import { Resvg } from '@resvg/resvg-js'
+import { OG_IMAGE_SIZE } from '../../src/lib/seo.js'
+
+const require = createRequire(import.meta.url)
+
+// The site's palette: gray-900 background, purple-500 to cyan-500 accents (see App.jsx)
+const COLORS = {
+  background: '#111827',
+  purple: '#a855f7',
+  cyan: '#06b6d4',
+  text: '#ffffff',
+  muted: '#d1d5db',
+  tag: 'rgba(168, 85, 247, 0.25)',
+  tagText: '#e9d5ff'
+}
+
+const fonts = [400, 700].map(weight => ({
+  name: 'Inter',
+  weight,
+  style: 'normal',
+  data: fs.readFileSync(require.resolve(`@fontsource/inter/files/inter-latin-${weight}-normal.woff`))
+}))
+
+// satori takes React-like element objects; every element with several children must be a flex box
+const h = (type, style, ...children) => ({
+  type,
+  props: { style: { display: 'flex', ...style }, children: children.flat().filter(Boolean) }
+})
+
+// { label, title, subtitle?, tags, host } -> element tree for a 1200x630 card
+const cardElement = ({ label, title, subtitle, tags, host }) => h('div', {
+  width: '100%',
+  height: '100%',
+  flexDirection: 'column',
+  justifyContent: 'space-between',
+  padding: '72px 80px',
+  fontFamily: 'Inter',
+  color: COLORS.text,
+  backgroundColor: COLORS.background,
+  backgroundImage: `radial-gradient(circle at 15% 10%, rgba(168, 85, 247, 0.35), transparent 55%), radial-gradient(circle at 90% 90%, rgba(6, 182, 212, 0.3), transparent 50%)`
+},
+  h('div', { alignItems: 'center', fontSize: 28, color: COLORS.muted },
+    h('div', { width: 20, height: 20, borderRadius: 10, marginRight: 16, backgroundImage: `linear-gradient(90deg, ${COLORS.purple}, ${COLORS.cyan})` }),
+    label
+  ),
+  h('div', { flexDirection: 'column' },
+    h('div', { fontSize: title.length > 40 ? 60 : 76, fontWeight: 700, lineHeight: 1.1, letterSpacing: '-0.02em' }, title),
+    subtitle && h('div', { marginTop: 24, fontSize: 34, color: COLORS.muted }, subtitle),
+    tags.length > 0 && h('div', { marginTop: 36, flexWrap: 'wrap' },
+      tags.slice(0, 4).map(tag => h('div', {
+        marginRight: 16,
+        padding: '10px 24px',
+        borderRadius: 999,
+        fontSize: 26,
+        backgroundColor: COLORS.tag,
+        color: COLORS.tagText
+      }, tag))
+    )
+  ),
+  h('div', { flexDirection: 'column' },
+    h('div', { fontSize: 26, color: COLORS.muted, marginBottom: 20 }, host),
+    h('div', { height: 10, borderRadius: 5, backgroundImage: `linear-gradient(90deg, ${COLORS.purple}, ${COLORS.cyan})` })
+  )
+)
+
+// Render a card to PNG bytes. Text is converted to paths by satori, so no system fonts are involved.
+export const renderCard = async (card) => {
+  const svg = await satori(cardElement(card), { ...OG_IMAGE_SIZE, fonts })
+  return new Resvg(svg, { fitTo: { mode: 'width', value: OG_IMAGE_SIZE.width } }).render().asPng()
+}
@@ -0,0 +1,69 @@
+import { loadContent } from '../content/loader.js'
+import { ogImagePath } from '../../src/lib/seo.js'
+import { renderCard } from './card.js'
+
+// One card for the site as a whole, one per project and one per blog post
+const listCards = ({ site, profile, projects, skills, posts }) => {
+  const host = new URL(site.url).host
+  return [
+    {
+      path: ogImagePath.site,
+      label: 'Portfolio',
+      title: profile.name,
+      subtitle: profile.title,
+      tags: [...skills].sort((a, b) => b.level - a.level).map(skill => skill.name),
+      host
+    },
+    ...projects.map(project => ({
+      path: ogImagePath.project(project),
+      label: `Project · ${profile.name}`,
+      title: project.title,
+      tags: project.tags,
+      host
+    })),
+    ...posts.map(post => ({
+      path: ogImagePath.post(post),
+      label: `Blog · ${profile.name}`,
+      title: post.title,
+      tags: post.tags,
+      host
+    }))
+  ]
+}
+
+// Emits the 1200x630 Open Graph images into dist/og on build and renders them on request in dev
+export default function ogImagePlugin() {
+  let includeDrafts = false
+
+  return {
+    name: 'portfolio-og-image',
+    apply: (config, { isSsrBuild }) => !isSsrBuild,
+
+    configResolved(config) {
+      includeDrafts = config.command === 'serve'
+    },
+
+    async generateBundle() {
+      for (const card of listCards(loadContent({ includeDrafts }))) {
+        this.emitFile({ type: 'asset', fileName: card.path.slice(1), source: await renderCard(card) })
+      }
+    },
+
+    configureServer(server) {
+      server.middlewares.use(async (req, res, next) => {
+        const path = req.url.split('?')[0]
+        if (!path.startsWith('/og/')) return next()
+
+        const card = listCards(loadContent({ includeDrafts })).find(card => card.path === path)
+        if (!card) return next()
+
+        try {
+          res.setHeader('Content-Type', 'image/png')
+          res.end(await renderCard(card))
+        } catch (error) {
+          next(error)
+        }
+      })
+    }
+  }
+}
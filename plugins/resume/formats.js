@@ -0,0 +1,151 @@
+import { formatDate, formatDateRange, formatPartialDate } from '../../src/lib/dates.js'
+import { resumeUpdated } from '../../src/lib/resume.js'
+
+// Education may give only an end date, or none
+const period = ({ startDate, endDate }) => startDate
+  ? formatDateRange(startDate, endDate)
+  : endDate ? formatPartialDate(endDate) : undefined
+
+// Everything a résumé shows, in the order it shows it, shared by the three formats.
+// Work and education come newest first, projects keep their grid order and skills go
+// strongest first. Empty sections are left out.
+export const buildResume = ({ site, profile, skills, work, education, projects, resumeModified }) => ({
+  name: profile.name,
+  title: profile.title,
+  summary: profile.summary,
+  contact: [profile.email, profile.phoneDisplay, profile.location],
+  links: [
+    { label: 'Website', url: site.url },
+    { label: 'GitHub', url: profile.github },
+    { label: 'LinkedIn', url: profile.linkedin }
+  ],
+  skills: [...skills].sort((a, b) => b.level - a.level).map(skill => skill.name),
+  experience: work.map(job => ({
+    title: `${job.position}, ${job.name}`,
+    period: period(job),
+    summary: job.summary,
+    highlights: job.highlights ?? []
+  })),
+  education: education.map(entry => ({
+    title: entry.institution,
+    detail: [entry.studyType, entry.area].filter(Boolean).join(', '),
+    period: period(entry)
+  })),
+  projects: projects.map(project => ({
+    title: project.title,
+    role: project.role,
+    period: formatDateRange(project.startDate, project.endDate),
+    description: project.description,
+    technologies: project.technologies,
+    links: [
+      ...(project.caseStudy.length > 0 ? [{ label: 'Case study', url: `${site.url}/projects/${project.slug}` }] : []),
+      ...(project.liveUrl ? [{ label: 'Live', url: project.liveUrl }] : []),
+      { label: 'Code', url: project.githubUrl }
+    ]
+  })),
+  updated: resumeUpdated(projects, resumeModified)
+})
+
+const escapeMarkdown = (text) => text.replace(/([\\`*_[\]<>#|])/g, '\\$1')
+
+const markdownLinks = (links) => links.map(link => `[${escapeMarkdown(link.label)}](${link.url})`).join(' · ')
+
+export const toMarkdown = (resume) => [
+  `# ${escapeMarkdown(resume.name)}`,
+  '',
+  `**${escapeMarkdown(resume.title)}**`,
+  '',
+  // Two trailing spaces keep the links on their own line
+  `${resume.contact.map(escapeMarkdown).join(' · ')}  `,
+  markdownLinks(resume.links),
+  '',
+  escapeMarkdown(resume.summary),
+  '',
+  '## Skills',
+  '',
+  resume.skills.map(escapeMarkdown).join(' · '),
+  ...(resume.experience.length > 0 ? ['', '## Experience'] : []),
+  ...resume.experience.flatMap(job => [
+    '',
+    `### ${escapeMarkdown(job.title)}`,
+    '',
+    `*${escapeMarkdown(job.period)}*`,
+    ...(job.summary ? ['', escapeMarkdown(job.summary)] : []),
+    ...(job.highlights.length > 0 ? ['', ...job.highlights.map(highlight => `- ${escapeMarkdown(highlight)}`)] : [])
+  ]),
+  '',
+  '## Projects',
+  ...resume.projects.flatMap(project => [
+    '',
+    `### ${escapeMarkdown(project.title)}`,
+    '',
+    `*${[project.role, project.period].filter(Boolean).map(escapeMarkdown).join(' · ')}*`,
+    '',
+    escapeMarkdown(project.description),
+    '',
+    `Technologies: ${project.technologies.map(escapeMarkdown).join(', ')}  `,
+    markdownLinks(project.links)
+  ]),
+  ...(resume.education.length > 0 ? ['', '## Education'] : []),
+  ...resume.education.flatMap(entry => [
+    '',
+    `### ${escapeMarkdown(entry.title)}`,
+    '',
+    `*${[entry.detail, entry.period].filter(Boolean).map(escapeMarkdown).join(' · ')}*`
+  ]),
+  '',
+  '---',
+  '',
+  `Updated ${formatDate(resume.updated)}`,
+  ''
+].join('\n')
+
+// Greedy word wrap for the plain-text version
+const wrap = (text, width = 78) => text.split(/\s+/).reduce((lines, word) => {
+  const last = lines.at(-1)
+  if (last && `${last} ${word}`.length <= width) lines[lines.length - 1] = `${last} ${word}`
+  else lines.push(word)
+  return lines
+}, [])
+
+const heading = (text) => [text.toUpperCase(), '='.repeat(text.length)]
+
+export const toText = (resume) => [
+  resume.name.toUpperCase(),
+  resume.title,
+  '',
+  resume.contact.join(' | '),
+  ...resume.links.map(link => `${link.label}: ${link.url}`),
+  '',
+  ...wrap(resume.summary),
+  '',
+  ...heading('Skills'),
+  ...wrap(resume.skills.join(', ')),
+  ...(resume.experience.length > 0 ? ['', ...heading('Experience')] : []),
+  ...resume.experience.flatMap(job => [
+    '',
+    job.title,
+    job.period,
+    ...(job.summary ? wrap(job.summary) : []),
+    ...job.highlights.flatMap(highlight => wrap(highlight, 76).map((line, index) => `${index === 0 ? '- ' : '  '}${line}`))
+  ]),
+  '',
+  ...heading('Projects'),
+  ...resume.projects.flatMap(project => [
+    '',
+    project.title,
+    [project.role, project.period].filter(Boolean).join(' | '),
+    ...wrap(project.description),
+    ...wrap(`Technologies: ${project.technologies.join(', ')}`),
+    ...project.links.map(link => `${link.label}: ${link.url}`)
+  ]),
+  ...(resume.education.length > 0 ? ['', ...heading('Education')] : []),
+  ...resume.education.flatMap(entry => [
+    '',
+    entry.title,
+    [entry.detail, entry.period].filter(Boolean).join(' | ')
+  ]),
+  '',
+  `Updated ${formatDate(resume.updated)}`,
+  ''
+].join('\n')
@@ -0,0 +1,77 @@
+import { loadProfile, loadProjects, loadResume, loadResumeModified, loadSite, loadSkills } from '../content/loader.js'
+import { RESUME_FORMATS, resumePath, resumeUpdated } from '../../src/lib/resume.js'
+import { JSON_RESUME_PATH, educationFromResume, toJsonResume, workFromResume } from '../../src/lib/jsonResume.js'
+import { buildResume, toMarkdown, toText } from './formats.js'
+import { toPdf } from './pdf.js'
+
+const RENDERERS = {
+  pdf: { type: 'application/pdf', render: toPdf },
+  md: { type: 'text/markdown; charset=utf-8', render: toMarkdown },
+  txt: { type: 'text/plain; charset=utf-8', render: toText }
+}
+
+const loadResumeContent = () => {
+  const resume = loadResume()
+  return {
+    resume,
+    site: loadSite(),
+    profile: loadProfile(),
+    skills: loadSkills(),
+    work: workFromResume(resume),
+    education: educationFromResume(resume),
+    resumeModified: loadResumeModified(),
+    projects: loadProjects()
+  }
+}
+
+const renderFile = async (content, format) => ({
+  path: resumePath(content.profile, format),
+  type: RENDERERS[format].type,
+  source: await RENDERERS[format].render(buildResume(content))
+})
+
+// The content exported back to JSON Resume, for other résumé tools and themes
+const renderJsonResume = ({ resume, site, projects, resumeModified }) => ({
+  path: JSON_RESUME_PATH,
+  type: 'application/json',
+  source: `${JSON.stringify(toJsonResume({ resume, site, projects, lastModified: resumeUpdated(projects, resumeModified) }), null, 2)}\n`
+})
+
+// Emits the résumé as PDF, Markdown and plain text (see src/lib/resume.js), plus the data
+// as resume.json, on build, and renders the same files on request in dev.
+export default function resumePlugin() {
+  return {
+    name: 'portfolio-resume',
+    apply: (config, { isSsrBuild }) => !isSsrBuild,
+
+    async generateBundle() {
+      const content = loadResumeContent()
+      const files = [
+        ...await Promise.all(RESUME_FORMATS.map(format => renderFile(content, format))),
+        renderJsonResume(content)
+      ]
+      for (const file of files) {
+        this.emitFile({ type: 'asset', fileName: file.path.slice(1), source: file.source })
+      }
+    },
+
+    configureServer(server) {
+      server.middlewares.use(async (req, res, next) => {
+        const path = req.url.split('?')[0]
+
+        try {
+          const profile = loadProfile()
+          const format = RESUME_FORMATS.find(format => resumePath(profile, format) === path)
+          if (!format && path !== JSON_RESUME_PATH) return next()
+
+          const content = loadResumeContent()
+          const file = format ? await renderFile(content, format) : renderJsonResume(content)
+          res.setHeader('Content-Type', file.type)
+          res.end(file.source)
+        } catch (error) {
+          next(error)
+        }
+      })
+    }
+  }
+}
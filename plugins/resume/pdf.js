@@ -0,0 +1,113 @@
+import { createRequire } from 'node:module'
+import PDFDocument from 'pdfkit'
+import { formatDate } from '../../src/lib/dates.js'
+
+const require = createRequire(import.meta.url)
+
+// Inter, as on the site and the Open Graph cards
+const FONTS = {
+  regular: require.resolve('@fontsource/inter/files/inter-latin-400-normal.woff'),
+  bold: require.resolve('@fontsource/inter/files/inter-latin-700-normal.woff')
+}
+
+const COLORS = {
+  text: '#111827',
+  muted: '#4b5563',
+  accent: '#7e22ce',
+  rule: '#d1d5db'
+}
+
+const MARGIN = 56
+
+// Links in a row, e.g. "Case study · Live · Code", each one clickable
+const linkRow = (doc, links, size) => {
+  doc.font('regular').fontSize(size)
+  links.forEach((link, index) => {
+    const isLast = index === links.length - 1
+    doc.fillColor(COLORS.accent).text(link.label, { link: link.url, underline: true, continued: true })
+    doc.fillColor(COLORS.muted).text(isLast ? '' : '  ·  ', { link: null, underline: false, continued: !isLast })
+  })
+}
+
+const sectionHeading = (doc, title) => {
+  doc.moveDown(1.2)
+  doc.font('bold').fontSize(11).fillColor(COLORS.accent).text(title.toUpperCase(), { characterSpacing: 1 })
+  const y = doc.y + 2
+  doc.moveTo(MARGIN, y).lineTo(doc.page.width - MARGIN, y).lineWidth(0.75).strokeColor(COLORS.rule).stroke()
+  doc.moveDown(0.6)
+}
+
+// A4 résumé from buildResume() (./formats.js), resolving to the PDF's bytes.
+// The document date is the résumé's, so rebuilding unchanged content gives the same dates.
+export const toPdf = (resume) => new Promise((resolve, reject) => {
+  const date = new Date(`${resume.updated}T00:00:00Z`)
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: MARGIN,
+    info: {
+      Title: `${resume.name} – Résumé`,
+      Author: resume.name,
+      Subject: resume.title,
+      CreationDate: date,
+      ModDate: date
+    }
+  })
+  const chunks = []
+  doc.on('data', chunk => chunks.push(chunk))
+  doc.on('end', () => resolve(Buffer.concat(chunks)))
+  doc.on('error', reject)
+
+  doc.registerFont('regular', FONTS.regular)
+  doc.registerFont('bold', FONTS.bold)
+  const width = doc.page.width - MARGIN * 2
+
+  doc.font('bold').fontSize(24).fillColor(COLORS.text).text(resume.name)
+  doc.font('regular').fontSize(13).fillColor(COLORS.accent).text(resume.title)
+  doc.moveDown(0.5)
+  doc.fontSize(9.5).fillColor(COLORS.muted).text(resume.contact.join('  ·  '))
+  linkRow(doc, resume.links, 9.5)
+  doc.moveDown(0.8)
+  doc.fontSize(10.5).fillColor(COLORS.text).text(resume.summary, { lineGap: 2 })
+
+  sectionHeading(doc, 'Skills')
+  doc.font('regular').fontSize(10).fillColor(COLORS.text).text(resume.skills.join('  ·  '), { lineGap: 2 })
+
+  // An entry's title with its dates on the right. Entries start on a new page rather than
+  // splitting their first lines from the rest.
+  const entryHeading = (title, period, index) => {
+    if (doc.y > doc.page.height - MARGIN - 90) doc.addPage()
+    if (index > 0) doc.moveDown(0.9)
+
+    const top = doc.y
+    if (period) doc.font('regular').fontSize(9.5).fillColor(COLORS.muted).text(period, MARGIN, top, { width, align: 'right' })
+    doc.font('bold').fontSize(11.5).fillColor(COLORS.text).text(title, MARGIN, top, { width: width - 140 })
+  }
+
+  if (resume.experience.length > 0) sectionHeading(doc, 'Experience')
+  resume.experience.forEach((job, index) => {
+    entryHeading(job.title, job.period, index)
+    doc.moveDown(0.3)
+    if (job.summary) doc.font('regular').fontSize(10).fillColor(COLORS.text).text(job.summary, { lineGap: 2 })
+    if (job.highlights.length > 0) doc.font('regular').fontSize(10).fillColor(COLORS.text).list(job.highlights, { bulletRadius: 1.5, lineGap: 2 })
+  })
+
+  sectionHeading(doc, 'Projects')
+  resume.projects.forEach((project, index) => {
+    entryHeading(project.title, project.period, index)
+    if (project.role) doc.font('regular').fontSize(9.5).fillColor(COLORS.muted).text(project.role)
+    doc.moveDown(0.3)
+    doc.font('regular').fontSize(10).fillColor(COLORS.text).text(project.description, { lineGap: 2 })
+    doc.fontSize(9).fillColor(COLORS.muted).text(`Technologies: ${project.technologies.join(', ')}`)
+    linkRow(doc, project.links, 9)
+  })
+
+  if (resume.education.length > 0) sectionHeading(doc, 'Education')
+  resume.education.forEach((entry, index) => {
+    entryHeading(entry.title, entry.period, index)
+    if (entry.detail) doc.font('regular').fontSize(9.5).fillColor(COLORS.muted).text(entry.detail)
+  })
+
+  doc.moveDown(1.5)
+  doc.font('regular').fontSize(8).fillColor(COLORS.muted).text(`Updated ${formatDate(resume.updated)}`)
+  doc.end()
+})
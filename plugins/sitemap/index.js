@@ -0,0 +1,59 @@
+import { loadContent } from '../content/loader.js'
+import { listPages } from '../../src/lib/routes.js'
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+
+const toSitemap = (site, pages) => `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${pages.map(page => `  <url>
+    <loc>${escapeXml(`${site.url}${page.path}`)}</loc>${page.lastmod ? `
+    <lastmod>${page.lastmod}</lastmod>` : ''}
+  </url>`).join('\n')}
+</urlset>
+`
+
+// Sites that shouldn't be indexed (e.g. previews) turn crawlers away entirely
+const toRobots = (site) => site.indexable
+  ? `User-agent: *\nAllow: /\n\nSitemap: ${site.url}/sitemap.xml\n`
+  : 'User-agent: *\nDisallow: /\n'
+
+const renderFiles = (content) => [
+  { fileName: 'sitemap.xml', type: 'application/xml', source: toSitemap(content.site, listPages(content)) },
+  { fileName: 'robots.txt', type: 'text/plain', source: toRobots(content.site) }
+]
+
+// Emits sitemap.xml and robots.txt from the routes in src/lib/routes.js on build,
+// and serves the same files from the dev server.
+export default function sitemapPlugin() {
+  let includeDrafts = false
+
+  return {
+    name: 'portfolio-sitemap',
+    apply: (config, { isSsrBuild }) => !isSsrBuild,
+
+    configResolved(config) {
+      includeDrafts = config.command === 'serve'
+    },
+
+    generateBundle() {
+      for (const file of renderFiles(loadContent({ includeDrafts }))) {
+        this.emitFile({ type: 'asset', fileName: file.fileName, source: file.source })
+      }
+    },
+
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const path = req.url.split('?')[0]
+        if (path !== '/sitemap.xml' && path !== '/robots.txt') return next()
+
+        const file = renderFiles(loadContent({ includeDrafts })).find(file => `/${file.fileName}` === path)
+
+        res.setHeader('Content-Type', `${file.type}; charset=utf-8`)
+        res.end(file.source)
+      })
+    }
+  }
+}
@@ -0,0 +1,17 @@
+import { themeScript } from '../../src/lib/theme.js'
+import { motionScript } from '../../src/lib/motion.js'
+
+// Inlines the theme and motion scripts at the end of <head>, so the saved (or system) theme
+// and reduced motion setting apply before the first paint instead of flashing the defaults.
+// They run after the theme-color meta tag, which the theme script updates.
+// See src/lib/theme.js and src/lib/motion.js.
+export default function themePlugin() {
+  return {
+    name: 'portfolio-theme',
+
+    transformIndexHtml: () => [
+      { tag: 'script', children: themeScript(), injectTo: 'head' },
+      { tag: 'script', children: motionScript(), injectTo: 'head' }
+    ]
+  }
+}
@@ -0,0 +1,131 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import sharp from 'sharp'
+import { CONTENT_DIR, loadProjects } from '../content/loader.js'
+import { THUMBNAIL_FORMATS, THUMBNAIL_WIDTHS, thumbnailPath } from '../../src/lib/thumbnails.js'
+
+const VIRTUAL_ID = 'virtual:thumbnails'
+const RESOLVED_ID = '\0' + VIRTUAL_ID
+
+const ENCODERS = {
+  avif: (image) => image.avif({ quality: 50 }),
+  webp: (image) => image.webp({ quality: 75 })
+}
+
+const sourceFile = (project) => path.join(CONTENT_DIR, 'projects', project.thumbnail)
+
+// The widths a thumbnail is resized to, up to the image's own width but never beyond it
+const thumbnailWidths = (width) => {
+  const largest = Math.min(width, THUMBNAIL_WIDTHS.at(-1))
+  return [...THUMBNAIL_WIDTHS.filter(candidate => candidate < largest), largest]
+}
+
+// { widths, width, height, placeholder } for an image. The placeholder is the image shrunk
+// to 16px wide as a data: URL, shown blurred until the real one loads.
+const readThumbnail = async (file) => {
+  const image = sharp(file)
+  const { width, height } = await image.metadata()
+  const placeholder = await image.clone().resize(16).webp({ quality: 50 }).toBuffer()
+  return {
+    widths: thumbnailWidths(width),
+    width,
+    height,
+    placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`
+  }
+}
+
+// The dev server asks on every thumbnail request, so each image is read once per change
+const described = new Map()
+
+const describeThumbnail = (project) => {
+  const file = sourceFile(project)
+  const { mtimeMs } = fs.statSync(file)
+  if (described.get(file)?.mtimeMs !== mtimeMs) {
+    // A failed read isn't kept, so the next request tries again
+    const description = readThumbnail(file).catch(error => {
+      described.delete(file)
+      throw error
+    })
+    described.set(file, { mtimeMs, description })
+  }
+  return described.get(file).description
+}
+
+const listFiles = async (projects) => {
+  const files = []
+  for (const project of projects.filter(project => project.thumbnail)) {
+    const { widths } = await describeThumbnail(project)
+    for (const width of widths) {
+      for (const format of THUMBNAIL_FORMATS) {
+        files.push({ path: thumbnailPath(project, width, format), project, width, format })
+      }
+    }
+  }
+  return files
+}
+
+const renderFile = ({ project, width, format }) =>
+  ENCODERS[format](sharp(sourceFile(project)).resize(width)).toBuffer()
+
+// Resizes project thumbnails into AVIF and WebP at several widths on build (see
+// src/lib/thumbnails.js) and renders them on request in dev. `virtual:thumbnails` maps each
+// project slug with a thumbnail to its widths, size and blur placeholder.
+export default function thumbnailsPlugin() {
+  let isSsrBuild = false
+
+  return {
+    name: 'portfolio-thumbnails',
+
+    configResolved(config) {
+      isSsrBuild = Boolean(config.build.ssr)
+    },
+
+    resolveId(id) {
+      if (id === VIRTUAL_ID) return RESOLVED_ID
+    },
+
+    async load(id) {
+      if (id !== RESOLVED_ID) return
+
+      const projects = loadProjects().filter(project => project.thumbnail)
+      const thumbnails = {}
+      for (const project of projects) {
+        thumbnails[project.slug] = await describeThumbnail(project)
+      }
+      return `export default ${JSON.stringify(thumbnails)}`
+    },
+
+    async generateBundle() {
+      if (isSsrBuild) return
+
+      for (const file of await listFiles(loadProjects())) {
+        this.emitFile({ type: 'asset', fileName: file.path.slice(1), source: await renderFile(file) })
+      }
+    },
+
+    configureServer(server) {
+      // plugins/content reloads the page when src/content changes; make sure it gets new thumbnails
+      server.watcher.on('all', (event, file) => {
+        if (!path.resolve(file).startsWith(CONTENT_DIR)) return
+
+        const module = server.moduleGraph.getModuleById(RESOLVED_ID)
+        if (module) server.moduleGraph.invalidateModule(module)
+      })
+
+      server.middlewares.use(async (req, res, next) => {
+        const requestPath = req.url.split('?')[0]
+        if (!requestPath.startsWith('/thumbnails/')) return next()
+
+        try {
+          const file = (await listFiles(loadProjects())).find(file => file.path === requestPath)
+          if (!file) return next()
+
+          res.setHeader('Content-Type', `image/${file.format}`)
+          res.end(await renderFile(file))
+        } catch (error) {
+          next(error)
+        }
+      })
+    }
+  }
+}
@@ -0,0 +1,106 @@
+// `npm run import:resume -- path/to/resume.json`: makes a JSON Resume document the site's
+// content. Everything but projects becomes src/content/resume.json; projects the site doesn't
+// have yet become files in src/content/projects, with defaults for what JSON Resume can't
+// say (type, complexity, ...) to review. Existing projects are left alone. The résumé is dated by
+// the document's `meta.lastModified`, or the day of the import if it has none.
+// Every file is converted and validated before any is written, so a failed import changes nothing.
+import fs from 'node:fs'
+import path from 'node:path'
+import { Document, visit } from 'yaml'
+import { CONTENT_DIR, assertValidJsonResume, loadProjects } from '../plugins/content/loader.js'
+import { projectSchema, validate } from '../plugins/content/schema.js'
+import { slugify } from '../plugins/content/slug.js'
+import { JSON_RESUME_SCHEMA, findProfile } from '../src/lib/jsonResume.js'
+
+const RESUME_FILE = path.join(CONTENT_DIR, 'resume.json')
+const PROJECTS_DIR = path.join(CONTENT_DIR, 'projects')
+
+const [source] = process.argv.slice(2)
+if (!source) {
+  console.error('Usage: npm run import:resume -- path/to/resume.json')
+  process.exit(1)
+}
+
+const imported = JSON.parse(fs.readFileSync(source, 'utf8'))
+assertValidJsonResume(path.resolve(source), imported)
+
+// Skills keep the bar rating, icon and colour they already have here
+const current = fs.existsSync(RESUME_FILE) ? JSON.parse(fs.readFileSync(RESUME_FILE, 'utf8')) : {}
+const currentSkills = new Map((current.skills ?? []).map(skill => [skill.name, skill]))
+const skills = (imported.skills ?? []).map(skill => {
+  const { rating, icon, color } = currentSkills.get(skill.name) ?? {}
+  return { ...skill, ...(rating === undefined ? {} : { rating }), ...(icon ? { icon } : {}), ...(color ? { color } : {}) }
+})
+
+// The site URL comes from site.json, and the export adds it and the rest of `meta` back
+const { projects = [], meta = {}, $schema: _schema, basics: { url: _url, ...basics }, ...rest } = imported
+
+// "2024" -> "2024-01-01", "2024-05" -> "2024-05-01"
+const fullDate = (value) => [...value.split('-'), '01', '01'].slice(0, 3).join('-')
+
+const today = new Date().toISOString().slice(0, 10)
+
+// JSON Resume allows a full timestamp here, the site keeps the day
+const lastModified = meta.lastModified?.slice(0, 10) ?? today
+
+// Front matter in the style of the existing projects: lists inline, no YAML anchors
+const frontMatter = (data) => {
+  const doc = new Document(data, { aliasDuplicateObjects: false })
+  visit(doc, { Seq: (key, node) => { node.flow = true } })
+  return `---\n${doc.toString({ flowCollectionPadding: false })}---\n`
+}
+
+const isGitHub = (url) => url && new URL(url).hostname === 'github.com'
+
+const existing = loadProjects()
+let order = Math.max(0, ...existing.map(project => project.order))
+
+// { file, source, review } for each project file to add; `review` lists the guessed fields
+const newProjects = projects
+  .filter(project => {
+    const slug = slugify(project.name)
+    const known = existing.some(entry => entry.slug === slug || entry.title === project.name)
+    if (known) console.log(`kept src/content/projects/${slug}.md`)
+    return !known
+  })
+  .map(project => {
+    const startDate = project.startDate ?? project.endDate
+    const data = {
+      title: project.name,
+      description: project.description ?? project.highlights?.[0] ?? project.name,
+      tags: project.keywords ?? [],
+      category: project.entity ?? 'Personal',
+      type: 'Full Stack',
+      ...(isGitHub(project.url) || !project.url ? {} : { liveUrl: project.url }),
+      githubUrl: isGitHub(project.url) ? project.url : findProfile(basics, 'GitHub').url,
+      featured: false,
+      previewable: false,
+      technologies: project.keywords ?? [],
+      complexity: 'Intermediate',
+      ...(project.roles?.length ? { role: project.roles.join(', ') } : {}),
+      startDate: startDate ? fullDate(startDate) : today,
+      ...(project.endDate ? { endDate: fullDate(project.endDate) } : {}),
+      updatedAt: fullDate(project.endDate ?? startDate ?? today),
+      order: ++order
+    }
+
+    const [issue] = validate(data, projectSchema)
+    if (issue) throw new Error(`${project.name}: "${issue.field}" ${issue.message}`)
+
+    const body = project.highlights?.length
+      ? `\n## Outcomes\n\n${project.highlights.map(highlight => `- ${highlight}`).join('\n')}\n`
+      : ''
+    return {
+      file: path.join(PROJECTS_DIR, `${slugify(project.name)}.md`),
+      source: `${frontMatter(data)}${body}`,
+      review: ['type', 'complexity', 'category', ...(startDate ? [] : ['dates'])]
+    }
+  })
+
+fs.writeFileSync(RESUME_FILE, `${JSON.stringify({ $schema: JSON_RESUME_SCHEMA, basics, ...rest, skills, meta: { lastModified } }, null, 2)}\n`)
+console.log(`wrote ${path.relative(process.cwd(), RESUME_FILE)}`)
+
+for (const { file, source, review } of newProjects) {
+  fs.writeFileSync(file, source)
+  console.log(`added ${path.relative(process.cwd(), file)} (check its ${review.join(', ')})`)
+}
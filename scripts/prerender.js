@@ -0,0 +1,28 @@
+// Second half of `npm run build:static`: renders every page with the server bundle in
+// dist-ssr and writes it into the client build, e.g. /blog -> dist/blog/index.html.
+import fs from 'node:fs'
+import path from 'node:path'
+import { pathToFileURL } from 'node:url'
+
+const DIST_DIR = path.resolve('dist')
+const SSR_DIR = path.resolve('dist-ssr')
+const ROOT_ELEMENT = '<div id="root"></div>'
+
+const template = fs.readFileSync(path.join(DIST_DIR, 'index.html'), 'utf8')
+if (!template.includes(ROOT_ELEMENT)) {
+  throw new Error(`dist/index.html has no empty ${ROOT_ELEMENT} to render into`)
+}
+
+const { paths, render } = await import(pathToFileURL(path.join(SSR_DIR, 'entry-server.js')).href)
+
+for (const pagePath of paths) {
+  const html = await render(pagePath, template)
+  const file = path.join(DIST_DIR, decodeURIComponent(pagePath), 'index.html')
+
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  fs.writeFileSync(file, html)
+  console.log(`prerendered ${pagePath} -> ${path.relative(process.cwd(), file)}`)
+}
+
+// The server bundle was only needed to render
+fs.rmSync(SSR_DIR, { recursive: true, force: true })
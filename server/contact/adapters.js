@@ -0,0 +1,82 @@
+import fs from 'node:fs/promises'
+import path from 'node:path'
+
+// Delivery adapters: each takes the endpoint's settings and returns `deliver(message)`,
+// which resolves once the message is safely somewhere and rejects if it isn't.
+// `message` is { kind, receivedAt, subject, text, replyTo, attachments, fields }; see ./kinds.js.
+
+const textFor = (message) => `${message.text}\n\nReceived: ${message.receivedAt}\n`
+
+// Appends one JSON object per line, handy locally and for hosts with a writable disk.
+// Attachments are saved next to it in contact-attachments/ and the line points at them.
+const fileAdapter = ({ file }) => async ({ kind, receivedAt, fields, attachments }) => {
+  const attachmentsDir = path.join(path.dirname(file), 'contact-attachments')
+  const prefix = receivedAt.replace(/[^\dT]/g, '')
+
+  if (attachments.length > 0) await fs.mkdir(attachmentsDir, { recursive: true })
+  const saved = await Promise.all(attachments.map(async ({ name, type, data }, index) => {
+    const savedFile = path.join(attachmentsDir, `${prefix}-${index + 1}-${path.basename(name).replace(/[^\w.-]/g, '_')}`)
+    await fs.writeFile(savedFile, Buffer.from(data, 'base64'))
+    return { name, type, file: savedFile }
+  }))
+
+  await fs.mkdir(path.dirname(file), { recursive: true })
+  await fs.appendFile(file, `${JSON.stringify({ kind, receivedAt, ...fields, attachments: saved })}\n`)
+}
+
+// POSTs the message as JSON, e.g. to a Slack or Discord relay, Zapier or a form service.
+// Attachments are included with their base64 `data`.
+const webhookAdapter = ({ webhookUrl }) => async (message) => {
+  const { kind, receivedAt, subject, fields, attachments } = message
+  const response = await fetch(webhookUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ kind, receivedAt, subject, text: textFor(message), ...fields, attachments }),
+    signal: AbortSignal.timeout(10_000)
+  })
+  if (!response.ok) throw new Error(`webhook responded with ${response.status}`)
+}
+
+// Sends an email through any SMTP server. Replies go straight to the visitor.
+// nodemailer is only loaded when this adapter is used.
+const smtpAdapter = ({ smtpUrl, from, to }) => {
+  const transport = import('nodemailer').then(({ default: nodemailer }) => nodemailer.createTransport(smtpUrl))
+
+  return async (message) => {
+    await (await transport).sendMail({
+      from,
+      to,
+      replyTo: { name: message.replyTo.name, address: message.replyTo.email },
+      subject: message.subject,
+      text: textFor(message),
+      attachments: message.attachments.map(({ name, type, data }) => ({
+        filename: name,
+        contentType: type,
+        content: data,
+        encoding: 'base64'
+      }))
+    })
+  }
+}
+
+const ADAPTERS = {
+  file: { create: fileAdapter, requires: ['file'] },
+  webhook: { create: webhookAdapter, requires: ['webhookUrl'] },
+  smtp: { create: smtpAdapter, requires: ['smtpUrl', 'from', 'to'] }
+}
+
+export const ADAPTER_NAMES = Object.keys(ADAPTERS)
+
+export const createDelivery = (name, settings) => {
+  const adapter = ADAPTERS[name]
+  if (!adapter) {
+    throw new Error(`Unknown contact delivery "${name}", expected one of: ${ADAPTER_NAMES.join(', ')}`)
+  }
+
+  const missing = adapter.requires.filter(setting => !settings[setting])
+  if (missing.length > 0) {
+    throw new Error(`The "${name}" contact delivery needs: ${missing.join(', ')}`)
+  }
+
+  return adapter.create(settings)
+}
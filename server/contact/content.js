@@ -0,0 +1,23 @@
+import fs from 'node:fs'
+import { availabilitySchema, jsonResumeBasicsSchema, validate } from '../../plugins/content/schema.js'
+import { profileFromResume } from '../../src/lib/jsonResume.js'
+
+// The bits of src/content the endpoint needs for bookings, read directly rather than through
+// the content plugin so the endpoint doesn't depend on the build tooling.
+const CONTENT_DIR = new URL('../../src/content/', import.meta.url)
+
+const readContent = (name) => JSON.parse(fs.readFileSync(new URL(name, CONTENT_DIR), 'utf8'))
+
+const assertValid = (name, data, schema, prefix = '') => {
+  const [issue] = validate(data, schema)
+  if (issue) throw new Error(`src/content/${name}: "${prefix}${issue.field}" ${issue.message}`)
+}
+
+export const loadContactContent = () => {
+  const resume = readContent('resume.json')
+  assertValid('resume.json', resume.basics, jsonResumeBasicsSchema, 'basics.')
+  const availability = readContent('availability.json')
+  assertValid('availability.json', availability, availabilitySchema)
+
+  return { profile: profileFromResume(resume), availability }
+}
@@ -0,0 +1,41 @@
+import { HONEYPOT_FIELD } from '../../src/lib/inquiry.js'
+
+// The contact endpoint itself, independent of any server: it takes a request as
+// { method, ip, body } (body already parsed) and resolves to { status, headers, body }.
+// The body's `kind` picks one of `kinds` (./kinds.js), a project inquiry by default.
+// See ./http.js for plugging it into Node's http module.
+export const createContactHandler = ({ kinds, deliver, rateLimit, log = console }) => async ({ method, ip, body }) => {
+  if (method !== 'POST') {
+    return { status: 405, headers: { Allow: 'POST' }, body: { error: 'methodNotAllowed' } }
+  }
+
+  const kind = body?.kind ?? 'inquiry'
+  if (typeof body !== 'object' || body === null || !Object.hasOwn(kinds, kind)) {
+    return { status: 400, body: { error: 'invalid', fields: {} } }
+  }
+
+  const { allowed, retryAfter } = rateLimit(ip)
+  if (!allowed) {
+    return { status: 429, headers: { 'Retry-After': String(retryAfter) }, body: { error: 'rateLimited', retryAfter } }
+  }
+
+  // A filled honeypot looks like success to the bot, but nothing is sent
+  if (body[HONEYPOT_FIELD]) {
+    return { status: 200, body: { ok: true } }
+  }
+
+  const submission = kinds[kind].normalize(body)
+  const fields = kinds[kind].validate(submission)
+  if (Object.keys(fields).length > 0) {
+    return { status: 400, body: { error: 'invalid', fields } }
+  }
+
+  try {
+    await deliver({ kind, receivedAt: new Date().toISOString(), ...kinds[kind].toMessage(submission) })
+  } catch (error) {
+    log.error(`contact: delivery failed (${error.message})`)
+    return { status: 502, body: { error: 'deliveryFailed' } }
+  }
+
+  return { status: 200, body: { ok: true } }
+}
@@ -0,0 +1,74 @@
+// Adapts the contact handler to Node's (req, res), which is what the standalone server,
+// the Vite dev server and Node serverless runtimes (e.g. Vercel's api/ functions) all speak.
+
+class BodyError extends Error {
+  constructor(status, code) {
+    super(code)
+    this.status = status
+    this.code = code
+  }
+}
+
+const readBody = async (req, maxBodyBytes) => {
+  // Some serverless runtimes hand over an already parsed body
+  if (req.body !== undefined) return req.body
+
+  let size = 0
+  const chunks = []
+  for await (const chunk of req) {
+    size += chunk.length
+    if (size > maxBodyBytes) throw new BodyError(413, 'tooLarge')
+    chunks.push(chunk)
+  }
+
+  const raw = Buffer.concat(chunks).toString('utf8')
+  const type = req.headers['content-type'] ?? ''
+  try {
+    if (type.startsWith('application/json')) return JSON.parse(raw)
+    if (type.startsWith('application/x-www-form-urlencoded')) return Object.fromEntries(new URLSearchParams(raw))
+  } catch {
+    throw new BodyError(400, 'invalid')
+  }
+  throw new BodyError(415, 'unsupportedMediaType')
+}
+
+// Behind a proxy or on a serverless platform every request comes from the same address,
+// so the client's own one is taken from X-Forwarded-For instead. Only trust that header
+// when something in front of the endpoint sets it, otherwise clients can pick their own.
+const clientAddress = (req, trustProxy) => {
+  const forwarded = trustProxy && req.headers['x-forwarded-for']
+  return forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress
+}
+
+const send = (res, { status, headers = {}, body }) => {
+  res.writeHead(status, {
+    ...headers,
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store'
+  })
+  res.end(JSON.stringify(body))
+}
+
+// `allowedOrigin` lets a site on another origin post to the endpoint (CORS)
+export const toNodeHandler = (handle, { maxBodyBytes, trustProxy = false, allowedOrigin } = {}) => async (req, res) => {
+  if (allowedOrigin) {
+    res.setHeader('Access-Control-Allow-Origin', allowedOrigin)
+    res.setHeader('Vary', 'Origin')
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, { 'Access-Control-Allow-Methods': 'POST', 'Access-Control-Allow-Headers': 'Content-Type' })
+      return res.end()
+    }
+  }
+
+  let body
+  if (req.method === 'POST') {
+    try {
+      body = await readBody(req, maxBodyBytes)
+    } catch (error) {
+      if (!(error instanceof BodyError)) throw error
+      return send(res, { status: error.status, body: { error: error.code } })
+    }
+  }
+
+  send(res, await handle({ method: req.method, ip: clientAddress(req, trustProxy), body }))
+}
@@ -0,0 +1,36 @@
+import { formatInquiry, normalizeInquiry, validateInquiry } from '../../src/lib/inquiry.js'
+import { bookingInvite, formatBooking, formatSlot, normalizeBooking, validateBooking } from '../../src/lib/booking.js'
+
+// What the endpoint accepts, by the request's `kind`: how to clean it up, check it, and
+// turn it into a message for the delivery adapters. A message is
+// { subject, text, replyTo: { name, email }, attachments: [{ name, type, data }], fields },
+// where attachment data is base64 and `fields` is the submission itself.
+export const createKinds = ({ profile, availability }) => ({
+  inquiry: {
+    normalize: normalizeInquiry,
+    validate: validateInquiry,
+    toMessage: ({ attachments, ...fields }) => ({
+      subject: `Project inquiry from ${fields.name} (${fields.projectType})`,
+      text: formatInquiry({ ...fields, attachments }),
+      replyTo: { name: fields.name, email: fields.email },
+      attachments,
+      fields
+    })
+  },
+
+  booking: {
+    normalize: normalizeBooking,
+    validate: (booking) => validateBooking(booking, availability),
+    toMessage: (booking) => ({
+      subject: `Discovery call request from ${booking.name}, ${formatSlot(availability, new Date(booking.start), availability.timeZone)}`,
+      text: formatBooking(booking, availability),
+      replyTo: { name: booking.name, email: booking.email },
+      attachments: [{
+        name: 'invite.ics',
+        type: 'text/calendar',
+        data: Buffer.from(bookingInvite(booking, { availability, profile })).toString('base64')
+      }],
+      fields: booking
+    })
+  }
+})
@@ -0,0 +1,25 @@
+// Fixed-window rate limiting in memory, keyed by client address.
+// Each server process (or warm serverless instance) keeps its own counts, which is enough
+// to stop a single client hammering the form without needing a shared store.
+export const createRateLimiter = ({ limit, windowMs, now = Date.now }) => {
+  const windows = new Map()
+
+  // { allowed, retryAfter } where `retryAfter` is in whole seconds
+  return (key) => {
+    const time = now()
+
+    // Drop expired windows as we go so the map doesn't grow forever
+    for (const [client, window] of windows) {
+      if (window.resetAt <= time) windows.delete(client)
+    }
+
+    const window = windows.get(key) ?? { count: 0, resetAt: time + windowMs }
+    window.count += 1
+    windows.set(key, window)
+
+    return {
+      allowed: window.count <= limit,
+      retryAfter: Math.ceil((window.resetAt - time) / 1000)
+    }
+  }
+}
@@ -0,0 +1,24 @@
+// `npm run serve:contact`: the contact endpoint as a standalone Node server, for hosting
+// it next to the static site (point VITE_CONTACT_ENDPOINT at it) or trying it locally.
+import http from 'node:http'
+import { CONTACT_PATH, createContactEndpoint } from './index.js'
+
+const port = Number(process.env.PORT) || 8787
+const endpoint = createContactEndpoint()
+
+const server = http.createServer((req, res) => {
+  if (req.url.split('?')[0] !== CONTACT_PATH) {
+    res.writeHead(404).end()
+    return
+  }
+
+  endpoint(req, res).catch(error => {
+    console.error(error)
+    if (!res.headersSent) res.writeHead(500)
+    res.end()
+  })
+})
+
+server.listen(port, () => {
+  console.log(`contact endpoint listening on http://localhost:${port}${CONTACT_PATH}`)
+})
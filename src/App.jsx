@@ -1,12 +1,45 @@
-import React, { useState, useEffect, useCallback, useMemo, lazy, Suspense } from 'react'
+import React, { useState, useEffect, useCallback, useMemo, useRef, lazy, Suspense } from 'react'
 import AOS from 'aos'
+import { site, profile, projects, skills, work, education, resumeModified, posts } from 'virtual:content'
+import { useLocation, navigate, matchRoute } from './lib/router'
+import { NAV_SECTIONS, ROUTES } from './lib/routes'
+import { getHeadTags, getPageMeta, applyHeadTags } from './lib/seo'
+import { parseFilterParams, serializeFilterParams } from './lib/filterParams'
+import { EMPTY_FILTERS, getFacetValues, getFacetOptions, matchesFilters } from './lib/projectFacets'
+import { PROJECT_SEARCH_FIELDS } from './lib/projectSearch'
+import { projectAction } from './lib/projectAction'
+import { createSearch } from './lib/search'
+import { I18nProvider, localize, useI18n } from './lib/i18n'
+import { THEME_PREFERENCES, ThemeProvider, themeIcon, useTheme } from './lib/theme'
+import { MotionProvider, useMotion } from './lib/motion'
+import { DEFAULT_SORT, SORT_MODES, isSortMode, sortProjects } from './lib/projectSort'
+import { usePersistentState } from './lib/storage'
+import { emailUrl, phoneUrl, phoneLabel, whatsappUrl, openExternal, copyEmail, downloadResume, saveContact } from './lib/contact'
+import Link from './components/Link'
+import Highlight from './components/Highlight'
+import PostCard from './components/PostCard'
+import LanguageSwitcher from './components/LanguageSwitcher'
+import ThemeSwitcher from './components/ThemeSwitcher'
+import MotionToggle from './components/MotionToggle'
+import InquiryWizard from './components/InquiryWizard'
+import BookingWidget from './components/BookingWidget'
+import ResumeDownload from './components/ResumeDownload'
+import ProjectThumbnail from './components/ProjectThumbnail'
+import { resumeUpdated, yearsOfExperience } from './lib/resume'
 import 'aos/dist/aos.css'
+import 'highlight.js/styles/github-dark.css'
 import './App.css'
 
 // Lazy load heavy components for code splitting
 const PreviewModal = lazy(() => import('./components/PreviewModal'))
 const HoverPreview = lazy(() => import('./components/HoverPreview'))
 const ProjectFilters = lazy(() => import('./components/ProjectFilters'))
+const ProjectDetail = lazy(() => import('./components/ProjectDetail'))
+const CommandPalette = lazy(() => import('./components/CommandPalette'))
+const Terminal = lazy(() => import('./components/Terminal'))
+const BlogIndex = lazy(() => import('./components/BlogIndex'))
+const BlogPost = lazy(() => import('./components/BlogPost'))
+const BusinessCard = lazy(() => import('./components/BusinessCard'))
 
 // Error Boundary Component
 class ErrorBoundary extends React.Component {
@@ -29,10 +62,10 @@ class ErrorBoundary extends React.Component {
   render() {
     if (this.state.hasError) {
       return (
-        <div className="min-h-screen flex items-center justify-center bg-gray-900 text-white">
+        <div className="min-h-screen flex items-center justify-center bg-page text-fg">
           <div className="text-center p-8">
             <h2 className="text-2xl font-bold mb-4">⚠️ Something went wrong</h2>
-            <p className="text-gray-400 mb-4">The application encountered an unexpected error.</p>
+            <p className="text-muted mb-4">The application encountered an unexpected error.</p>
             <button 
               onClick={() => window.location.reload()} 
               className="px-6 py-3 bg-purple-600 rounded-lg hover:bg-purple-700 transition-colors"
@@ -49,7 +82,7 @@ class ErrorBoundary extends React.Component {
 
 // Loading Spinner Component
 const LoadingSpinner = () => (
-  <div className="min-h-screen flex items-center justify-center bg-gray-900">
+  <div className="min-h-screen flex items-center justify-center bg-page">
     <div className="relative">
       <div className="w-20 h-20 border-4 border-purple-300 border-solid rounded-full animate-spin border-t-purple-600"></div>
       <div className="absolute top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-1/2">
@@ -59,12 +92,14 @@ const LoadingSpinner = () => (
   </div>
 )
 
-// Simple typing component
+// Simple typing component. With reduced motion the text is shown whole.
 const SimpleTyping = ({ text, speed = 100 }) => {
   const [displayText, setDisplayText] = useState('')
   const [currentIndex, setCurrentIndex] = useState(0)
+  const { reduceMotion } = useMotion()
 
   useEffect(() => {
+    if (reduceMotion) return
     if (currentIndex < text.length) {
       const timer = setTimeout(() => {
         setDisplayText(prev => prev + text[currentIndex])
@@ -72,39 +107,72 @@ const SimpleTyping = ({ text, speed = 100 }) => {
       }, speed)
       return () => clearTimeout(timer)
     }
-  }, [currentIndex, text, speed])
+  }, [currentIndex, text, speed, reduceMotion])
 
-  return <span>{displayText}<span className="animate-pulse">|</span></span>
+  // The full text is there from the first render for screen readers, crawlers and prerendered HTML
+  return (
+    <span>
+      <span className="sr-only">{text}</span>
+      <span aria-hidden="true">{reduceMotion ? text : displayText}<span className="animate-pulse">|</span></span>
+    </span>
+  )
 }
 
+// Facts and figures from src/content: "MK" for the profile card, the years since the first
+// job (null without a work history) counted to the résumé's date, and the average skill rating
+const INITIALS = profile.name.split(/\s+/).map(word => word[0]).join('').toUpperCase()
+const LAST_UPDATED = resumeUpdated(projects, resumeModified)
+const EXPERIENCE_YEARS = yearsOfExperience(work, LAST_UPDATED)
+const AVERAGE_SKILL_LEVEL = skills.length > 0
+  ? Math.round(skills.reduce((sum, skill) => sum + skill.level, 0) / skills.length)
+  : null
+
+// Ties a project thumbnail to the hover preview describing it
+const HOVER_PREVIEW_ID = 'project-hover-preview'
+
+// Background particle layout. Pseudo-random but fixed, so prerendered markup matches the client.
+const PARTICLES = Array.from({ length: 15 }, (_, i) => {
+  const random = (seed) => {
+    const x = Math.sin(i * 12.9898 + seed * 78.233) * 43758.5453
+    return x - Math.floor(x)
+  }
+  return { left: random(1) * 100, top: random(2) * 100, delay: random(3) * 5, duration: 3 + random(4) * 4 }
+})
+
 function App() {
-  const [isDarkMode, setIsDarkMode] = useState(true) // Start with dark mode
   const [mousePosition, setMousePosition] = useState({ x: 0, y: 0 })
   const [isMenuOpen, setIsMenuOpen] = useState(false)
   const [previewModal, setPreviewModal] = useState({ isOpen: false, project: null })
   const [hoveredProject, setHoveredProject] = useState(null)
   const [hoverPreview, setHoverPreview] = useState({ project: null, position: null })
-  const [hoverTimeout, setHoverTimeout] = useState(null)
-  const [isLoading, setIsLoading] = useState(true)
+  const hoverTimer = useRef(null)
+  const menuButtonRef = useRef(null)
   const [scrollProgress, setScrollProgress] = useState(0)
   const [showBackToTop, setShowBackToTop] = useState(false)
   const [selectedFilter, setSelectedFilter] = useState('All')
-  const [searchTerm, setSearchTerm] = useState('')
-  
-  // Enhanced filtering state
-  const [activeFilters, setActiveFilters] = useState({
-    category: 'All',
-    type: 'All',
-    complexity: 'All'
-  })
-
-  // Simulate initial loading
+  const [sortMode, setSortMode] = usePersistentState('portfolio:project-sort', DEFAULT_SORT, isSortMode)
+  const [isPaletteOpen, setIsPaletteOpen] = useState(false)
+  const { t, locale, setLocale, formatDateRange, sourceLanguage } = useI18n()
+  const { setTheme } = useTheme()
+  const { reduceMotion, toggleMotion } = useMotion()
+
+  // Projects with their translated fields for the current language, searched in that language too.
+  // The grid, the command palette and the terminal's filter all search these.
+  const localizedProjects = useMemo(() => projects.map(project => localize(project, locale)), [locale])
+  const searchLocalizedProjects = useMemo(() => createSearch(localizedProjects, PROJECT_SEARCH_FIELDS), [localizedProjects])
+
+  // Client-side routing: "/" renders the single-page sections, the other routes a page of their own
+  const location = useLocation()
+  const route = useMemo(() => matchRoute(ROUTES, location.pathname), [location.pathname])
+  const isHomeRoute = route.name === 'home'
+  const activeProject = route.name === 'project' ? localizedProjects.find(project => project.slug === route.params.slug) : null
+  const activePost = route.name === 'blogPost' ? posts.find(post => post.slug === route.params.slug) : null
+
+  // Keep the title, meta tags and structured data in step with the page (or home section) shown
   useEffect(() => {
-    const timer = setTimeout(() => {
-      setIsLoading(false)
-    }, 1500)
-    return () => clearTimeout(timer)
-  }, [])
+    const content = { site, profile, projects, skills, work, education, posts }
+    applyHeadTags(getHeadTags(getPageMeta(location, content), content))
+  }, [location])
 
   // Initialize AOS animations with safer settings
   useEffect(() => {
@@ -150,6 +218,20 @@ function App() {
     }
   }, [])
 
+  // Escape closes the mobile menu and returns to its button
+  useEffect(() => {
+    if (!isMenuOpen) return
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        setIsMenuOpen(false)
+        menuButtonRef.current?.focus()
+      }
+    }
+    document.addEventListener('keydown', handleKeyDown)
+    return () => document.removeEventListener('keydown', handleKeyDown)
+  }, [isMenuOpen])
+
   // Mouse tracking for interactive effects - optimized with useCallback
   const handleMouseMove = useCallback((e) => {
     if (e && e.clientX !== undefined && e.clientY !== undefined) {
@@ -157,12 +239,13 @@ function App() {
     }
   }, [])
 
+  // Nothing follows the cursor with reduced motion
   useEffect(() => {
-    if (typeof window !== 'undefined') {
+    if (typeof window !== 'undefined' && !reduceMotion) {
       window.addEventListener('mousemove', handleMouseMove)
       return () => window.removeEventListener('mousemove', handleMouseMove)
     }
-  }, [handleMouseMove])
+  }, [handleMouseMove, reduceMotion])
 
   // Scroll progress tracking
   useEffect(() => {
@@ -185,6 +268,17 @@ function App() {
 
   // Smooth scroll to section - optimized with useCallback
   const scrollToSection = useCallback((sectionId) => {
+    // Sections only exist on the home route, so go there first and scroll once it renders
+    if (!isHomeRoute) {
+      navigate('/', { state: { section: sectionId } })
+      setIsMenuOpen(false)
+      return
+    }
+
+    // Reflect the section in the URL so it can be shared and gets its own title and meta tags
+    const { pathname, search } = window.location
+    navigate(`${pathname}${search}${sectionId === 'home' ? '' : `#${sectionId}`}`, { replace: true })
+
     const element = document.getElementById(sectionId)
     if (element) {
       // Get the header height for proper offset
@@ -196,146 +290,242 @@ function App() {
       if (document.body.style.overflow !== 'hidden' && typeof window !== 'undefined') {
         window.scrollTo({
           top: Math.max(0, offsetTop),
-          behavior: 'smooth'
+          behavior: reduceMotion ? 'auto' : 'smooth'
         })
       }
     }
     setIsMenuOpen(false)
+  }, [isHomeRoute, reduceMotion])
+
+  // Restore the right scroll position when returning to the home route
+  useEffect(() => {
+    window.history.scrollRestoration = 'manual'
   }, [])
 
-  // Skills data
-  const skills = [
-    { name: 'React', level: 95, icon: '⚛️', color: 'from-blue-400 to-blue-600' },
-    { name: 'JavaScript', level: 92, icon: '📝', color: 'from-yellow-400 to-orange-500' },
-    { name: 'TypeScript', level: 88, icon: '🔷', color: 'from-blue-500 to-indigo-600' },
-    { name: 'Node.js', level: 85, icon: '🟢', color: 'from-green-400 to-green-600' },
-    { name: 'Express.js', level: 88, icon: '🚀', color: 'from-gray-600 to-gray-800' },
-    { name: 'MongoDB', level: 82, icon: '🍃', color: 'from-green-500 to-green-700' },
-    { name: 'HTML', level: 95, icon: '🌐', color: 'from-orange-400 to-red-500' },
-    { name: 'CSS/SCSS', level: 90, icon: '🎨', color: 'from-pink-400 to-purple-600' }
-  ]
-
-  // Projects data with enhanced categorization
-  const projects = [
+  useEffect(() => {
+    if (!isHomeRoute) return
+
+    const { section, scrollY } = location.state
+    const frame = requestAnimationFrame(() => {
+      if (scrollY !== undefined) {
+        window.scrollTo({ top: scrollY, behavior: 'instant' })
+      } else if (section) {
+        scrollToSection(section)
+      }
+    })
+    return () => cancelAnimationFrame(frame)
+  }, [location, isHomeRoute, scrollToSection])
+
+  // Deep links such as "/#contact" or a shared filter URL scroll to their section once, after the first load
+  const hasScrolledToHash = useRef(false)
+  useEffect(() => {
+    if (!isHomeRoute || hasScrolledToHash.current) return
+
+    hasScrolledToHash.current = true
+    const sectionId = window.location.hash.slice(1)
+    if (sectionId) requestAnimationFrame(() => scrollToSection(sectionId))
+  }, [isHomeRoute, scrollToSection])
+
+  // Go back to the grid, reusing the history entry we came from when there is one
+  const handleBackToProjects = useCallback(() => {
+    if (location.state.from === 'home') {
+      window.history.back()
+    } else {
+      navigate('/', { state: { section: 'projects' } })
+    }
+  }, [location])
+
+  // Command palette: Ctrl/Cmd+K toggles it from anywhere on the page
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault()
+        setIsPaletteOpen(open => !open)
+      }
+    }
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [])
+
+  // Same behaviour as clicking a project card's thumbnail
+  const openProject = useCallback((project) => {
+    const action = projectAction(project)
+    if (action === 'preview') {
+      setPreviewModal({ isOpen: true, project })
+    } else if (action === 'live') {
+      openExternal(project.liveUrl)
+    } else if (action === 'caseStudy') {
+      navigate(`/projects/${project.slug}`)
+    } else {
+      openExternal(project.githubUrl)
+    }
+  }, [])
+
+  // Show the hover preview next to `element` (a card, or a thumbnail focused from the keyboard)
+  // after a short delay
+  const showHoverPreview = useCallback((project, element) => {
+    clearTimeout(hoverTimer.current)
+    hoverTimer.current = setTimeout(() => {
+      const rect = element.getBoundingClientRect()
+      setHoverPreview({ project, position: { x: rect.right, y: rect.top + rect.height / 2 } })
+    }, 150)
+  }, [])
+
+  // Hiding waits a moment so the pointer can cross from the card onto the preview
+  const hideHoverPreview = useCallback((delay = 0) => {
+    clearTimeout(hoverTimer.current)
+    hoverTimer.current = setTimeout(() => setHoverPreview({ project: null, position: null }), delay)
+  }, [])
+
+  const paletteCommands = useMemo(() => [
+    ...NAV_SECTIONS.map(section => ({
+      id: `section:${section.toLowerCase()}`,
+      group: 'Sections',
+      icon: '#',
+      title: t(`nav.sections.${section.toLowerCase()}`),
+      keywords: ['go to', 'section'],
+      run: () => scrollToSection(section.toLowerCase())
+    })),
+    ...THEME_PREFERENCES.map(preference => ({
+      id: `theme:${preference}`,
+      group: 'Actions',
+      icon: themeIcon(preference),
+      title: t('palette.useTheme', { theme: t(`theme.options.${preference}`) }),
+      keywords: ['theme', 'colour', 'color', 'mode', preference],
+      run: () => setTheme(preference)
+    })),
+    {
+      id: 'action:motion',
+      group: 'Actions',
+      icon: reduceMotion ? '▶' : '⏸',
+      title: t(reduceMotion ? 'palette.allowMotion' : 'palette.reduceMotion'),
+      keywords: ['motion', 'animation', 'accessibility', 'pause'],
+      run: toggleMotion
+    },
     {
-      title: 'Cool Air Repairs',
-      description: 'Professional air conditioning services website with modern design, service booking, and customer contact features.',
-      tags: ['React', 'Responsive Design', 'Business Website', 'Contact Forms'],
-      category: 'Business',
-      type: 'Frontend',
-      liveUrl: 'https://sayyedshoaib.onrender.com',
-      githubUrl: 'https://github.com/moinkhan-in/cool-air-repairs',
-      featured: true,
-      previewable: true,
-      technologies: ['React', 'JavaScript', 'CSS', 'HTML'],
-      complexity: 'Intermediate'
+      id: 'action:resume',
+      group: 'Actions',
+      icon: '📥',
+      title: t('palette.downloadResume'),
+      keywords: ['cv', 'pdf'],
+      run: () => downloadResume('pdf')
     },
     {
-      title: 'AI-Powered Portfolio',
-      description: 'Advanced React portfolio with AI features, dynamic themes, and stunning animations.',
-      tags: ['React', 'Tailwind CSS', 'AOS', 'Vite'],
-      category: 'Personal',
-      type: 'Frontend',
-      liveUrl: 'https://portfolio-demo.com',
-      githubUrl: 'https://github.com/moinkhan-in/portfolio',
-      featured: true,
-      previewable: false,
-      technologies: ['React', 'Tailwind CSS', 'JavaScript', 'Vite'],
-      complexity: 'Advanced'
+      id: 'action:copy-email',
+      group: 'Actions',
+      icon: '📋',
+      title: t('palette.copyEmail'),
+      subtitle: profile.email,
+      keywords: ['mail', 'contact', 'clipboard'],
+      feedback: t('palette.emailCopied'),
+      run: copyEmail
     },
     {
-      title: 'E-Commerce Platform',
-      description: 'Full-stack e-commerce solution with React frontend, Node.js backend, and secure payments.',
-      tags: ['React', 'Node.js', 'MongoDB', 'Stripe'],
-      category: 'E-Commerce',
-      type: 'Full Stack',
-      githubUrl: 'https://github.com/moinkhan-in/ecommerce',
-      featured: true,
-      previewable: false,
-      technologies: ['React', 'Node.js', 'MongoDB', 'Express.js'],
-      complexity: 'Advanced'
+      id: 'action:whatsapp',
+      group: 'Actions',
+      icon: '💬',
+      title: t('palette.whatsapp'),
+      keywords: ['message', 'contact', 'phone'],
+      run: () => openExternal(whatsappUrl)
     },
     {
-      title: 'Task Management App',
-      description: 'Productivity application with drag-and-drop functionality and real-time collaboration.',
-      tags: ['React', 'Firebase', 'Material-UI', 'WebSocket'],
-      category: 'Productivity',
-      type: 'Full Stack',
-      liveUrl: 'https://taskflow-pro.netlify.app/',
-      githubUrl: 'https://github.com/moinkhan-in/task-manager',
-      featured: true,
-      previewable: true,
-      technologies: ['React', 'Firebase', 'JavaScript', 'WebSocket'],
-      complexity: 'Intermediate'
+      id: 'action:linkedin',
+      group: 'Actions',
+      icon: '💼',
+      title: t('palette.linkedin'),
+      keywords: ['social', 'contact', 'profile'],
+      run: () => openExternal(profile.linkedin)
     },
     {
-      title: 'Weather Dashboard',
-      description: 'Real-time weather application with location-based forecasts and interactive maps.',
-      tags: ['React', 'Weather API', 'Charts', 'Geolocation'],
-      category: 'Utility',
-      type: 'Frontend',
-      githubUrl: 'https://github.com/moinkhan-in/weather-app',
-      featured: false,
-      previewable: false,
-      technologies: ['React', 'JavaScript', 'APIs', 'CSS'],
-      complexity: 'Beginner'
+      id: 'action:save-contact',
+      group: 'Actions',
+      icon: '💾',
+      title: t('palette.saveContact'),
+      keywords: ['vcard', 'vcf', 'address book', 'contact'],
+      run: saveContact
     },
     {
-      title: 'Blog CMS',
-      description: 'Content management system for blogs with markdown support and admin dashboard.',
-      tags: ['React', 'Node.js', 'MongoDB', 'Admin Panel'],
-      category: 'CMS',
-      type: 'Full Stack',
-      githubUrl: 'https://github.com/moinkhan-in/blog-cms',
-      featured: false,
-      previewable: false,
-      technologies: ['React', 'Node.js', 'MongoDB', 'Express.js'],
-      complexity: 'Advanced'
+      id: 'action:business-card',
+      group: 'Actions',
+      icon: '🪪',
+      title: t('palette.businessCard'),
+      keywords: ['qr', 'print', 'contact', 'card'],
+      run: () => navigate('/card')
     }
-  ]
+  ], [reduceMotion, scrollToSection, setTheme, t, toggleMotion])
 
-  // Get unique filter categories
-  const filterCategories = useMemo(() => {
-    const categories = ['All', ...new Set(projects.map(project => project.category))]
-    const types = ['All', ...new Set(projects.map(project => project.type))]
-    const complexities = ['All', ...new Set(projects.map(project => project.complexity))]
-    return { categories, types, complexities }
-  }, [projects])
+  // Close first so the palette's scroll lock and focus are released before the command runs
+  const handlePaletteSelect = useCallback((command) => {
+    setIsPaletteOpen(false)
+    requestAnimationFrame(() => command.run())
+  }, [])
 
-  // Filter handling functions
-  const handleFilterChange = useCallback((filterType, value) => {
-    setActiveFilters(prev => ({
-      ...prev,
-      [filterType]: value
-    }))
+  // Get unique values for every filter facet
+  const filterCategories = useMemo(() => getFacetValues(projects), [])
+
+  // Filter state lives in the query string so it can be shared and follows back/forward
+  const { filters: activeFilters, searchTerm } = useMemo(
+    () => parseFilterParams(location.search, filterCategories),
+    [location.search, filterCategories]
+  )
+
+  const updateFilterParams = useCallback((filters, term, options) => {
+    const query = serializeFilterParams(window.location.search, filters, term)
+    navigate(`${window.location.pathname}${query}#projects`, options)
   }, [])
 
+  // Filter handling functions
+  const handleFilterChange = useCallback((facetKey, values) => {
+    updateFilterParams({ ...activeFilters, [facetKey]: values }, searchTerm)
+  }, [activeFilters, searchTerm, updateFilterParams])
+
+  // Typing replaces the current entry so back/forward steps over whole searches, not keystrokes
   const handleSearchChange = useCallback((value) => {
-    setSearchTerm(value)
-  }, [])
+    updateFilterParams(activeFilters, value, { replace: true })
+  }, [activeFilters, updateFilterParams])
+
+  const handleClearFilters = useCallback(() => {
+    updateFilterParams(EMPTY_FILTERS, '')
+  }, [updateFilterParams])
+
+  // Projects matching the search term ranked by relevance, before facets are applied
+  const searchResults = useMemo(() => searchLocalizedProjects(searchTerm), [searchLocalizedProjects, searchTerm])
+  const searchedProjects = useMemo(() => searchResults.map(result => result.item), [searchResults])
+  const searchMatches = useMemo(
+    () => Object.fromEntries(searchResults.map(result => [result.item.slug, result.matches])),
+    [searchResults]
+  )
 
-  // Filtered projects based on active filters and search
-  const filteredProjects = useMemo(() => {
-    return projects.filter(project => {
-      // Category filter
-      const matchesCategory = activeFilters.category === 'All' || project.category === activeFilters.category
-      
-      // Type filter
-      const matchesType = activeFilters.type === 'All' || project.type === activeFilters.type
-      
-      // Complexity filter
-      const matchesComplexity = activeFilters.complexity === 'All' || project.complexity === activeFilters.complexity
-      
-      // Search filter
-      const matchesSearch = !searchTerm || 
-        project.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        project.description.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        project.tags.some(tag => tag.toLowerCase().includes(searchTerm.toLowerCase())) ||
-        project.technologies.some(tech => tech.toLowerCase().includes(searchTerm.toLowerCase()))
-      
-      return matchesCategory && matchesType && matchesComplexity && matchesSearch
-    })
-  }, [projects, activeFilters, searchTerm])
+  // Filtered projects based on active filters and search, in the selected sort order
+  const filteredProjects = useMemo(
+    () => sortProjects(searchedProjects.filter(project => matchesFilters(project, activeFilters)), sortMode),
+    [searchedProjects, activeFilters, sortMode]
+  )
+
+  // Facet options with live counts against the other active facets
+  const facetOptions = useMemo(
+    () => getFacetOptions(searchedProjects, filterCategories, activeFilters),
+    [searchedProjects, filterCategories, activeFilters]
+  )
+
+  // Data and handlers behind the hero terminal's commands
+  const terminalContext = useMemo(() => ({
+    profile,
+    projects,
+    skills,
+    sections: NAV_SECTIONS,
+    facetValues: filterCategories,
+    onOpenProject: openProject,
+    onScrollToSection: scrollToSection,
+    onFilter: (filters, term) => {
+      updateFilterParams(filters, term)
+      requestAnimationFrame(() => scrollToSection('projects'))
+      return searchLocalizedProjects(term).filter(result => matchesFilters(result.item, filters)).length
+    },
+    onSetTheme: setTheme,
+    onDownloadResume: downloadResume
+  }), [filterCategories, openProject, scrollToSection, searchLocalizedProjects, setTheme, updateFilterParams])
 
   // Performance: Memoize expensive calculations
   const skillsWithAnimationDelay = useMemo(() => 
@@ -343,23 +533,18 @@ function App() {
       ...skill,
       animationDelay: index * 100
     })),
-    [skills]
+    []
   )
 
   const featuredProjects = useMemo(() => 
     projects.filter(project => project.featured),
-    [projects]
+    []
   )
 
-  // Early return for loading state
-  if (isLoading) {
-    return <LoadingSpinner />
-  }
-
   return (
-    <div className={`min-h-screen ${isDarkMode ? 'bg-gray-900 text-white' : 'bg-white text-gray-900'} transition-colors duration-500`}>
+    <div className="min-h-screen bg-page text-fg transition-colors duration-500">
       {/* Scroll Progress Bar */}
-      <div className={`fixed top-0 left-0 w-full h-1 ${isDarkMode ? 'bg-gray-700' : 'bg-gray-200'} z-50`}>
+      <div className="fixed top-0 left-0 w-full h-1 bg-raised z-50 print:hidden">
         <div 
           className="h-full bg-gradient-to-r from-purple-500 to-cyan-500 transition-all duration-300 ease-out"
           style={{ width: `${scrollProgress}%` }}
@@ -370,25 +555,27 @@ function App() {
       {showBackToTop && (
         <button
           onClick={() => scrollToSection('home')}
-          className="fixed bottom-8 right-8 z-40 w-12 h-12 bg-gradient-to-r from-purple-500 to-cyan-500 rounded-full flex items-center justify-center text-white shadow-lg hover:scale-110 transition-all duration-300 animate-pulse-glow"
-          title="Back to top"
+          className="fixed bottom-8 end-8 z-40 print:hidden w-12 h-12 bg-gradient-to-r from-purple-500 to-cyan-500 rounded-full flex items-center justify-center text-white shadow-lg hover:scale-110 transition-all duration-300 animate-pulse-glow"
+          title={t('nav.backToTop')}
         >
           <span className="text-xl">↑</span>
         </button>
       )}
       {/* Mouse follower */}
-      <div 
-        className="fixed w-6 h-6 bg-gradient-to-r from-purple-400 to-cyan-400 rounded-full pointer-events-none z-50 mix-blend-difference"
-        style={{
-          left: mousePosition.x - 12,
-          top: mousePosition.y - 12,
-          transform: `scale(${mousePosition.x > 0 ? 1 : 0})`,
-        }}
-      />
+      {!reduceMotion && (
+        <div 
+          className="fixed w-6 h-6 bg-gradient-to-r from-purple-400 to-cyan-400 rounded-full pointer-events-none z-50 mix-blend-difference print:hidden"
+          style={{
+            left: mousePosition.x - 12,
+            top: mousePosition.y - 12,
+            transform: `scale(${mousePosition.x > 0 ? 1 : 0})`,
+          }}
+        />
+      )}
 
       {/* Dynamic Background */}
-      <div className="fixed inset-0 -z-10 pointer-events-none">
-        <div className={`absolute inset-0 ${isDarkMode ? 'bg-gradient-to-br from-gray-800 via-purple-900/20 to-blue-900/20' : 'bg-gradient-to-br from-blue-50 via-purple-50 to-pink-50'}`}></div>
+      <div className="fixed inset-0 -z-10 pointer-events-none print:hidden">
+        <div className="absolute inset-0 bg-gradient-to-br from-sunken via-purple-500/10 to-page"></div>
         <div 
           className="absolute w-96 h-96 bg-purple-500/10 rounded-full blur-3xl"
           style={{
@@ -398,15 +585,15 @@ function App() {
         ></div>
         {/* Floating particles */}
         <div className="absolute inset-0">
-          {[...Array(15)].map((_, i) => (
+          {PARTICLES.map((particle, i) => (
             <div
               key={i}
-              className={`absolute w-1 h-1 ${isDarkMode ? 'bg-white/10' : 'bg-purple-400/20'} rounded-full animate-float`}
+              className="absolute w-1 h-1 bg-purple-400/20 dark:bg-white/10 rounded-full animate-float"
               style={{
-                left: `${Math.random() * 100}%`,
-                top: `${Math.random() * 100}%`,
-                animationDelay: `${Math.random() * 5}s`,
-                animationDuration: `${3 + Math.random() * 4}s`
+                left: `${particle.left}%`,
+                top: `${particle.top}%`,
+                animationDelay: `${particle.delay}s`,
+                animationDuration: `${particle.duration}s`
               }}
             />
           ))}
@@ -414,67 +601,59 @@ function App() {
       </div>
 
       {/* Navigation */}
-      <nav className={`fixed top-0 w-full z-50 ${isDarkMode ? 'bg-gray-900/90' : 'bg-white/90'} backdrop-blur-lg border-b ${isDarkMode ? 'border-gray-700' : 'border-gray-200'} shadow-sm transition-all duration-500`}>
+      <nav className="fixed top-0 w-full z-50 bg-panel/90 backdrop-blur-lg border-b border-line shadow-sm transition-all duration-500 print:hidden">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
           <div className="flex justify-between items-center h-16">
             <div className="text-xl sm:text-2xl font-bold bg-gradient-to-r from-purple-400 to-cyan-400 bg-clip-text text-transparent">
-              Moin Khan
+              {profile.name}
             </div>
             
             {/* Desktop Menu */}
-            <div className="hidden md:flex space-x-8 items-center">
-              {['Home', 'About', 'Skills', 'Projects', 'Contact'].map((item) => (
+            <div className="hidden md:flex space-x-8 rtl:space-x-reverse items-center">
+              {NAV_SECTIONS.map((item) => (
                 <button
                   key={item}
                   onClick={() => scrollToSection(item.toLowerCase())}
-                  className={`relative px-3 py-2 transition-all duration-300 ${isDarkMode ? 'text-gray-300 hover:text-white' : 'text-gray-700 hover:text-gray-900'}`}
+                  className="relative px-3 py-2 transition-all duration-300 text-body hover:text-fg"
                 >
-                  {item}
-                  <span className="absolute -bottom-1 left-0 w-0 h-0.5 bg-gradient-to-r from-purple-400 to-cyan-400 group-hover:w-full transition-all duration-300"></span>
+                  {t(`nav.sections.${item.toLowerCase()}`)}
+                  <span className="absolute -bottom-1 start-0 w-0 h-0.5 bg-gradient-to-r from-purple-400 to-cyan-400 group-hover:w-full transition-all duration-300"></span>
                 </button>
               ))}
-              
+
               <button
-                onClick={() => setIsDarkMode(!isDarkMode)}
-                className={`relative p-3 rounded-full ${isDarkMode ? 'bg-gray-800 border-gray-600' : 'bg-gray-100 border-gray-200'} border transition-all duration-500 hover:scale-110 btn-enhanced group overflow-hidden`}
-                title={`Switch to ${isDarkMode ? 'light' : 'dark'} mode`}
+                onClick={() => setIsPaletteOpen(true)}
+                className="px-3 py-2 rounded-lg border text-sm border-line text-muted hover:text-fg transition-all duration-300"
+                title={t('nav.openPalette')}
+                aria-keyshortcuts="Control+K Meta+K"
               >
-                <div className="relative z-10 transition-all duration-500">
-                  {isDarkMode ? (
-                    <span className="text-yellow-400 text-xl animate-pulse">☀️</span>
-                  ) : (
-                    <span className="text-purple-600 text-xl">🌙</span>
-                  )}
-                </div>
-                <div className={`absolute inset-0 rounded-full transition-all duration-500 ${isDarkMode ? 'bg-gradient-to-r from-yellow-400/20 to-orange-400/20' : 'bg-gradient-to-r from-purple-400/20 to-blue-400/20'} opacity-0 group-hover:opacity-100`}></div>
+                <span aria-hidden="true">⌘K</span>
+                <span className="sr-only">{t('nav.openPalette')}</span>
               </button>
+
+              <LanguageSwitcher locale={locale} onChange={setLocale} />
+
+              <ThemeSwitcher />
+
+              <MotionToggle />
             </div>
 
             {/* Mobile Menu Button */}
-            <div className="md:hidden flex items-center space-x-2">
-              <button
-                onClick={() => setIsDarkMode(!isDarkMode)}
-                className={`relative p-2 rounded-full ${isDarkMode ? 'bg-gray-800 border-gray-600' : 'bg-gray-100 border-gray-200'} border transition-all duration-500 btn-enhanced group overflow-hidden`}
-                title={`Switch to ${isDarkMode ? 'light' : 'dark'} mode`}
-              >
-                <div className="relative z-10 transition-all duration-500">
-                  {isDarkMode ? (
-                    <span className="text-yellow-400 text-sm animate-pulse">☀️</span>
-                  ) : (
-                    <span className="text-purple-600 text-sm">🌙</span>
-                  )}
-                </div>
-                <div className={`absolute inset-0 rounded-full transition-all duration-500 ${isDarkMode ? 'bg-gradient-to-r from-yellow-400/20 to-orange-400/20' : 'bg-gradient-to-r from-purple-400/20 to-blue-400/20'} opacity-0 group-hover:opacity-100`}></div>
-              </button>
-              
+            <div className="md:hidden flex items-center space-x-2 rtl:space-x-reverse">
+              <ThemeSwitcher />
+
               <button
+                ref={menuButtonRef}
                 onClick={() => setIsMenuOpen(!isMenuOpen)}
-                className={`p-2 rounded-lg ${isDarkMode ? 'bg-gray-800 border-gray-600' : 'bg-gray-100 border-gray-200'} border transition-all duration-300`}
+                aria-label={t('nav.menu')}
+                aria-expanded={isMenuOpen}
+                aria-controls="mobile-menu"
+                className="p-2 rounded-lg bg-sunken border-line border transition-all duration-300"
               >
-                <div className="space-y-1">
-                  <div className={`w-5 h-0.5 ${isDarkMode ? 'bg-white' : 'bg-gray-900'} transition-all duration-300`}></div>
-                  <div className={`w-5 h-0.5 ${isDarkMode ? 'bg-white' : 'bg-gray-900'} transition-all duration-300`}></div>
-                  <div className={`w-5 h-0.5 ${isDarkMode ? 'bg-white' : 'bg-gray-900'} transition-all duration-300`}></div>
+                <div className="space-y-1" aria-hidden="true">
+                  <div className="w-5 h-0.5 bg-fg transition-all duration-300"></div>
+                  <div className="w-5 h-0.5 bg-fg transition-all duration-300"></div>
+                  <div className="w-5 h-0.5 bg-fg transition-all duration-300"></div>
                 </div>
               </button>
             </div>
@@ -483,895 +662,917 @@ function App() {
 
         {/* Mobile Menu */}
         {isMenuOpen && (
-          <div className={`md:hidden absolute top-16 left-0 w-full ${isDarkMode ? 'bg-gray-900/95' : 'bg-white/95'} backdrop-blur-lg border-b ${isDarkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+          <div id="mobile-menu" className="md:hidden absolute top-16 left-0 w-full bg-panel/95 backdrop-blur-lg border-b border-line">
             <div className="px-4 sm:px-6 py-4 space-y-4">
-              {['Home', 'About', 'Skills', 'Projects', 'Contact'].map((item) => (
+              {NAV_SECTIONS.map((item) => (
                 <button
                   key={item}
                   onClick={() => scrollToSection(item.toLowerCase())}
-                  className={`block w-full text-left px-3 py-2 transition-all duration-300 ${isDarkMode ? 'text-gray-300 hover:text-white' : 'text-gray-700 hover:text-gray-900'}`}
+                  className="block w-full text-start px-3 py-2 transition-all duration-300 text-body hover:text-fg"
                 >
-                  {item}
+                  {t(`nav.sections.${item.toLowerCase()}`)}
                 </button>
               ))}
+              <div className="flex items-center gap-3 mx-3">
+                <LanguageSwitcher locale={locale} onChange={setLocale} />
+                <MotionToggle />
+              </div>
             </div>
           </div>
         )}
       </nav>
 
-      {/* Hero Section */}
-      <section id="home" className="relative min-h-screen flex items-center justify-center px-4 sm:px-6 pt-20">
-        <div className="text-center max-w-6xl mx-auto">
-          <div className="mb-16">
-            <h1 className={`text-3xl sm:text-4xl md:text-6xl lg:text-8xl xl:text-[10rem] font-black mb-8 bg-gradient-to-r ${isDarkMode ? 'from-purple-400 via-pink-400 to-cyan-400' : 'from-purple-600 via-blue-600 to-pink-600'} bg-clip-text text-transparent leading-none`}>
-              <SimpleTyping text="MOIN KHAN" speed={120} />
-            </h1>
+      {!isHomeRoute ? (
+        <Suspense fallback={<LoadingSpinner />}>
+          {route.name === 'project' && (
+            <ProjectDetail
+              project={activeProject}
+              projects={localizedProjects}
+              onBack={handleBackToProjects}
+              onPreview={(project) => setPreviewModal({ isOpen: true, project })}
+            />
+          )}
+          {(route.name === 'blog' || route.name === 'blogTag') && (
+            <BlogIndex posts={posts} tagSlug={route.params.tag} />
+          )}
+          {route.name === 'blogPost' && (
+            <BlogPost post={activePost} posts={posts} />
+          )}
+          {route.name === 'card' && <BusinessCard />}
+        </Suspense>
+      ) : (
+        <main>
+          {/* Hero Section */}
+          <section id="home" className="relative min-h-screen flex items-center justify-center px-4 sm:px-6 pt-20">
+            <div className="text-center max-w-6xl mx-auto">
+              <div className="mb-16">
+                <h1 className="text-3xl sm:text-4xl md:text-6xl lg:text-8xl xl:text-[10rem] font-black mb-8 bg-gradient-to-r from-brand-1 via-brand-2 to-brand-3 bg-clip-text text-transparent leading-none">
+                  <SimpleTyping text={profile.name.toUpperCase()} speed={120} />
+                </h1>
             
-            <h2 className={`text-2xl sm:text-3xl md:text-4xl lg:text-6xl font-bold mb-10 ${isDarkMode ? 'text-white' : 'text-gray-900'} leading-tight`}>
-              Full-Stack Developer
-            </h2>
+                <h2 className="text-2xl sm:text-3xl md:text-4xl lg:text-6xl font-bold mb-10 text-fg leading-tight">
+                  {profile.title}
+                </h2>
             
-            <div className={`text-lg sm:text-xl md:text-2xl ${isDarkMode ? 'text-gray-300' : 'text-gray-700'} mb-16 max-w-4xl mx-auto`}>
-              Crafting extraordinary digital experiences with cutting-edge technology and innovative solutions.
-            </div>
-          </div>
+                <div {...sourceLanguage} className="text-lg sm:text-xl md:text-2xl text-body mb-16 max-w-4xl mx-auto">
+                  {profile.summary}
+                </div>
+              </div>
           
-          {/* CTA Buttons */}
-          <div className="flex flex-col sm:flex-row gap-4 sm:gap-8 justify-center mb-16">
-            <button 
-              onClick={() => scrollToSection('projects')}
-              className="px-8 py-4 bg-gradient-to-r from-purple-500 to-cyan-500 rounded-full text-white font-bold text-lg hover:scale-105 transition-all duration-300 hover:shadow-2xl hover:shadow-purple-500/25"
-            >
-              View My Work
-            </button>
+              {/* CTA Buttons */}
+              <div className="flex flex-col sm:flex-row gap-4 sm:gap-8 justify-center mb-16">
+                <button 
+                  onClick={() => scrollToSection('projects')}
+                  className="px-8 py-4 bg-gradient-to-r from-purple-500 to-cyan-500 rounded-full text-white font-bold text-lg hover:scale-105 transition-all duration-300 hover:shadow-2xl hover:shadow-purple-500/25"
+                >
+                  {t('hero.viewWork')}
+                </button>
             
-            <button 
-              onClick={() => scrollToSection('contact')}
-              className={`px-8 py-4 border-2 ${isDarkMode ? 'border-purple-400 text-purple-400 hover:bg-purple-400' : 'border-purple-500 text-purple-500 hover:bg-purple-500'} rounded-full font-bold text-lg hover:scale-105 transition-all duration-300 hover:text-white`}
-            >
-              Get In Touch
-            </button>
-          </div>
-          
-          {/* Simple Terminal Display */}
-          <div className="mt-16 max-w-2xl mx-auto">
-            <div className={`${isDarkMode ? 'bg-gray-900 border-gray-700' : 'bg-gray-100 border-gray-300'} border rounded-lg p-4 font-mono text-sm`}>
-              <div className="flex items-center mb-2">
-                <div className="w-3 h-3 rounded-full bg-red-500 mr-2"></div>
-                <div className="w-3 h-3 rounded-full bg-yellow-500 mr-2"></div>
-                <div className="w-3 h-3 rounded-full bg-green-500 mr-2"></div>
+                <button 
+                  onClick={() => scrollToSection('contact')}
+                  className="px-8 py-4 border-2 border-accent text-accent hover:bg-accent rounded-full font-bold text-lg hover:scale-105 transition-all duration-300 hover:text-white"
+                >
+                  {t('hero.getInTouch')}
+                </button>
               </div>
-              <div className={`${isDarkMode ? 'text-green-400' : 'text-green-600'}`}>
-                $ <SimpleTyping text="npm start --portfolio" speed={80} />
+          
+              {/* Interactive Terminal */}
+              <div className="mt-16 max-w-2xl mx-auto">
+                <Suspense fallback={
+                  <div className="bg-sunken border-line text-green-600 dark:text-green-400 border rounded-lg p-4 font-mono text-sm">
+                    $ npm start --portfolio
+                  </div>
+                }>
+                  <Terminal
+                    intro={<SimpleTyping text="npm start --portfolio" speed={80} />}
+                    context={terminalContext}
+                  />
+                </Suspense>
               </div>
             </div>
-          </div>
-        </div>
-      </section>
-
-      {/* Enhanced About Section */}
-      <section id="about" className="py-24 px-4 sm:px-6 relative overflow-hidden" data-aos="fade-up">
-        {/* Background Effects */}
-        <div className="absolute inset-0 pointer-events-none">
-          <div className={`absolute top-1/4 left-1/4 w-96 h-96 ${isDarkMode ? 'bg-gradient-to-r from-purple-500/10 to-pink-500/10' : 'bg-gradient-to-r from-purple-300/20 to-pink-300/20'} rounded-full blur-3xl animate-pulse`}></div>
-          <div className={`absolute bottom-1/4 right-1/4 w-80 h-80 ${isDarkMode ? 'bg-gradient-to-r from-cyan-500/10 to-blue-500/10' : 'bg-gradient-to-r from-cyan-300/20 to-blue-300/20'} rounded-full blur-3xl animate-pulse`} style={{ animationDelay: '2s' }}></div>
-        </div>
+          </section>
+
+          {/* Enhanced About Section */}
+          <section id="about" className="py-24 px-4 sm:px-6 relative overflow-hidden" data-aos="fade-up">
+            {/* Background Effects */}
+            <div className="absolute inset-0 pointer-events-none">
+              <div className="absolute top-1/4 left-1/4 w-96 h-96 bg-gradient-to-r from-purple-300/20 dark:from-purple-500/10 to-pink-300/20 dark:to-pink-500/10 rounded-full blur-3xl animate-pulse"></div>
+              <div className="absolute bottom-1/4 right-1/4 w-80 h-80 bg-gradient-to-r from-cyan-300/20 dark:from-cyan-500/10 to-blue-300/20 dark:to-blue-500/10 rounded-full blur-3xl animate-pulse" style={{ animationDelay: '2s' }}></div>
+            </div>
 
-        <div className="max-w-7xl mx-auto relative z-10">
-          <div className="text-center mb-16">
-            <h2 className={`text-4xl sm:text-5xl md:text-6xl font-bold mb-6 bg-gradient-to-r ${isDarkMode ? 'from-purple-400 via-pink-400 to-cyan-400' : 'from-purple-600 via-blue-600 to-pink-600'} bg-clip-text text-transparent`}>
-              About Me
-            </h2>
-            <p className={`text-xl ${isDarkMode ? 'text-gray-300' : 'text-gray-600'} max-w-3xl mx-auto`}>
-              Passionate developer, problem solver, and technology enthusiast crafting digital experiences that matter.
-            </p>
-          </div>
+            <div className="max-w-7xl mx-auto relative z-10">
+              <div className="text-center mb-16">
+                <h2 className="text-4xl sm:text-5xl md:text-6xl font-bold mb-6 bg-gradient-to-r from-brand-1 via-brand-2 to-brand-3 bg-clip-text text-transparent">
+                  {t('about.title')}
+                </h2>
+                <p className="text-xl text-body max-w-3xl mx-auto">
+                  {t('about.subtitle')}
+                </p>
+              </div>
           
-          <div className="grid lg:grid-cols-2 gap-12 items-start mb-16">
-            {/* Personal Story & Photo */}
-            <div className="space-y-8">
-              {/* Profile Card */}
-              <div className={`relative group`}>
-                <div className="absolute -inset-1 bg-gradient-to-r from-purple-500 via-pink-500 to-cyan-500 rounded-2xl blur opacity-25 group-hover:opacity-40 transition duration-1000"></div>
-                <div className={`relative p-8 ${isDarkMode ? 'bg-gray-800/50' : 'bg-white/80'} backdrop-blur-sm rounded-2xl border ${isDarkMode ? 'border-gray-700' : 'border-gray-200'}`}>
-                  {/* Profile Image Placeholder */}
-                  <div className="flex flex-col sm:flex-row items-center gap-6 mb-6">
-                    <div className="relative">
-                      <div className="w-24 h-24 bg-gradient-to-br from-purple-500 to-cyan-500 rounded-full flex items-center justify-center text-4xl font-bold text-white shadow-lg">
-                        MK
+              <div className="grid lg:grid-cols-2 gap-12 items-start mb-16">
+                {/* Personal Story & Photo */}
+                <div className="space-y-8">
+                  {/* Profile Card */}
+                  <div className="relative group">
+                    <div className="absolute -inset-1 bg-gradient-to-r from-purple-500 via-pink-500 to-cyan-500 rounded-2xl blur opacity-25 group-hover:opacity-40 transition duration-1000"></div>
+                    <div className="relative p-8 bg-surface/60 backdrop-blur-sm rounded-2xl border border-line">
+                      {/* Profile Image Placeholder */}
+                      <div className="flex flex-col sm:flex-row items-center gap-6 mb-6">
+                        <div className="relative">
+                          <div className="w-24 h-24 bg-gradient-to-br from-purple-500 to-cyan-500 rounded-full flex items-center justify-center text-4xl font-bold text-white shadow-lg">
+                            {INITIALS}
+                          </div>
+                          <div className="absolute -top-1 -end-1 w-6 h-6 bg-green-500 rounded-full border-4 border-white animate-pulse"></div>
+                        </div>
+                        <div className="text-center sm:text-start">
+                          <h3 className="text-2xl font-bold text-fg mb-2">
+                            {profile.name}
+                          </h3>
+                          <p className="text-lg bg-gradient-to-r from-purple-400 to-cyan-400 bg-clip-text text-transparent font-semibold">
+                            {profile.title}
+                          </p>
+                          <p className="text-sm text-muted">
+                            {t('about.location', { location: profile.location })}
+                          </p>
+                        </div>
+                      </div>
+
+                      <div className="space-y-4">
+                        <h4 className="text-xl font-bold bg-gradient-to-r from-purple-400 to-cyan-400 bg-clip-text text-transparent">
+                          {t('about.storyTitle')}
+                        </h4>
+                        <p className="text-lg text-body leading-relaxed">
+                          {t('about.storyIntro', {
+                            experience: <strong>{EXPERIENCE_YEARS === null ? t('about.storyExperienceUnknown') : t('about.storyExperience', { count: EXPERIENCE_YEARS })}</strong>
+                          })}
+                        </p>
+                        <p className="text-lg text-body leading-relaxed">
+                          {t('about.storySpecialty', { stack: <strong>{t('about.storyStack')}</strong> })}
+                        </p>
                       </div>
-                      <div className="absolute -top-1 -right-1 w-6 h-6 bg-green-500 rounded-full border-4 border-white animate-pulse"></div>
-                    </div>
-                    <div className="text-center sm:text-left">
-                      <h3 className={`text-2xl font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'} mb-2`}>
-                        Moin Khan
-                      </h3>
-                      <p className="text-lg bg-gradient-to-r from-purple-400 to-cyan-400 bg-clip-text text-transparent font-semibold">
-                        Full Stack Developer
-                      </p>
-                      <p className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
-                        📍 Pakistan • 🌍 Available Worldwide
-                      </p>
                     </div>
                   </div>
 
-                  <div className="space-y-4">
-                    <h4 className="text-xl font-bold bg-gradient-to-r from-purple-400 to-cyan-400 bg-clip-text text-transparent">
-                      My Story 📖
-                    </h4>
-                    <p className={`text-lg ${isDarkMode ? 'text-gray-300' : 'text-gray-700'} leading-relaxed`}>
-                      Hey there! I'm a passionate full-stack developer with <strong>3+ years</strong> of experience turning ideas into reality. 
-                      My journey started with curiosity about how websites work, and it evolved into a deep love for creating 
-                      seamless digital experiences that users actually enjoy.
-                    </p>
-                    <p className={`text-lg ${isDarkMode ? 'text-gray-300' : 'text-gray-700'} leading-relaxed`}>
-                      I specialize in the <strong>MERN stack</strong> and have a knack for solving complex problems with elegant solutions. 
-                      Whether it's building responsive frontends, designing scalable APIs, or optimizing database performance, 
-                      I bring both technical expertise and creative thinking to every project.
-                    </p>
+                  {/* Quick Facts */}
+                  <div className="grid grid-cols-2 gap-4">
+                    <div className="p-4 bg-surface/40 border-line backdrop-blur-sm rounded-xl border text-center hover:scale-105 transition-all duration-300">
+                      <div className="text-2xl mb-2">🚀</div>
+                      <div className="text-2xl font-bold text-fg">{projects.length}</div>
+                      <div className="text-sm text-muted">{t('about.projectsCompleted')}</div>
+                    </div>
+                    {EXPERIENCE_YEARS !== null && (
+                      <div className="p-4 bg-surface/40 border-line backdrop-blur-sm rounded-xl border text-center hover:scale-105 transition-all duration-300">
+                        <div className="text-2xl mb-2">⏱️</div>
+                        <div className="text-2xl font-bold text-fg">{EXPERIENCE_YEARS}+</div>
+                        <div className="text-sm text-muted">{t('about.yearsExperience')}</div>
+                      </div>
+                    )}
                   </div>
-                </div>
-              </div>
 
-              {/* Quick Facts */}
-              <div className="grid grid-cols-2 gap-4">
-                <div className={`p-4 ${isDarkMode ? 'bg-gray-800/30 border-gray-700' : 'bg-white/50 border-gray-200'} backdrop-blur-sm rounded-xl border text-center hover:scale-105 transition-all duration-300`}>
-                  <div className="text-2xl mb-2">🚀</div>
-                  <div className={`text-2xl font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>50+</div>
-                  <div className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>Projects Completed</div>
-                </div>
-                <div className={`p-4 ${isDarkMode ? 'bg-gray-800/30 border-gray-700' : 'bg-white/50 border-gray-200'} backdrop-blur-sm rounded-xl border text-center hover:scale-105 transition-all duration-300`}>
-                  <div className="text-2xl mb-2">⭐</div>
-                  <div className={`text-2xl font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>95%</div>
-                  <div className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>Client Satisfaction</div>
+                  {/* Work history and education */}
+                  {[
+                    { key: 'experience', entries: work.map(job => ({ ...job, title: job.position, place: job.name })) },
+                    { key: 'education', entries: education.map(school => ({ ...school, title: [school.studyType, school.area].filter(Boolean).join(', '), place: school.institution })) }
+                  ].filter(({ entries }) => entries.length > 0).map(({ key, entries }) => (
+                    <div key={key} className="p-6 bg-surface/40 border-line backdrop-blur-sm rounded-xl border">
+                      <h4 className="text-xl font-bold mb-4 bg-gradient-to-r from-purple-400 to-cyan-400 bg-clip-text text-transparent">
+                        {t(`about.${key}Title`)}
+                      </h4>
+                      <ol className="space-y-4 border-s border-line-strong ps-4">
+                        {entries.map(entry => (
+                          <li key={`${entry.place}-${entry.startDate}`} {...sourceLanguage}>
+                            <div className="font-semibold text-fg">{entry.title}</div>
+                            <div className="text-sm text-muted">
+                              {entry.url ? <a href={entry.url} target="_blank" rel="noopener noreferrer" className="hover:text-purple-400 transition-colors">{entry.place}</a> : entry.place}
+                              {entry.startDate && <> · {formatDateRange(entry.startDate, entry.endDate)}</>}
+                            </div>
+                            {entry.summary && <p className="mt-1 text-sm text-body">{entry.summary}</p>}
+                          </li>
+                        ))}
+                      </ol>
+                    </div>
+                  ))}
                 </div>
-              </div>
-            </div>
             
-            {/* Skills & Expertise */}
-            <div className="space-y-6">
-              <h4 className="text-2xl font-bold text-center mb-8 bg-gradient-to-r from-purple-400 to-cyan-400 bg-clip-text text-transparent">
-                What I Bring to the Table ⚡
-              </h4>
-
-              {/* Frontend */}
-              <div className={`group p-6 ${isDarkMode ? 'bg-gray-800/50 hover:bg-gray-800/70' : 'bg-white/80 hover:bg-white/90'} backdrop-blur-lg rounded-xl border ${isDarkMode ? 'border-gray-700' : 'border-gray-200'} hover:border-purple-400 transition-all duration-300`}>
-                <div className="flex items-center mb-4">
-                  <div className="w-12 h-12 bg-gradient-to-br from-blue-500 to-purple-600 rounded-lg flex items-center justify-center mr-4 group-hover:scale-110 transition-transform duration-300">
-                    <span className="text-white text-xl">⚛️</span>
-                  </div>
-                  <div>
-                    <h5 className="text-xl font-bold text-blue-400">Frontend Wizard</h5>
-                    <p className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>Creating beautiful, responsive UIs</p>
+                {/* Skills & Expertise */}
+                <div className="space-y-6">
+                  <h4 className="text-2xl font-bold text-center mb-8 bg-gradient-to-r from-purple-400 to-cyan-400 bg-clip-text text-transparent">
+                    {t('about.bringTitle')}
+                  </h4>
+
+                  {/* Frontend */}
+                  <div className="group p-6 bg-surface/60 hover:bg-surface/80 backdrop-blur-lg rounded-xl border border-line hover:border-purple-400 transition-all duration-300">
+                    <div className="flex items-center mb-4">
+                      <div className="w-12 h-12 bg-gradient-to-br from-blue-500 to-purple-600 rounded-lg flex items-center justify-center me-4 group-hover:scale-110 transition-transform duration-300">
+                        <span className="text-white text-xl">⚛️</span>
+                      </div>
+                      <div>
+                        <h5 className="text-xl font-bold text-blue-400">{t('about.frontend.title')}</h5>
+                        <p className="text-sm text-muted">{t('about.frontend.subtitle')}</p>
+                      </div>
+                    </div>
+                    <p className="text-body mb-3">
+                      {t('about.frontend.stack')}
+                    </p>
+                    <div className="flex flex-wrap gap-2">
+                      {['React', 'TypeScript', 'Tailwind', 'HTML5'].map((tech) => (
+                        <span key={tech} className="px-3 py-1 bg-blue-100 dark:bg-blue-900/50 text-blue-700 dark:text-blue-300 rounded-full text-xs font-medium">
+                          {tech}
+                        </span>
+                      ))}
+                    </div>
                   </div>
-                </div>
-                <p className={`${isDarkMode ? 'text-gray-300' : 'text-gray-700'} mb-3`}>
-                  React • TypeScript • Tailwind CSS • HTML5 • CSS3/SCSS • Responsive Design
-                </p>
-                <div className="flex flex-wrap gap-2">
-                  {['React', 'TypeScript', 'Tailwind', 'HTML5'].map((tech) => (
-                    <span key={tech} className={`px-3 py-1 ${isDarkMode ? 'bg-blue-900/50 text-blue-300' : 'bg-blue-100 text-blue-700'} rounded-full text-xs font-medium`}>
-                      {tech}
-                    </span>
-                  ))}
-                </div>
-              </div>
 
-              {/* Backend */}
-              <div className={`group p-6 ${isDarkMode ? 'bg-gray-800/50 hover:bg-gray-800/70' : 'bg-white/80 hover:bg-white/90'} backdrop-blur-lg rounded-xl border ${isDarkMode ? 'border-gray-700' : 'border-gray-200'} hover:border-green-400 transition-all duration-300`}>
-                <div className="flex items-center mb-4">
-                  <div className="w-12 h-12 bg-gradient-to-br from-green-500 to-emerald-600 rounded-lg flex items-center justify-center mr-4 group-hover:scale-110 transition-transform duration-300">
-                    <span className="text-white text-xl">🚀</span>
+                  {/* Backend */}
+                  <div className="group p-6 bg-surface/60 hover:bg-surface/80 backdrop-blur-lg rounded-xl border border-line hover:border-green-400 transition-all duration-300">
+                    <div className="flex items-center mb-4">
+                      <div className="w-12 h-12 bg-gradient-to-br from-green-500 to-emerald-600 rounded-lg flex items-center justify-center me-4 group-hover:scale-110 transition-transform duration-300">
+                        <span className="text-white text-xl">🚀</span>
+                      </div>
+                      <div>
+                        <h5 className="text-xl font-bold text-green-400">{t('about.backend.title')}</h5>
+                        <p className="text-sm text-muted">{t('about.backend.subtitle')}</p>
+                      </div>
+                    </div>
+                    <p className="text-body mb-3">
+                      {t('about.backend.stack')}
+                    </p>
+                    <div className="flex flex-wrap gap-2">
+                      {['Node.js', 'Express.js', 'MongoDB', 'APIs'].map((tech) => (
+                        <span key={tech} className="px-3 py-1 bg-green-100 dark:bg-green-900/50 text-green-700 dark:text-green-300 rounded-full text-xs font-medium">
+                          {tech}
+                        </span>
+                      ))}
+                    </div>
                   </div>
-                  <div>
-                    <h5 className="text-xl font-bold text-green-400">Backend Architect</h5>
-                    <p className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>Building scalable server solutions</p>
+
+                  {/* Tools & More */}
+                  <div className="group p-6 bg-surface/60 hover:bg-surface/80 backdrop-blur-lg rounded-xl border border-line hover:border-purple-400 transition-all duration-300">
+                    <div className="flex items-center mb-4">
+                      <div className="w-12 h-12 bg-gradient-to-br from-purple-500 to-pink-600 rounded-lg flex items-center justify-center me-4 group-hover:scale-110 transition-transform duration-300">
+                        <span className="text-white text-xl">🛠️</span>
+                      </div>
+                      <div>
+                        <h5 className="text-xl font-bold text-purple-400">{t('about.tools.title')}</h5>
+                        <p className="text-sm text-muted">{t('about.tools.subtitle')}</p>
+                      </div>
+                    </div>
+                    <p className="text-body mb-3">
+                      {t('about.tools.stack')}
+                    </p>
+                    <div className="flex flex-wrap gap-2">
+                      {['Git', 'VS Code', 'Figma', 'Vite'].map((tech) => (
+                        <span key={tech} className="px-3 py-1 bg-tag text-tag-fg rounded-full text-xs font-medium">
+                          {tech}
+                        </span>
+                      ))}
+                    </div>
                   </div>
                 </div>
-                <p className={`${isDarkMode ? 'text-gray-300' : 'text-gray-700'} mb-3`}>
-                  Node.js • Express.js • RESTful APIs • MongoDB • Database Design • Authentication
-                </p>
-                <div className="flex flex-wrap gap-2">
-                  {['Node.js', 'Express.js', 'MongoDB', 'APIs'].map((tech) => (
-                    <span key={tech} className={`px-3 py-1 ${isDarkMode ? 'bg-green-900/50 text-green-300' : 'bg-green-100 text-green-700'} rounded-full text-xs font-medium`}>
-                      {tech}
-                    </span>
-                  ))}
-                </div>
               </div>
 
-              {/* Tools & More */}
-              <div className={`group p-6 ${isDarkMode ? 'bg-gray-800/50 hover:bg-gray-800/70' : 'bg-white/80 hover:bg-white/90'} backdrop-blur-lg rounded-xl border ${isDarkMode ? 'border-gray-700' : 'border-gray-200'} hover:border-purple-400 transition-all duration-300`}>
-                <div className="flex items-center mb-4">
-                  <div className="w-12 h-12 bg-gradient-to-br from-purple-500 to-pink-600 rounded-lg flex items-center justify-center mr-4 group-hover:scale-110 transition-transform duration-300">
-                    <span className="text-white text-xl">🛠️</span>
-                  </div>
-                  <div>
-                    <h5 className="text-xl font-bold text-purple-400">Tools & Workflow</h5>
-                    <p className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>Efficient development practices</p>
-                  </div>
-                </div>
-                <p className={`${isDarkMode ? 'text-gray-300' : 'text-gray-700'} mb-3`}>
-                  Git/GitHub • VS Code • Figma • Vite • npm/yarn • Responsive Design • SEO
-                </p>
-                <div className="flex flex-wrap gap-2">
-                  {['Git', 'VS Code', 'Figma', 'Vite'].map((tech) => (
-                    <span key={tech} className={`px-3 py-1 ${isDarkMode ? 'bg-purple-900/50 text-purple-300' : 'bg-purple-100 text-purple-700'} rounded-full text-xs font-medium`}>
-                      {tech}
-                    </span>
-                  ))}
+              {/* Values & Approach */}
+              <div className="relative p-8 bg-gradient-to-r from-surface/50 to-page/50 backdrop-blur-sm rounded-2xl border border-line">
+                <div className="text-center mb-8">
+                  <h4 className="text-2xl font-bold mb-4 bg-gradient-to-r from-purple-400 to-cyan-400 bg-clip-text text-transparent">
+                    {t('about.philosophy.title')}
+                  </h4>
+                  <p className="text-lg text-body max-w-3xl mx-auto">
+                    {t('about.philosophy.subtitle')}
+                  </p>
                 </div>
-              </div>
-            </div>
-          </div>
 
-          {/* Values & Approach */}
-          <div className={`relative p-8 ${isDarkMode ? 'bg-gradient-to-r from-gray-800/50 to-gray-900/50' : 'bg-gradient-to-r from-white/50 to-gray-50/50'} backdrop-blur-sm rounded-2xl border ${isDarkMode ? 'border-gray-700' : 'border-gray-200'}`}>
-            <div className="text-center mb-8">
-              <h4 className="text-2xl font-bold mb-4 bg-gradient-to-r from-purple-400 to-cyan-400 bg-clip-text text-transparent">
-                My Development Philosophy 💡
-              </h4>
-              <p className={`text-lg ${isDarkMode ? 'text-gray-300' : 'text-gray-700'} max-w-3xl mx-auto`}>
-                I believe in writing clean, maintainable code and creating solutions that not only work well but feel great to use.
-              </p>
-            </div>
+                <div className="grid md:grid-cols-3 gap-6">
+                  <div className="text-center">
+                    <div className="w-16 h-16 bg-gradient-to-br from-blue-500 to-purple-600 rounded-full flex items-center justify-center mx-auto mb-4">
+                      <span className="text-white text-2xl">🎯</span>
+                    </div>
+                    <h5 className="text-lg font-bold text-fg mb-2">{t('about.philosophy.userCentric.title')}</h5>
+                    <p className="text-muted text-sm">
+                      {t('about.philosophy.userCentric.body')}
+                    </p>
+                  </div>
 
-            <div className="grid md:grid-cols-3 gap-6">
-              <div className="text-center">
-                <div className="w-16 h-16 bg-gradient-to-br from-blue-500 to-purple-600 rounded-full flex items-center justify-center mx-auto mb-4">
-                  <span className="text-white text-2xl">🎯</span>
-                </div>
-                <h5 className={`text-lg font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'} mb-2`}>User-Centric</h5>
-                <p className={`${isDarkMode ? 'text-gray-400' : 'text-gray-600'} text-sm`}>
-                  Every decision is made with the end user in mind, ensuring intuitive and delightful experiences.
-                </p>
-              </div>
+                  <div className="text-center">
+                    <div className="w-16 h-16 bg-gradient-to-br from-green-500 to-emerald-600 rounded-full flex items-center justify-center mx-auto mb-4">
+                      <span className="text-white text-2xl">⚡</span>
+                    </div>
+                    <h5 className="text-lg font-bold text-fg mb-2">{t('about.philosophy.performance.title')}</h5>
+                    <p className="text-muted text-sm">
+                      {t('about.philosophy.performance.body')}
+                    </p>
+                  </div>
 
-              <div className="text-center">
-                <div className="w-16 h-16 bg-gradient-to-br from-green-500 to-emerald-600 rounded-full flex items-center justify-center mx-auto mb-4">
-                  <span className="text-white text-2xl">⚡</span>
+                  <div className="text-center">
+                    <div className="w-16 h-16 bg-gradient-to-br from-purple-500 to-pink-600 rounded-full flex items-center justify-center mx-auto mb-4">
+                      <span className="text-white text-2xl">🔧</span>
+                    </div>
+                    <h5 className="text-lg font-bold text-fg mb-2">{t('about.philosophy.cleanCode.title')}</h5>
+                    <p className="text-muted text-sm">
+                      {t('about.philosophy.cleanCode.body')}
+                    </p>
+                  </div>
                 </div>
-                <h5 className={`text-lg font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'} mb-2`}>Performance First</h5>
-                <p className={`${isDarkMode ? 'text-gray-400' : 'text-gray-600'} text-sm`}>
-                  Optimized code, fast loading times, and smooth interactions are non-negotiable standards.
-                </p>
               </div>
 
-              <div className="text-center">
-                <div className="w-16 h-16 bg-gradient-to-br from-purple-500 to-pink-600 rounded-full flex items-center justify-center mx-auto mb-4">
-                  <span className="text-white text-2xl">🔧</span>
-                </div>
-                <h5 className={`text-lg font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'} mb-2`}>Clean Code</h5>
-                <p className={`${isDarkMode ? 'text-gray-400' : 'text-gray-600'} text-sm`}>
-                  Maintainable, scalable, and well-documented code that teams love to work with.
+              {/* Call to Action */}
+              <div className="text-center mt-12">
+                <p className="text-lg text-body mb-6">
+                  {t('about.ctaPrompt')}
                 </p>
+                <button
+                  onClick={() => scrollToSection('contact')}
+                  className="px-8 py-4 bg-gradient-to-r from-purple-600 to-cyan-600 rounded-full text-white font-semibold hover:scale-105 transition-all duration-300 shadow-lg hover:shadow-purple-500/25 inline-flex items-center space-x-2 rtl:space-x-reverse"
+                >
+                  <span>{t('about.ctaButton')}</span>
+                  <span>🚀</span>
+                </button>
               </div>
             </div>
-          </div>
-
-          {/* Call to Action */}
-          <div className="text-center mt-12">
-            <p className={`text-lg ${isDarkMode ? 'text-gray-300' : 'text-gray-700'} mb-6`}>
-              Ready to turn your ideas into amazing digital experiences?
-            </p>
-            <button
-              onClick={() => scrollToSection('contact')}
-              className="px-8 py-4 bg-gradient-to-r from-purple-600 to-cyan-600 rounded-full text-white font-semibold hover:scale-105 transition-all duration-300 shadow-lg hover:shadow-purple-500/25 inline-flex items-center space-x-2"
-            >
-              <span>Let's work together</span>
-              <span>🚀</span>
-            </button>
-          </div>
-        </div>
-      </section>
-
-      {/* Skills Section - Premium Enhanced */}
-      <section id="skills" className="py-32 px-4 sm:px-6 relative overflow-hidden" data-aos="fade-up">
-        {/* Dynamic Background with Multiple Layers */}
-        <div className="absolute inset-0 pointer-events-none">
-          {/* Animated Grid Pattern */}
-          <div className={`absolute inset-0 opacity-5 ${isDarkMode ? 'bg-white' : 'bg-gray-900'}`} 
-               style={{
-                 backgroundImage: 'radial-gradient(circle at 2px 2px, currentColor 1px, transparent 0)',
-                 backgroundSize: '40px 40px',
-                 animation: 'float 20s ease-in-out infinite'
-               }}>
-          </div>
+          </section>
+
+          {/* Skills Section - Premium Enhanced */}
+          <section id="skills" className="py-32 px-4 sm:px-6 relative overflow-hidden" data-aos="fade-up">
+            {/* Dynamic Background with Multiple Layers */}
+            <div className="absolute inset-0 pointer-events-none">
+              {/* Animated Grid Pattern */}
+              <div className="absolute inset-0 opacity-5 bg-fg" 
+                   style={{
+                     backgroundImage: 'radial-gradient(circle at 2px 2px, currentColor 1px, transparent 0)',
+                     backgroundSize: '40px 40px',
+                     animation: 'float 20s ease-in-out infinite'
+                   }}>
+              </div>
           
-          {/* Floating Orbs with Enhanced Animation */}
-          <div className={`absolute top-20 left-10 w-40 h-40 ${isDarkMode ? 'bg-gradient-to-r from-purple-500/20 to-pink-500/20' : 'bg-gradient-to-r from-purple-300/30 to-pink-300/30'} rounded-full blur-3xl`}
-               style={{ animation: 'float 8s ease-in-out infinite' }}></div>
-          <div className={`absolute top-40 right-20 w-32 h-32 ${isDarkMode ? 'bg-gradient-to-r from-cyan-500/20 to-blue-500/20' : 'bg-gradient-to-r from-cyan-300/30 to-blue-300/30'} rounded-full blur-3xl`}
-               style={{ animation: 'float 12s ease-in-out infinite reverse', animationDelay: '2s' }}></div>
-          <div className={`absolute bottom-32 left-1/3 w-24 h-24 ${isDarkMode ? 'bg-gradient-to-r from-green-500/20 to-teal-500/20' : 'bg-gradient-to-r from-green-300/30 to-teal-300/30'} rounded-full blur-3xl`}
-               style={{ animation: 'float 15s ease-in-out infinite', animationDelay: '4s' }}></div>
-          <div className={`absolute bottom-20 right-10 w-36 h-36 ${isDarkMode ? 'bg-gradient-to-r from-orange-500/20 to-red-500/20' : 'bg-gradient-to-r from-orange-300/30 to-red-300/30'} rounded-full blur-3xl`}
-               style={{ animation: 'float 10s ease-in-out infinite reverse', animationDelay: '6s' }}></div>
-        </div>
-
-        <div className="max-w-7xl mx-auto relative">
-          {/* Enhanced Header Section */}
-          <div className="text-center mb-24">
-            <div className="relative inline-block">
-              <h2 className={`text-4xl sm:text-5xl md:text-7xl font-black mb-8 bg-gradient-to-r ${isDarkMode ? 'from-purple-400 via-pink-400 to-cyan-400' : 'from-purple-600 via-blue-600 to-pink-600'} bg-clip-text text-transparent`}
-                  style={{ backgroundSize: '200% 200%', animation: 'gradient-shift 4s ease-in-out infinite' }}>
-                Skills & Expertise
-              </h2>
-              {/* Glowing underline */}
-              <div className={`absolute -bottom-2 left-1/2 transform -translate-x-1/2 w-32 h-1 bg-gradient-to-r ${isDarkMode ? 'from-purple-500 to-cyan-500' : 'from-purple-600 to-cyan-600'} rounded-full`}
-                   style={{ animation: 'pulse 2s ease-in-out infinite' }}></div>
+              {/* Floating Orbs with Enhanced Animation */}
+              <div className="absolute top-20 left-10 w-40 h-40 bg-gradient-to-r from-purple-300/30 dark:from-purple-500/20 to-pink-300/30 dark:to-pink-500/20 rounded-full blur-3xl"
+                   style={{ animation: 'float 8s ease-in-out infinite' }}></div>
+              <div className="absolute top-40 right-20 w-32 h-32 bg-gradient-to-r from-cyan-300/30 dark:from-cyan-500/20 to-blue-300/30 dark:to-blue-500/20 rounded-full blur-3xl"
+                   style={{ animation: 'float 12s ease-in-out infinite reverse', animationDelay: '2s' }}></div>
+              <div className="absolute bottom-32 left-1/3 w-24 h-24 bg-gradient-to-r from-green-300/30 dark:from-green-500/20 to-teal-300/30 dark:to-teal-500/20 rounded-full blur-3xl"
+                   style={{ animation: 'float 15s ease-in-out infinite', animationDelay: '4s' }}></div>
+              <div className="absolute bottom-20 right-10 w-36 h-36 bg-gradient-to-r from-orange-300/30 dark:from-orange-500/20 to-red-300/30 dark:to-red-500/20 rounded-full blur-3xl"
+                   style={{ animation: 'float 10s ease-in-out infinite reverse', animationDelay: '6s' }}></div>
             </div>
-            <p className={`text-xl ${isDarkMode ? 'text-gray-300' : 'text-gray-600'} max-w-3xl mx-auto leading-relaxed mt-6`}>
-              Crafting digital experiences with a perfect blend of creativity and technical mastery
-            </p>
-          </div
-          >
-          
-          {/* Revolutionary Skills Grid */}
-          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-8 mb-20">
-            {skillsWithAnimationDelay.map((skill, index) => (
-              <div 
-                key={skill.name} 
-                className={`group relative ${isDarkMode ? 'bg-gray-800/20' : 'bg-white/40'} backdrop-blur-xl rounded-3xl p-8 border ${isDarkMode ? 'border-gray-700/30' : 'border-gray-200/30'} transition-all duration-700 hover:scale-110 hover:-rotate-2 cursor-pointer overflow-hidden`}
-                data-aos="zoom-in" 
-                data-aos-delay={index * 100}
-                style={{
-                  transformStyle: 'preserve-3d',
-                  transition: 'all 0.7s cubic-bezier(0.23, 1, 0.320, 1)'
-                }}
-                onMouseEnter={(e) => {
-                  e.currentTarget.style.transform = 'scale(1.1) rotateY(5deg) rotateX(5deg)'
-                  e.currentTarget.style.boxShadow = isDarkMode 
-                    ? `0 20px 60px rgba(139, 92, 246, 0.4), 0 0 0 1px rgba(139, 92, 246, 0.2)`
-                    : `0 20px 60px rgba(139, 92, 246, 0.3), 0 0 0 1px rgba(139, 92, 246, 0.1)`
-                }}
-                onMouseLeave={(e) => {
-                  e.currentTarget.style.transform = 'scale(1) rotateY(0deg) rotateX(0deg)'
-                  e.currentTarget.style.boxShadow = 'none'
-                }}
+
+            <div className="max-w-7xl mx-auto relative">
+              {/* Enhanced Header Section */}
+              <div className="text-center mb-24">
+                <div className="relative inline-block">
+                  <h2 className="text-4xl sm:text-5xl md:text-7xl font-black mb-8 bg-gradient-to-r from-brand-1 via-brand-2 to-brand-3 bg-clip-text text-transparent animate-gradient-shift">
+                    {t('skills.title')}
+                  </h2>
+                  {/* Glowing underline */}
+                  <div className="absolute -bottom-2 left-1/2 transform -translate-x-1/2 w-32 h-1 bg-gradient-to-r from-purple-600 dark:from-purple-500 to-cyan-600 dark:to-cyan-500 rounded-full"
+                       style={{ animation: 'pulse 2s ease-in-out infinite' }}></div>
+                </div>
+                <p className="text-xl text-body max-w-3xl mx-auto leading-relaxed mt-6">
+                  {t('skills.subtitle')}
+                </p>
+              </div
               >
-                {/* Animated Background Gradient */}
-                <div className={`absolute inset-0 bg-gradient-to-br ${skill.color} opacity-0 group-hover:opacity-10 transition-opacity duration-700 rounded-3xl`}></div>
+          
+              {/* Revolutionary Skills Grid */}
+              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-8 mb-20">
+                {skillsWithAnimationDelay.map((skill, index) => (
+                  <div 
+                    key={skill.name} 
+                    className="group relative bg-surface/30 backdrop-blur-xl rounded-3xl p-8 border border-line/30 transition-all duration-700 hover:scale-110 hover:-rotate-2 cursor-pointer overflow-hidden"
+                    data-aos="zoom-in" 
+                    data-aos-delay={index * 100}
+                    style={{
+                      transformStyle: 'preserve-3d',
+                      transition: 'all 0.7s cubic-bezier(0.23, 1, 0.320, 1)'
+                    }}
+                    onMouseEnter={(e) => {
+                      e.currentTarget.style.transform = 'scale(1.1) rotateY(5deg) rotateX(5deg)'
+                      e.currentTarget.style.boxShadow = '0 20px 60px rgba(139, 92, 246, 0.35), 0 0 0 1px rgba(139, 92, 246, 0.15)'
+                    }}
+                    onMouseLeave={(e) => {
+                      e.currentTarget.style.transform = 'scale(1) rotateY(0deg) rotateX(0deg)'
+                      e.currentTarget.style.boxShadow = 'none'
+                    }}
+                  >
+                    {/* Animated Background Gradient */}
+                    <div className={`absolute inset-0 bg-gradient-to-br ${skill.color} opacity-0 group-hover:opacity-10 transition-opacity duration-700 rounded-3xl`}></div>
                 
-                {/* Skill Icon with 3D Effect */}
-                <div className="relative mb-8 flex justify-center">
-                  <div className="relative">
-                    {/* Glow Effect */}
-                    <div className={`absolute inset-0 bg-gradient-to-r ${skill.color} rounded-2xl blur-xl opacity-0 group-hover:opacity-60 transition-all duration-500 scale-150`}></div>
-                    {/* Icon Container */}
-                    <div className={`relative w-20 h-20 bg-gradient-to-br ${skill.color} rounded-2xl flex items-center justify-center text-3xl shadow-2xl transform group-hover:scale-125 group-hover:rotate-12 transition-all duration-500`}
-                         style={{ 
-                           boxShadow: isDarkMode 
-                             ? '0 10px 30px rgba(0,0,0,0.3), inset 0 1px 0 rgba(255,255,255,0.2)'
-                             : '0 10px 30px rgba(0,0,0,0.1), inset 0 1px 0 rgba(255,255,255,0.3)'
-                         }}>
-                      <span className="drop-shadow-lg">{skill.icon}</span>
-                      {/* Shine overlay */}
-                      <div className="absolute inset-0 bg-gradient-to-tr from-white/20 to-transparent rounded-2xl opacity-0 group-hover:opacity-100 transition-opacity duration-300"></div>
-                    </div>
-                    {/* Floating particles */}
-                    <div className="absolute inset-0 pointer-events-none">
-                      {[...Array(3)].map((_, i) => (
-                        <div
-                          key={i}
-                          className={`absolute w-1 h-1 bg-gradient-to-r ${skill.color} rounded-full opacity-0 group-hover:opacity-100 transition-all duration-1000`}
-                          style={{
-                            left: `${20 + i * 30}%`,
-                            top: `${10 + i * 20}%`,
-                            animation: `float ${3 + i}s ease-in-out infinite`,
-                            animationDelay: `${i * 0.5}s`
-                          }}
-                        />
-                      ))}
+                    {/* Skill Icon with 3D Effect */}
+                    <div className="relative mb-8 flex justify-center">
+                      <div className="relative">
+                        {/* Glow Effect */}
+                        <div className={`absolute inset-0 bg-gradient-to-r ${skill.color} rounded-2xl blur-xl opacity-0 group-hover:opacity-60 transition-all duration-500 scale-150`}></div>
+                        {/* Icon Container */}
+                        <div className={`relative w-20 h-20 bg-gradient-to-br ${skill.color} rounded-2xl flex items-center justify-center text-3xl shadow-2xl transform group-hover:scale-125 group-hover:rotate-12 transition-all duration-500`}
+                             style={{ boxShadow: '0 10px 30px rgba(0,0,0,0.2), inset 0 1px 0 rgba(255,255,255,0.25)' }}>
+                          <span className="drop-shadow-lg">{skill.icon}</span>
+                          {/* Shine overlay */}
+                          <div className="absolute inset-0 bg-gradient-to-tr from-white/20 to-transparent rounded-2xl opacity-0 group-hover:opacity-100 transition-opacity duration-300"></div>
+                        </div>
+                        {/* Floating particles */}
+                        <div className="absolute inset-0 pointer-events-none">
+                          {[...Array(3)].map((_, i) => (
+                            <div
+                              key={i}
+                              className={`absolute w-1 h-1 bg-gradient-to-r ${skill.color} rounded-full opacity-0 group-hover:opacity-100 transition-all duration-1000`}
+                              style={{
+                                left: `${20 + i * 30}%`,
+                                top: `${10 + i * 20}%`,
+                                animation: `float ${3 + i}s ease-in-out infinite`,
+                                animationDelay: `${i * 0.5}s`
+                              }}
+                            />
+                          ))}
+                        </div>
+                      </div>
                     </div>
-                  </div>
-                </div>
 
-                {/* Skill Name with Enhanced Typography */}
-                <h3 className={`text-xl font-bold mb-6 text-center ${isDarkMode ? 'text-white' : 'text-gray-900'} group-hover:text-transparent group-hover:bg-gradient-to-r group-hover:${skill.color} group-hover:bg-clip-text transition-all duration-500 transform group-hover:scale-105`}>
-                  {skill.name}
-                </h3>
+                    {/* Skill Name with Enhanced Typography */}
+                    <h3 className={`text-xl font-bold mb-6 text-center text-fg group-hover:text-transparent group-hover:bg-gradient-to-r group-hover:${skill.color} group-hover:bg-clip-text transition-all duration-500 transform group-hover:scale-105`}>
+                      {skill.name}
+                    </h3>
+
+                    {/* Revolutionary Progress Ring */}
+                    <div className="relative flex justify-center mb-6">
+                      <div className="relative w-24 h-24">
+                        {/* Background Circle */}
+                        <svg className="w-24 h-24 transform -rotate-90" viewBox="0 0 100 100">
+                          <circle
+                            cx="50"
+                            cy="50"
+                            r="40"
+                            strokeWidth="8"
+                            fill="none"
+                            className="stroke-line opacity-20"
+                          />
+                          {/* Progress Circle */}
+                          <circle
+                            cx="50"
+                            cy="50"
+                            r="40"
+                            stroke="url(#gradient)"
+                            strokeWidth="8"
+                            fill="none"
+                            strokeLinecap="round"
+                            strokeDasharray={`${2 * Math.PI * 40}`}
+                            strokeDashoffset={`${2 * Math.PI * 40 * (1 - skill.level / 100)}`}
+                            className="transition-all duration-1000 ease-out"
+                            style={{ filter: 'drop-shadow(0 0 6px rgba(139, 92, 246, 0.5))' }}
+                          />
+                          <defs>
+                            <linearGradient id="gradient" x1="0%" y1="0%" x2="100%" y2="100%">
+                              <stop offset="0%" stopColor="#8B5CF6" />
+                              <stop offset="100%" stopColor="#06B6D4" />
+                            </linearGradient>
+                          </defs>
+                        </svg>
+                        {/* Percentage in Center */}
+                        <div className="absolute inset-0 flex items-center justify-center">
+                          <span className="text-lg font-bold text-fg">
+                            {skill.level}%
+                          </span>
+                        </div>
+                      </div>
+                    </div>
 
-                {/* Revolutionary Progress Ring */}
-                <div className="relative flex justify-center mb-6">
-                  <div className="relative w-24 h-24">
-                    {/* Background Circle */}
-                    <svg className="w-24 h-24 transform -rotate-90" viewBox="0 0 100 100">
-                      <circle
-                        cx="50"
-                        cy="50"
-                        r="40"
-                        stroke={isDarkMode ? '#374151' : '#E5E7EB'}
-                        strokeWidth="8"
-                        fill="none"
-                        className="opacity-20"
-                      />
-                      {/* Progress Circle */}
-                      <circle
-                        cx="50"
-                        cy="50"
-                        r="40"
-                        stroke="url(#gradient)"
-                        strokeWidth="8"
-                        fill="none"
-                        strokeLinecap="round"
-                        strokeDasharray={`${2 * Math.PI * 40}`}
-                        strokeDashoffset={`${2 * Math.PI * 40 * (1 - skill.level / 100)}`}
-                        className="transition-all duration-1000 ease-out"
-                        style={{ filter: 'drop-shadow(0 0 6px rgba(139, 92, 246, 0.5))' }}
-                      />
-                      <defs>
-                        <linearGradient id="gradient" x1="0%" y1="0%" x2="100%" y2="100%">
-                          <stop offset="0%" stopColor="#8B5CF6" />
-                          <stop offset="100%" stopColor="#06B6D4" />
-                        </linearGradient>
-                      </defs>
-                    </svg>
-                    {/* Percentage in Center */}
-                    <div className="absolute inset-0 flex items-center justify-center">
-                      <span className={`text-lg font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
-                        {skill.level}%
+                    {/* Skill Proficiency Label */}
+                    <div className="text-center">
+                      <span className={`text-sm font-medium px-4 py-2 rounded-full bg-raised/50 text-body group-hover:bg-gradient-to-r group-hover:${skill.color} group-hover:text-white transition-all duration-300`}>
+                        {t(`skills.levels.${skill.level >= 90 ? 'expert' : skill.level >= 80 ? 'advanced' : 'proficient'}`)}
                       </span>
                     </div>
-                  </div>
-                </div>
 
-                {/* Skill Proficiency Label */}
-                <div className="text-center">
-                  <span className={`text-sm font-medium px-4 py-2 rounded-full ${isDarkMode ? 'bg-gray-700/50 text-gray-300' : 'bg-gray-100 text-gray-600'} group-hover:bg-gradient-to-r group-hover:${skill.color} group-hover:text-white transition-all duration-300`}>
-                    {skill.level >= 90 ? 'Expert' : skill.level >= 80 ? 'Advanced' : 'Proficient'}
-                  </span>
-                </div>
-
-                {/* Corner Decoration */}
-                <div className="absolute top-4 right-4">
-                  <div className={`w-2 h-2 rounded-full bg-gradient-to-r ${skill.color} opacity-60 group-hover:opacity-100 group-hover:scale-150 transition-all duration-300`}></div>
-                </div>
+                    {/* Corner Decoration */}
+                    <div className="absolute top-4 right-4">
+                      <div className={`w-2 h-2 rounded-full bg-gradient-to-r ${skill.color} opacity-60 group-hover:opacity-100 group-hover:scale-150 transition-all duration-300`}></div>
+                    </div>
 
-                {/* Bottom Corner Shine */}
-                <div className="absolute bottom-0 right-0 w-16 h-16 bg-gradient-to-tl from-white/10 to-transparent rounded-tl-full opacity-0 group-hover:opacity-100 transition-opacity duration-500"></div>
+                    {/* Bottom Corner Shine */}
+                    <div className="absolute bottom-0 right-0 w-16 h-16 bg-gradient-to-tl from-white/10 to-transparent rounded-tl-full opacity-0 group-hover:opacity-100 transition-opacity duration-500"></div>
+                  </div>
+                ))}
               </div>
-            ))}
-          </div>
 
-          {/* Enhanced Statistics Dashboard */}
-          <div className={`relative ${isDarkMode ? 'bg-gray-800/20' : 'bg-white/40'} backdrop-blur-xl rounded-3xl p-12 border ${isDarkMode ? 'border-gray-700/30' : 'border-gray-200/30'}`}>
-            <h3 className={`text-2xl font-bold text-center mb-12 ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
-              Development Statistics
-            </h3>
-            <div className="grid grid-cols-2 md:grid-cols-4 gap-8">
-              {[
-                { value: '8+', label: 'Technologies', color: 'from-purple-500 to-purple-700', icon: '🚀' },
-                { value: '5+', label: 'Years Experience', color: 'from-cyan-500 to-cyan-700', icon: '⏱️' },
-                { value: '50+', label: 'Projects Built', color: 'from-pink-500 to-pink-700', icon: '💼' },
-                { value: '90%+', label: 'Avg Proficiency', color: 'from-orange-500 to-orange-700', icon: '⭐' }
-              ].map((stat, index) => (
-                <div key={stat.label} className="text-center group" data-aos="fade-up" data-aos-delay={index * 150}>
-                  <div className={`text-4xl mb-3 bg-gradient-to-r ${stat.color} bg-clip-text text-transparent font-black group-hover:scale-110 transition-transform duration-300`}>
-                    {stat.value}
-                  </div>
-                  <div className="text-2xl mb-2 group-hover:scale-125 transition-transform duration-300">
-                    {stat.icon}
-                  </div>
-                  <div className={`text-sm font-medium ${isDarkMode ? 'text-gray-400' : 'text-gray-600'} group-hover:text-purple-500 transition-colors duration-300`}>
-                    {stat.label}
-                  </div>
+              {/* Enhanced Statistics Dashboard */}
+              <div className="relative bg-surface/30 backdrop-blur-xl rounded-3xl p-12 border border-line/30">
+                <h3 className="text-2xl font-bold text-center mb-12 text-fg">
+                  {t('skills.statsTitle')}
+                </h3>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-8">
+                  {[
+                    { value: skills.length, label: t('skills.stats.technologies'), color: 'from-purple-500 to-purple-700', icon: '🚀' },
+                    EXPERIENCE_YEARS !== null && { value: `${EXPERIENCE_YEARS}+`, label: t('skills.stats.experience'), color: 'from-cyan-500 to-cyan-700', icon: '⏱️' },
+                    { value: projects.length, label: t('skills.stats.projects'), color: 'from-pink-500 to-pink-700', icon: '💼' },
+                    AVERAGE_SKILL_LEVEL !== null && { value: `${AVERAGE_SKILL_LEVEL}%`, label: t('skills.stats.proficiency'), color: 'from-orange-500 to-orange-700', icon: '⭐' }
+                  ].filter(Boolean).map((stat, index) => (
+                    <div key={stat.icon} className="text-center group" data-aos="fade-up" data-aos-delay={index * 150}>
+                      <div className={`text-4xl mb-3 bg-gradient-to-r ${stat.color} bg-clip-text text-transparent font-black group-hover:scale-110 transition-transform duration-300`}>
+                        {stat.value}
+                      </div>
+                      <div className="text-2xl mb-2 group-hover:scale-125 transition-transform duration-300">
+                        {stat.icon}
+                      </div>
+                      <div className="text-sm font-medium text-muted group-hover:text-purple-500 transition-colors duration-300">
+                        {stat.label}
+                      </div>
+                    </div>
+                  ))}
                 </div>
-              ))}
+              </div>
             </div>
-          </div>
-        </div>
-      </section>
-
-      {/* Projects Section */}
-      <section id="projects" className="py-24 px-4 sm:px-6 relative" data-aos="fade-up">
-        <div className="max-w-7xl mx-auto">
-          <h2 className={`text-3xl sm:text-4xl md:text-6xl font-bold text-center mb-16 bg-gradient-to-r ${isDarkMode ? 'from-purple-400 via-pink-400 to-cyan-400' : 'from-purple-600 via-blue-600 to-pink-600'} bg-clip-text text-transparent`}>
-            Featured Projects
-          </h2>
-
-          {/* Project Filters */}
-          <Suspense fallback={<div className="text-center py-8">Loading filters...</div>}>
-            <ProjectFilters
-              filters={filterCategories}
-              activeFilters={activeFilters}
-              onFilterChange={handleFilterChange}
-              searchTerm={searchTerm}
-              onSearchChange={handleSearchChange}
-              isDarkMode={isDarkMode}
-              projectCount={filteredProjects.length}
-            />
-          </Suspense>
-
-          <div className="grid grid-cols-1 lg:grid-cols-2 xl:grid-cols-3 gap-8">
-            {filteredProjects.map((project, index) => (
-              <div 
-                key={project.title} 
-                className={`group relative ${isDarkMode ? 'bg-gray-800/50 border-gray-700' : 'bg-white/80 border-gray-200'} backdrop-blur-sm rounded-xl overflow-hidden border card-hover-effect animate-fade-in-scale transition-all duration-300`} 
-                data-aos="fade-up" 
-                data-aos-delay={index * 100}
-                onMouseEnter={(e) => {
-                  // Only show hover preview on non-touch devices
-                  if (project.liveUrl && project.previewable && !('ontouchstart' in window)) {
-                    // Clear any existing timeout
-                    if (hoverTimeout) {
-                      clearTimeout(hoverTimeout)
-                    }
-                    
-                    // Set a small delay before showing preview
-                    const timeout = setTimeout(() => {
-                      const rect = e.currentTarget.getBoundingClientRect()
-                      setHoverPreview({
-                        project,
-                        position: {
-                          x: rect.right,
-                          y: rect.top + rect.height / 2
+          </section>
+
+          {/* Projects Section */}
+          <section id="projects" className="py-24 px-4 sm:px-6 relative" data-aos="fade-up">
+            <div className="max-w-7xl mx-auto">
+              <h2 className="text-3xl sm:text-4xl md:text-6xl font-bold text-center mb-16 bg-gradient-to-r from-brand-1 via-brand-2 to-brand-3 bg-clip-text text-transparent">
+                {t('projects.title')}
+              </h2>
+
+              {/* Project Filters */}
+              <Suspense fallback={<div className="text-center py-8">{t('projects.loadingFilters')}</div>}>
+                <ProjectFilters
+                  facets={facetOptions}
+                  activeFilters={activeFilters}
+                  onFilterChange={handleFilterChange}
+                  searchTerm={searchTerm}
+                  onSearchChange={handleSearchChange}
+                  onClearFilters={handleClearFilters}
+                  sortModes={SORT_MODES}
+                  sortMode={sortMode}
+                  onSortChange={setSortMode}
+                  projectCount={filteredProjects.length}
+                />
+              </Suspense>
+
+              <div className="grid grid-cols-1 lg:grid-cols-2 xl:grid-cols-3 gap-8">
+                {filteredProjects.map((project, index) => (
+                  <div 
+                    key={project.title} 
+                    className="group relative bg-surface/60 border-line backdrop-blur-sm rounded-xl overflow-hidden border card-hover-effect animate-fade-in-scale transition-all duration-300" 
+                    data-aos="fade-up" 
+                    data-aos-delay={index * 100}
+                    onMouseEnter={(e) => {
+                      // Only show hover preview on non-touch devices
+                      if (project.liveUrl && project.previewable && !('ontouchstart' in window)) {
+                        showHoverPreview(project, e.currentTarget)
+                      }
+                    }}
+                    onMouseLeave={() => hideHoverPreview(100)}
+                  >
+                    {/* Not a <button>: it may hold a live thumbnail iframe, which buttons can't contain */}
+                    <div 
+                      role="button"
+                      tabIndex={0}
+                      aria-label={`${project.title}: ${t(`projects.actions.${projectAction(project)}`)}`}
+                      aria-describedby={hoverPreview.project === project ? HOVER_PREVIEW_ID : undefined}
+                      className="h-48 bg-raised relative overflow-hidden group cursor-pointer"
+                      onClick={() => openProject(project)}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter' || e.key === ' ') {
+                          e.preventDefault()
+                          openProject(project)
                         }
-                      })
-                    }, 150) // Reduced delay for better responsiveness
-                    
-                    setHoverTimeout(timeout)
-                  }
-                }}
-                onMouseLeave={() => {
-                  // Clear timeout and hide preview
-                  if (hoverTimeout) {
-                    clearTimeout(hoverTimeout)
-                    setHoverTimeout(null)
-                  }
-                  setHoverPreview({ project: null, position: null })
-                }}
-              >
-                <div 
-                  className={`h-48 ${isDarkMode ? 'bg-gray-700' : 'bg-gray-200'} relative overflow-hidden group cursor-pointer`}
-                  onClick={() => {
-                    if (project.previewable && project.liveUrl) {
-                      setPreviewModal({ isOpen: true, project })
-                    } else if (project.liveUrl) {
-                      window.open(project.liveUrl, '_blank')
-                    } else if (project.githubUrl) {
-                      window.open(project.githubUrl, '_blank')
-                    }
-                  }}
-                >
-                  {project.liveUrl ? (
-                    <div className="relative w-full h-full">
-                      {/* Website thumbnail preview */}
-                      <iframe
-                        src={project.liveUrl}
-                        title={`${project.title} preview`}
-                        className="w-full h-full border-0"
-                        style={{ 
-                          transform: 'scale(0.25)',
-                          transformOrigin: 'top left',
-                          width: '400%', 
-                          height: '400%',
-                          pointerEvents: 'none',
-                          contain: 'layout style'
-                        }}
-                        loading="lazy"
-                        sandbox="allow-same-origin"
-                      />
-                      
-                      {/* Hover overlay with preview icon */}
-                      <div className="absolute inset-0 bg-gradient-to-t from-black/50 via-transparent to-transparent opacity-0 group-hover:opacity-100 transition-all duration-300 flex items-end justify-center pb-4">
-                        <div className="bg-white/20 backdrop-blur-sm rounded-lg px-3 py-2 text-white text-sm font-medium">
-                          {project.previewable ? 'Hover for preview • Click for fullscreen' : 'Click to Open'}
-                        </div>
-                      </div>
-                      
-                      {/* Live indicator */}
-                      <div className="absolute top-3 right-3">
-                        <div className="bg-green-500 text-white px-2 py-1 rounded-full text-xs font-bold flex items-center space-x-1">
-                          <div className="w-2 h-2 bg-white rounded-full animate-pulse"></div>
-                          <span>LIVE</span>
-                        </div>
-                      </div>
+                      }}
+                      onFocus={(e) => {
+                        if (project.liveUrl && project.previewable && e.currentTarget.matches(':focus-visible')) {
+                          showHoverPreview(project, e.currentTarget)
+                        }
+                      }}
+                      onBlur={() => hideHoverPreview()}
+                    >
+                      <ProjectThumbnail project={project} />
+
+                      {project.liveUrl && (
+                        <>
+                          {/* Hover overlay with preview icon */}
+                          <div aria-hidden="true" className="absolute inset-0 bg-gradient-to-t from-black/50 via-transparent to-transparent opacity-0 group-hover:opacity-100 group-focus-visible:opacity-100 transition-all duration-300 flex items-end justify-center pb-4">
+                            <div className="bg-white/20 backdrop-blur-sm rounded-lg px-3 py-2 text-white text-sm font-medium">
+                              {t(project.previewable ? 'projects.hintPreview' : 'projects.hintOpen')}
+                            </div>
+                          </div>
 
-                      {/* Hover preview indicator */}
-                      {project.previewable && (
-                        <div className="absolute top-3 left-3">
-                          <div className={`${isDarkMode ? 'bg-purple-600' : 'bg-purple-500'} text-white px-2 py-1 rounded-full text-xs font-bold flex items-center space-x-1`}>
-                            <span>👁️</span>
-                            <span>HOVER</span>
+                          {/* Live indicator */}
+                          <div className="absolute top-3 end-3">
+                            <div className="bg-green-500 text-white px-2 py-1 rounded-full text-xs font-bold flex items-center space-x-1 rtl:space-x-reverse">
+                              <div className="w-2 h-2 bg-white rounded-full animate-pulse"></div>
+                              <span>{t('projects.live')}</span>
+                            </div>
                           </div>
-                        </div>
+
+                          {/* Hover preview indicator */}
+                          {project.previewable && (
+                            <div className="absolute top-3 start-3">
+                              <div className="bg-purple-500 dark:bg-purple-600 text-white px-2 py-1 rounded-full text-xs font-bold flex items-center space-x-1 rtl:space-x-reverse">
+                                <span>👁️</span>
+                                <span>{t('projects.hover')}</span>
+                              </div>
+                            </div>
+                          )}
+                        </>
                       )}
                     </div>
-                  ) : (
-                    <div className="w-full h-full flex items-center justify-center">
-                      <div className="text-center">
-                        <span className="text-4xl mb-2 block">�</span>
-                        <span className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>Code Repository</span>
+                    <div className="p-6">
+                      <h3 className="text-xl font-bold text-fg mb-2">
+                        <Link to={`/projects/${project.slug}`} state={{ from: 'home' }} className="hover:text-purple-400 transition-colors duration-300">
+                          <Highlight text={project.title} ranges={searchMatches[project.slug]?.title} />
+                        </Link>
+                      </h3>
+                      <p className="text-body mb-4">
+                        <Highlight text={project.description} ranges={searchMatches[project.slug]?.description} />
+                      </p>
+                      {project.caseStudy.length > 0 && (
+                        <Link
+                          to={`/projects/${project.slug}`}
+                          state={{ from: 'home' }}
+                          className="inline-block mb-4 text-sm font-medium text-purple-400 hover:text-cyan-400 transition-colors duration-300"
+                        >
+                          {t('projects.readCaseStudy')}
+                        </Link>
+                      )}
+                      <div className="flex flex-wrap gap-2 mb-4">
+                        {project.tags.map((tag) => (
+                          <span key={tag} className="px-3 py-1 bg-tag text-tag-fg rounded-full text-sm">
+                            <Highlight text={tag} ranges={searchMatches[project.slug]?.tags?.[tag]} />
+                          </span>
+                        ))}
+                      </div>
+                      <p className="text-xs text-faint mb-4">
+                        {formatDateRange(project.startDate, project.endDate)}
+                      </p>
+                      <div className="flex gap-2">
+                        {project.previewable && project.liveUrl && (
+                          <button 
+                            onClick={() => setPreviewModal({ isOpen: true, project })}
+                            className="flex-1 py-2 px-4 bg-gradient-to-r from-cyan-500 to-blue-500 rounded-lg text-white font-medium hover:scale-105 transition-all duration-300 text-sm flex items-center justify-center space-x-1 rtl:space-x-reverse"
+                            title={t('projects.previewTitle')}
+                          >
+                            <span aria-hidden="true">👁️</span>
+                            <span className="sr-only sm:not-sr-only">{t('projects.preview')}</span>
+                          </button>
+                        )}
+                        {project.liveUrl && (
+                          <button 
+                            onClick={() => window.open(project.liveUrl, '_blank')}
+                            className={`${project.previewable ? 'flex-1' : 'flex-1'} py-2 px-4 bg-gradient-to-r from-purple-500 to-cyan-500 rounded-lg text-white font-medium hover:scale-105 transition-all duration-300 text-sm flex items-center justify-center space-x-1 rtl:space-x-reverse`}
+                            title={t('projects.visitTitle')}
+                          >
+                            <span aria-hidden="true">↗️</span>
+                            <span className="sr-only sm:not-sr-only">{t('projects.visit')}</span>
+                          </button>
+                        )}
+                        <button 
+                          onClick={() => window.open(project.githubUrl, '_blank')}
+                          className={`${project.liveUrl ? 'flex-1' : 'flex-1'} py-2 px-4 border-2 border-line-strong text-body hover:bg-raised rounded-lg font-medium transition-all duration-300 text-sm`}
+                        >
+                          {t('projects.github')}
+                        </button>
                       </div>
                     </div>
-                  )}
-                </div>
-                <div className="p-6">
-                  <h3 className={`text-xl font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'} mb-2`}>{project.title}</h3>
-                  <p className={`${isDarkMode ? 'text-gray-300' : 'text-gray-700'} mb-4`}>{project.description}</p>
-                  <div className="flex flex-wrap gap-2 mb-4">
-                    {project.tags.map((tag) => (
-                      <span key={tag} className={`px-3 py-1 ${isDarkMode ? 'bg-purple-900/50 text-purple-300' : 'bg-purple-100 text-purple-700'} rounded-full text-sm`}>
-                        {tag}
-                      </span>
-                    ))}
-                  </div>
-                  <div className="flex gap-2">
-                    {project.previewable && project.liveUrl && (
-                      <button 
-                        onClick={() => setPreviewModal({ isOpen: true, project })}
-                        className="flex-1 py-2 px-4 bg-gradient-to-r from-cyan-500 to-blue-500 rounded-lg text-white font-medium hover:scale-105 transition-all duration-300 text-sm flex items-center justify-center space-x-1"
-                        title="Quick preview in modal"
-                      >
-                        <span>👁️</span>
-                        <span className="hidden sm:inline">Preview</span>
-                      </button>
-                    )}
-                    {project.liveUrl && (
-                      <button 
-                        onClick={() => window.open(project.liveUrl, '_blank')}
-                        className={`${project.previewable ? 'flex-1' : 'flex-1'} py-2 px-4 bg-gradient-to-r from-purple-500 to-cyan-500 rounded-lg text-white font-medium hover:scale-105 transition-all duration-300 text-sm flex items-center justify-center space-x-1`}
-                        title="Open full site in new tab"
-                      >
-                        <span>↗️</span>
-                        <span className="hidden sm:inline">Visit Site</span>
-                      </button>
-                    )}
-                    <button 
-                      onClick={() => window.open(project.githubUrl, '_blank')}
-                      className={`${project.liveUrl ? 'flex-1' : 'flex-1'} py-2 px-4 border-2 ${isDarkMode ? 'border-gray-600 text-gray-300 hover:bg-gray-700' : 'border-gray-300 text-gray-700 hover:bg-gray-100'} rounded-lg font-medium transition-all duration-300 text-sm`}
-                    >
-                      GitHub
-                    </button>
                   </div>
-                </div>
+                ))}
               </div>
-            ))}
-          </div>
-        </div>
-      </section>
+            </div>
+          </section>
 
-      {/* Statistics Section */}
-      <section className="py-16 px-4 sm:px-6 relative overflow-hidden" data-aos="fade-up">
-        <div className="max-w-6xl mx-auto">
-          <div className={`${isDarkMode ? 'bg-gradient-to-br from-gray-800/60 to-gray-900/60' : 'bg-gradient-to-br from-white/60 to-gray-50/60'} backdrop-blur-sm rounded-3xl p-12 relative`}>
-            {/* Background decoration */}
-            <div className="absolute inset-0 bg-gradient-to-r from-purple-500/10 via-cyan-500/10 to-pink-500/10 rounded-3xl"></div>
-            
-            <div className="relative z-10">
-              <h2 className={`text-2xl sm:text-3xl md:text-4xl font-bold text-center mb-12 bg-gradient-to-r ${isDarkMode ? 'from-purple-400 to-cyan-400' : 'from-purple-600 to-cyan-600'} bg-clip-text text-transparent`}>
-                By the Numbers
+          {/* Blog Section */}
+          <section id="blog" className="py-24 px-4 sm:px-6 relative" data-aos="fade-up">
+            <div className="max-w-7xl mx-auto">
+              <h2 className="text-3xl sm:text-4xl md:text-6xl font-bold text-center mb-6 bg-gradient-to-r from-brand-1 via-brand-2 to-brand-3 bg-clip-text text-transparent">
+                {t('blog.latestTitle')}
               </h2>
-              
-              <div className="grid grid-cols-2 md:grid-cols-4 gap-8">
-                <div className="text-center" data-aos="fade-up" data-aos-delay="100">
-                  <div className={`text-3xl sm:text-4xl md:text-5xl font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'} mb-2`}>
-                    50+
-                  </div>
-                  <div className={`text-sm sm:text-base ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
-                    Projects Completed
-                  </div>
+              <p className="text-xl text-center text-body mb-16 max-w-2xl mx-auto">
+                {t('blog.latestSubtitle')}
+              </p>
+
+              {posts.length === 0 ? (
+                <p className="text-center text-muted">
+                  {t('blog.empty')}
+                </p>
+              ) : (
+                <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-8">
+                  {posts.slice(0, 3).map((post) => (
+                    <PostCard key={post.slug} post={post} />
+                  ))}
                 </div>
+              )}
+
+              <div className="text-center mt-12">
+                <Link
+                  to="/blog"
+                  className="inline-block px-8 py-3 border-2 border-accent text-accent hover:bg-accent hover:text-white rounded-full font-semibold transition-all duration-300"
+                >
+                  {t('blog.viewAll')}
+                </Link>
+              </div>
+            </div>
+          </section>
+
+          {/* Statistics Section */}
+          <section className="py-16 px-4 sm:px-6 relative overflow-hidden" data-aos="fade-up">
+            <div className="max-w-6xl mx-auto">
+              <div className="bg-gradient-to-br from-surface/60 to-page/60 backdrop-blur-sm rounded-3xl p-12 relative">
+                {/* Background decoration */}
+                <div className="absolute inset-0 bg-gradient-to-r from-purple-500/10 via-cyan-500/10 to-pink-500/10 rounded-3xl"></div>
+            
+                <div className="relative z-10">
+                  <h2 className="text-2xl sm:text-3xl md:text-4xl font-bold text-center mb-12 bg-gradient-to-r from-brand-1 to-cyan-600 dark:to-cyan-400 bg-clip-text text-transparent">
+                    {t('numbers.title')}
+                  </h2>
+              
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-8">
+                    <div className="text-center" data-aos="fade-up" data-aos-delay="100">
+                      <div className="text-3xl sm:text-4xl md:text-5xl font-bold text-fg mb-2">
+                        {projects.length}
+                      </div>
+                      <div className="text-sm sm:text-base text-muted">
+                        {t('numbers.projects')}
+                      </div>
+                    </div>
                 
-                <div className="text-center" data-aos="fade-up" data-aos-delay="200">
-                  <div className={`text-3xl sm:text-4xl md:text-5xl font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'} mb-2`}>
-                    3+
-                  </div>
-                  <div className={`text-sm sm:text-base ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
-                    Years Experience
-                  </div>
-                </div>
+                    {EXPERIENCE_YEARS !== null && (
+                      <div className="text-center" data-aos="fade-up" data-aos-delay="200">
+                        <div className="text-3xl sm:text-4xl md:text-5xl font-bold text-fg mb-2">
+                          {EXPERIENCE_YEARS}+
+                        </div>
+                        <div className="text-sm sm:text-base text-muted">
+                          {t('numbers.experience')}
+                        </div>
+                      </div>
+                    )}
                 
-                <div className="text-center" data-aos="fade-up" data-aos-delay="300">
-                  <div className={`text-3xl sm:text-4xl md:text-5xl font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'} mb-2`}>
-                    95%
-                  </div>
-                  <div className={`text-sm sm:text-base ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
-                    Client Satisfaction
-                  </div>
-                </div>
+                    <div className="text-center" data-aos="fade-up" data-aos-delay="300">
+                      <div className="text-3xl sm:text-4xl md:text-5xl font-bold text-fg mb-2">
+                        {skills.length}
+                      </div>
+                      <div className="text-sm sm:text-base text-muted">
+                        {t('numbers.technologies')}
+                      </div>
+                    </div>
                 
-                <div className="text-center" data-aos="fade-up" data-aos-delay="400">
-                  <div className={`text-3xl sm:text-4xl md:text-5xl font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'} mb-2`}>
-                    24/7
-                  </div>
-                  <div className={`text-sm sm:text-base ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
-                    Support Available
+                    <div className="text-center" data-aos="fade-up" data-aos-delay="400">
+                      <div className="text-3xl sm:text-4xl md:text-5xl font-bold text-fg mb-2">
+                        24/7
+                      </div>
+                      <div className="text-sm sm:text-base text-muted">
+                        {t('numbers.support')}
+                      </div>
+                    </div>
                   </div>
                 </div>
               </div>
             </div>
-          </div>
-        </div>
-      </section>
-
-      {/* Resume/CV Section */}
-      <section className="py-16 px-4 sm:px-6 relative" data-aos="fade-up">
-        <div className="max-w-4xl mx-auto text-center">
-          <div className={`${isDarkMode ? 'bg-gradient-to-br from-gray-800/60 to-gray-900/60 border-gray-700' : 'bg-gradient-to-br from-white/80 to-gray-50/80 border-gray-200'} backdrop-blur-sm rounded-3xl p-12 border shadow-2xl`}>
-            <div className="text-6xl mb-6">📄</div>
-            <h2 className={`text-2xl sm:text-3xl font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'} mb-4`}>
-              Download My Resume
-            </h2>
-            <p className={`text-lg ${isDarkMode ? 'text-gray-300' : 'text-gray-700'} mb-8 max-w-2xl mx-auto`}>
-              Get a detailed overview of my experience, skills, and achievements in a professionally formatted PDF.
-            </p>
-            <div className="flex flex-col sm:flex-row gap-4 justify-center items-center">
-              <button
-                onClick={() => {
-                  // Create a simple resume download (you'll need to add an actual PDF file)
-                  const link = document.createElement('a')
-                  link.href = '/resume-moin-khan.pdf' // You'll need to add this file to public folder
-                  link.download = 'Moin-Khan-Resume.pdf'
-                  document.body.appendChild(link)
-                  link.click()
-                  document.body.removeChild(link)
-                }}
-                className="group px-8 py-4 bg-gradient-to-r from-purple-600 to-cyan-600 rounded-full text-white font-semibold hover:scale-105 transition-all duration-300 shadow-lg hover:shadow-purple-500/25 flex items-center space-x-3"
-              >
-                <span>📥</span>
-                <span>Download PDF Resume</span>
-                <div className="w-0 group-hover:w-6 transition-all duration-300 overflow-hidden">
-                  <span>→</span>
-                </div>
-              </button>
-              <div className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-600'} flex items-center space-x-2`}>
-                <span>📊</span>
-                <span>Updated December 2024</span>
+          </section>
+
+          {/* Resume/CV Section */}
+          <section className="py-16 px-4 sm:px-6 relative" data-aos="fade-up">
+            <div className="max-w-4xl mx-auto text-center">
+              <div className="bg-gradient-to-br from-surface/70 to-page/70 border-line backdrop-blur-sm rounded-3xl p-12 border shadow-2xl">
+                <div className="text-6xl mb-6">📄</div>
+                <h2 className="text-2xl sm:text-3xl font-bold text-fg mb-4">
+                  {t('resume.title')}
+                </h2>
+                <p className="text-lg text-body mb-8 max-w-2xl mx-auto">
+                  {t('resume.body')}
+                </p>
+                <ResumeDownload />
               </div>
             </div>
-          </div>
-        </div>
-      </section>
-
-      {/* Contact Section */}
-      <section id="contact" className="py-24 px-4 sm:px-6 relative" data-aos="fade-up">
-        <div className="max-w-4xl mx-auto text-center">
-          <h2 className={`text-3xl sm:text-4xl md:text-6xl font-bold mb-8 bg-gradient-to-r ${isDarkMode ? 'from-purple-400 via-pink-400 to-cyan-400' : 'from-purple-600 via-blue-600 to-pink-600'} bg-clip-text text-transparent`}>
-            Let's Create Something Amazing
-          </h2>
+          </section>
+
+          {/* Contact Section */}
+          <section id="contact" className="py-24 px-4 sm:px-6 relative" data-aos="fade-up">
+            <div className="max-w-4xl mx-auto text-center">
+              <h2 className="text-3xl sm:text-4xl md:text-6xl font-bold mb-8 bg-gradient-to-r from-brand-1 via-brand-2 to-brand-3 bg-clip-text text-transparent">
+                {t('contact.title')}
+              </h2>
           
-          <p className={`text-xl ${isDarkMode ? 'text-gray-300' : 'text-gray-700'} mb-8 max-w-2xl mx-auto`}>
-            Ready to bring your ideas to life? Let's discuss your next project and create something extraordinary together.
-          </p>
-
-          {/* Quick Contact Form */}
-          <div className={`${isDarkMode ? 'bg-gray-800/30 border-gray-700' : 'bg-white/50 border-gray-200'} backdrop-blur-sm rounded-2xl p-8 border mb-12 max-w-2xl mx-auto`} data-aos="fade-up" data-aos-delay="100">
-            <h3 className={`text-xl font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'} mb-6`}>Send me a quick message</h3>
-            <form className="space-y-4" onSubmit={(e) => {
-              e.preventDefault()
-              const formData = new FormData(e.target)
-              const name = formData.get('name')
-              const email = formData.get('email')
-              const message = formData.get('message')
-              const subject = `Portfolio Contact from ${name}`
-              const body = `Hi Moin,\n\nName: ${name}\nEmail: ${email}\n\nMessage:\n${message}\n\nBest regards,\n${name}`
-              window.open(`mailto:kmoin6231@gmail.com?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`)
-            }}>
-              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-                <input
-                  type="text"
-                  name="name"
-                  placeholder="Your Name"
-                  required
-                  className={`w-full px-4 py-3 rounded-lg ${isDarkMode ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400' : 'bg-white border-gray-300 text-gray-900 placeholder-gray-500'} border focus:border-purple-500 focus:ring-2 focus:ring-purple-500/20 transition-all duration-300`}
-                />
-                <input
-                  type="email"
-                  name="email"
-                  placeholder="Your Email"
-                  required
-                  className={`w-full px-4 py-3 rounded-lg ${isDarkMode ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400' : 'bg-white border-gray-300 text-gray-900 placeholder-gray-500'} border focus:border-purple-500 focus:ring-2 focus:ring-purple-500/20 transition-all duration-300`}
-                />
+              <p className="text-xl text-body mb-8 max-w-2xl mx-auto">
+                {t('contact.subtitle')}
+              </p>
+
+              {/* Project Inquiry */}
+              <div className="bg-surface/40 border-line backdrop-blur-sm rounded-2xl p-8 border mb-12 max-w-2xl mx-auto" data-aos="fade-up" data-aos-delay="100">
+                <h3 className="text-xl font-bold text-fg mb-6">{t('inquiry.title')}</h3>
+                <InquiryWizard />
               </div>
-              <textarea
-                name="message"
-                placeholder="Your Message"
-                required
-                rows="4"
-                className={`w-full px-4 py-3 rounded-lg ${isDarkMode ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400' : 'bg-white border-gray-300 text-gray-900 placeholder-gray-500'} border focus:border-purple-500 focus:ring-2 focus:ring-purple-500/20 transition-all duration-300 resize-none`}
-              ></textarea>
-              <button
-                type="submit"
-                className="w-full py-3 px-6 bg-gradient-to-r from-purple-600 to-cyan-600 rounded-lg text-white font-semibold hover:scale-[1.02] transition-all duration-300 shadow-lg hover:shadow-purple-500/25"
-              >
-                Send Message ✉️
-              </button>
-            </form>
-          </div>
-          
-          <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-4 gap-6">
-            <div className={`${isDarkMode ? 'bg-gray-800/50 border-gray-700' : 'bg-white/80 border-gray-200'} backdrop-blur-sm rounded-3xl p-6 border hover:scale-105 transition-all duration-300 flex flex-col justify-between min-h-[200px]`} data-aos="fade-up" data-aos-delay="100">
-              <div className="text-center">
-                <div className="text-4xl mb-4">📧</div>
-                <h3 className={`text-lg font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'} mb-2`}>Email</h3>
-                <p className={`${isDarkMode ? 'text-gray-400' : 'text-gray-600'} mb-4 text-sm`}>Drop me a line anytime</p>
+
+              {/* Discovery Call Booking */}
+              <div id="booking" className="bg-surface/40 border-line backdrop-blur-sm rounded-2xl p-8 border mb-12 max-w-2xl mx-auto scroll-mt-24" data-aos="fade-up" data-aos-delay="150">
+                <h3 className="text-xl font-bold text-fg mb-6">{t('booking.title')}</h3>
+                <BookingWidget />
               </div>
-              <button 
-                onClick={() => window.open('mailto:kmoin6231@gmail.com', '_blank')}
-                className="w-full py-2 px-4 bg-gradient-to-r from-purple-500 to-cyan-500 rounded-full text-white font-semibold hover:scale-105 transition-all duration-300 text-sm"
-              >
-                Send Email
-              </button>
-            </div>
+          
+              <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-4 gap-6">
+                <div className="bg-surface/60 border-line backdrop-blur-sm rounded-3xl p-6 border hover:scale-105 transition-all duration-300 flex flex-col justify-between min-h-[200px]" data-aos="fade-up" data-aos-delay="100">
+                  <div className="text-center">
+                    <div className="text-4xl mb-4">📧</div>
+                    <h3 className="text-lg font-bold text-fg mb-2">{t('contact.channels.email.title')}</h3>
+                    <p className="text-muted mb-4 text-sm">{t('contact.channels.email.body')}</p>
+                  </div>
+                  <button 
+                    onClick={() => openExternal(emailUrl)}
+                    className="w-full py-2 px-4 bg-gradient-to-r from-purple-500 to-cyan-500 rounded-full text-white font-semibold hover:scale-105 transition-all duration-300 text-sm"
+                  >
+                    {t('contact.channels.email.action')}
+                  </button>
+                </div>
             
-            <div className={`${isDarkMode ? 'bg-gray-800/50 border-gray-700' : 'bg-white/80 border-gray-200'} backdrop-blur-sm rounded-3xl p-6 border hover:scale-105 transition-all duration-300 flex flex-col justify-between min-h-[200px]`} data-aos="fade-up" data-aos-delay="200">
-              <div className="text-center">
-                <div className="text-4xl mb-4">📱</div>
-                <h3 className={`text-lg font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'} mb-2`}>Phone</h3>
-                <p className={`${isDarkMode ? 'text-gray-400' : 'text-gray-600'} mb-4 text-sm`}>Let's have a quick chat</p>
-              </div>
-              <button 
-                onClick={() => window.open('tel:+923024060098', '_blank')}
-                className="w-full py-2 px-4 bg-gradient-to-r from-green-500 to-blue-500 rounded-full text-white font-semibold hover:scale-105 transition-all duration-300 text-sm"
-              >
-                Call Now
-              </button>
-            </div>
+                <div className="bg-surface/60 border-line backdrop-blur-sm rounded-3xl p-6 border hover:scale-105 transition-all duration-300 flex flex-col justify-between min-h-[200px]" data-aos="fade-up" data-aos-delay="200">
+                  <div className="text-center">
+                    <div className="text-4xl mb-4">📱</div>
+                    <h3 className="text-lg font-bold text-fg mb-2">{t('contact.channels.phone.title')}</h3>
+                    <p className="text-muted mb-4 text-sm">{t('contact.channels.phone.body')}</p>
+                  </div>
+                  <button 
+                    onClick={() => openExternal(phoneUrl)}
+                    className="w-full py-2 px-4 bg-gradient-to-r from-green-500 to-blue-500 rounded-full text-white font-semibold hover:scale-105 transition-all duration-300 text-sm"
+                  >
+                    {t('contact.channels.phone.action')}
+                  </button>
+                </div>
             
-            <div className={`${isDarkMode ? 'bg-gray-800/50 border-gray-700' : 'bg-white/80 border-gray-200'} backdrop-blur-sm rounded-3xl p-6 border hover:scale-105 transition-all duration-300 flex flex-col justify-between min-h-[200px]`} data-aos="fade-up" data-aos-delay="300">
-              <div className="text-center">
-                <div className="text-4xl mb-4">💬</div>
-                <h3 className={`text-lg font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'} mb-2`}>WhatsApp</h3>
-                <p className={`${isDarkMode ? 'text-gray-400' : 'text-gray-600'} mb-4 text-sm`}>Quick & direct messaging</p>
-              </div>
-              <button 
-                onClick={() => window.open('https://wa.me/923024060098?text=Hi Moin! I visited your portfolio and would like to discuss a project.', '_blank')}
-                className="w-full py-2 px-4 bg-gradient-to-r from-green-500 to-green-600 rounded-full text-white font-semibold hover:scale-105 transition-all duration-300 text-sm"
-              >
-                Chat on WhatsApp
-              </button>
-            </div>
+                <div className="bg-surface/60 border-line backdrop-blur-sm rounded-3xl p-6 border hover:scale-105 transition-all duration-300 flex flex-col justify-between min-h-[200px]" data-aos="fade-up" data-aos-delay="300">
+                  <div className="text-center">
+                    <div className="text-4xl mb-4">💬</div>
+                    <h3 className="text-lg font-bold text-fg mb-2">{t('contact.channels.whatsapp.title')}</h3>
+                    <p className="text-muted mb-4 text-sm">{t('contact.channels.whatsapp.body')}</p>
+                  </div>
+                  <button 
+                    onClick={() => openExternal(whatsappUrl)}
+                    className="w-full py-2 px-4 bg-gradient-to-r from-green-500 to-green-600 rounded-full text-white font-semibold hover:scale-105 transition-all duration-300 text-sm"
+                  >
+                    {t('contact.channels.whatsapp.action')}
+                  </button>
+                </div>
             
-            <div className={`${isDarkMode ? 'bg-gray-800/50 border-gray-700' : 'bg-white/80 border-gray-200'} backdrop-blur-sm rounded-3xl p-6 border hover:scale-105 transition-all duration-300 flex flex-col justify-between min-h-[200px]`} data-aos="fade-up" data-aos-delay="400">
-              <div className="text-center">
-                <div className="text-4xl mb-4">💼</div>
-                <h3 className={`text-lg font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'} mb-2`}>LinkedIn</h3>
-                <p className={`${isDarkMode ? 'text-gray-400' : 'text-gray-600'} mb-4 text-sm`}>Connect professionally</p>
+                <div className="bg-surface/60 border-line backdrop-blur-sm rounded-3xl p-6 border hover:scale-105 transition-all duration-300 flex flex-col justify-between min-h-[200px]" data-aos="fade-up" data-aos-delay="400">
+                  <div className="text-center">
+                    <div className="text-4xl mb-4">💼</div>
+                    <h3 className="text-lg font-bold text-fg mb-2">{t('contact.channels.linkedin.title')}</h3>
+                    <p className="text-muted mb-4 text-sm">{t('contact.channels.linkedin.body')}</p>
+                  </div>
+                  <button 
+                    onClick={() => openExternal(profile.linkedin)}
+                    className="w-full py-2 px-4 bg-gradient-to-r from-blue-600 to-purple-600 rounded-full text-white font-semibold hover:scale-105 transition-all duration-300 text-sm"
+                  >
+                    {t('contact.channels.linkedin.action')}
+                  </button>
+                </div>
+              </div>
+
+              <div className="mt-10 flex flex-wrap justify-center gap-4">
+                <button
+                  onClick={saveContact}
+                  className="px-6 py-3 rounded-full border border-line-strong text-body hover:text-fg hover:border-purple-400 font-semibold transition-all duration-300"
+                >
+                  <span aria-hidden="true">💾 </span>
+                  {t('contact.saveContact')}
+                </button>
+                <Link
+                  to="/card"
+                  className="px-6 py-3 rounded-full border border-line-strong text-body hover:text-fg hover:border-purple-400 font-semibold transition-all duration-300"
+                >
+                  <span aria-hidden="true">🪪 </span>
+                  {t('contact.businessCard')}
+                </Link>
               </div>
-              <button 
-                onClick={() => window.open('https://linkedin.com/in/kmoin6231', '_blank')}
-                className="w-full py-2 px-4 bg-gradient-to-r from-blue-600 to-purple-600 rounded-full text-white font-semibold hover:scale-105 transition-all duration-300 text-sm"
-              >
-                Connect
-              </button>
             </div>
-          </div>
-        </div>
-      </section>
+          </section>
+        </main>
+      )}
 
       {/* Enhanced Footer */}
-      <footer className={`py-12 px-4 sm:px-6 border-t ${isDarkMode ? 'border-gray-700 bg-gray-800' : 'border-gray-200 bg-gray-50'} relative transition-all duration-500`}>
+      <footer className="py-12 px-4 sm:px-6 border-t border-line bg-sunken relative transition-all duration-500 print:hidden">
         <div className="max-w-6xl mx-auto">
           <div className="grid grid-cols-1 md:grid-cols-3 gap-8 mb-8">
             {/* Brand Section */}
-            <div className="text-center md:text-left">
-              <h3 className={`text-xl font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'} mb-4`}>
-                Moin Khan
+            <div className="text-center md:text-start">
+              <h3 className="text-xl font-bold text-fg mb-4">
+                {profile.name}
               </h3>
-              <p className={`${isDarkMode ? 'text-gray-400' : 'text-gray-600'} mb-4`}>
-                Full Stack Developer passionate about creating innovative web solutions.
+              <p className="text-muted mb-4">
+                {t('footer.tagline')}
               </p>
-              <div className="flex justify-center md:justify-start space-x-4">
+              <div className="flex justify-center md:justify-start space-x-4 rtl:space-x-reverse">
                 <button 
-                  onClick={() => window.open('https://github.com/moinkhan-in', '_blank')}
-                  className={`w-10 h-10 rounded-full ${isDarkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'} flex items-center justify-center transition-all duration-300 hover:scale-110`}
+                  onClick={() => openExternal(profile.github)}
+                  className="w-10 h-10 rounded-full bg-raised hover:bg-raised-hover flex items-center justify-center transition-all duration-300 hover:scale-110"
                   title="GitHub"
                 >
                   <span className="text-lg">🐱</span>
                 </button>
                 <button 
-                  onClick={() => window.open('https://linkedin.com/in/kmoin6231', '_blank')}
-                  className={`w-10 h-10 rounded-full ${isDarkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'} flex items-center justify-center transition-all duration-300 hover:scale-110`}
+                  onClick={() => openExternal(profile.linkedin)}
+                  className="w-10 h-10 rounded-full bg-raised hover:bg-raised-hover flex items-center justify-center transition-all duration-300 hover:scale-110"
                   title="LinkedIn"
                 >
                   <span className="text-lg">💼</span>
                 </button>
                 <button 
-                  onClick={() => window.open('mailto:kmoin6231@gmail.com', '_blank')}
-                  className={`w-10 h-10 rounded-full ${isDarkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'} flex items-center justify-center transition-all duration-300 hover:scale-110`}
-                  title="Email"
+                  onClick={() => openExternal(emailUrl)}
+                  className="w-10 h-10 rounded-full bg-raised hover:bg-raised-hover flex items-center justify-center transition-all duration-300 hover:scale-110"
+                  title={t('contact.channels.email.title')}
                 >
                   <span className="text-lg">📧</span>
                 </button>
@@ -1380,47 +1581,56 @@ function App() {
             
             {/* Quick Links */}
             <div className="text-center">
-              <h4 className={`text-lg font-semibold ${isDarkMode ? 'text-white' : 'text-gray-900'} mb-4`}>
-                Quick Links
+              <h4 className="text-lg font-semibold text-fg mb-4">
+                {t('footer.quickLinks')}
               </h4>
               <div className="space-y-2">
-                {['Home', 'About', 'Skills', 'Projects', 'Contact'].map((item) => (
+                {NAV_SECTIONS.map((item) => (
                   <button
                     key={item}
                     onClick={() => scrollToSection(item.toLowerCase())}
-                    className={`block mx-auto ${isDarkMode ? 'text-gray-400 hover:text-white' : 'text-gray-600 hover:text-gray-900'} transition-colors duration-300`}
+                    className="block mx-auto text-muted hover:text-fg transition-colors duration-300"
                   >
-                    {item}
+                    {t(`nav.sections.${item.toLowerCase()}`)}
                   </button>
                 ))}
               </div>
             </div>
             
             {/* Contact Info */}
-            <div className="text-center md:text-right">
-              <h4 className={`text-lg font-semibold ${isDarkMode ? 'text-white' : 'text-gray-900'} mb-4`}>
-                Let's Connect
+            <div className="text-center md:text-end">
+              <h4 className="text-lg font-semibold text-fg mb-4">
+                {t('footer.connect')}
               </h4>
               <div className="space-y-2">
-                <p className={`${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
-                  📧 kmoin6231@gmail.com
+                <p className="text-muted">
+                  📧 <a href={emailUrl} className="hover:text-fg transition-colors duration-300">{profile.email}</a>
+                </p>
+                <p className="text-muted">
+                  📱 <a href={phoneUrl} dir="ltr" className="hover:text-fg transition-colors duration-300">{phoneLabel}</a>
                 </p>
-                <p className={`${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
-                  📱 +92 302 4060098
+                <p className="text-muted">
+                  {t('footer.available')}
                 </p>
-                <p className={`${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
-                  🌍 Available worldwide
+                <p className="text-muted">
+                  <button onClick={saveContact} className="hover:text-fg transition-colors duration-300">
+                    💾 {t('footer.saveContact')}
+                  </button>
+                  <span aria-hidden="true"> · </span>
+                  <Link to="/card" className="hover:text-fg transition-colors duration-300">
+                    🪪 {t('footer.businessCard')}
+                  </Link>
                 </p>
               </div>
             </div>
           </div>
           
-          <div className={`pt-8 border-t ${isDarkMode ? 'border-gray-700' : 'border-gray-200'} text-center`}>
-            <p className={`${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
-              © 2025 Moin Khan - Crafted with ❤️ and lots of ☕ | Built with React + Tailwind CSS
+          <div className="pt-8 border-t border-line text-center">
+            <p className="text-muted">
+              {t('footer.credits', { year: LAST_UPDATED.slice(0, 4), name: profile.name })}
             </p>
-            <p className={`${isDarkMode ? 'text-gray-500' : 'text-gray-500'} text-sm mt-2`}>
-              "Code is like humor. When you have to explain it, it's bad." - Cory House
+            <p className="text-faint text-sm mt-2">
+              {t('footer.quote')}
             </p>
           </div>
         </div>
@@ -1428,17 +1638,32 @@ function App() {
 
       {/* Hover Preview */}
       <HoverPreview 
+        id={HOVER_PREVIEW_ID}
         project={hoverPreview.project}
         position={hoverPreview.position}
-        isDarkMode={isDarkMode}
+        onMouseEnter={() => clearTimeout(hoverTimer.current)}
+        onMouseLeave={() => hideHoverPreview(100)}
+        onDismiss={hideHoverPreview}
       />
 
+      {/* Command Palette */}
+      {isPaletteOpen && (
+        <Suspense fallback={null}>
+          <CommandPalette
+            commands={paletteCommands}
+            searchProjects={searchLocalizedProjects}
+            onSelect={handlePaletteSelect}
+            onOpenProject={openProject}
+            onClose={() => setIsPaletteOpen(false)}
+          />
+        </Suspense>
+      )}
+
       {/* Preview Modal */}
       <PreviewModal 
         isOpen={previewModal.isOpen}
         project={previewModal.project}
         onClose={() => setPreviewModal({ isOpen: false, project: null })}
-        isDarkMode={isDarkMode}
       />
     </div>
   )
@@ -1447,7 +1672,13 @@ function App() {
 export default function AppWithErrorBoundary() {
   return (
     <ErrorBoundary>
-      <App />
+      <ThemeProvider>
+        <MotionProvider>
+          <I18nProvider>
+            <App />
+          </I18nProvider>
+        </MotionProvider>
+      </ThemeProvider>
     </ErrorBoundary>
   )
 }
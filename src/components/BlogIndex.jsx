@@ -0,0 +1,96 @@
+import React, { useEffect } from 'react'
+import Link from './Link'
+import PostCard from './PostCard'
+import { getTags, tagPath } from '../lib/blog'
+import { useI18n } from '../lib/i18n'
+
+// "/blog" lists every post; "/blog/tags/:tag" narrows it to one tag
+const BlogIndex = ({ posts, tagSlug }) => {
+  const { t } = useI18n()
+
+  useEffect(() => {
+    window.scrollTo({ top: 0, behavior: 'instant' })
+  }, [tagSlug])
+
+  const tags = getTags(posts)
+  const activeTag = tagSlug ? tags.find(tag => tag.slug === tagSlug) : null
+  const visiblePosts = activeTag ? posts.filter(post => post.tags.includes(activeTag.name)) : posts
+
+  const chipClass = (isActive) => `px-4 py-2 rounded-full text-sm font-medium transition-all duration-300 ${
+    isActive
+      ? 'bg-gradient-to-r from-purple-500 to-cyan-500 text-white'
+      : 'bg-sunken text-body hover:bg-raised'
+  }`
+
+  if (tagSlug && !activeTag) {
+    return (
+      <section className="min-h-screen flex items-center justify-center px-4 sm:px-6 pt-20">
+        <div className="text-center">
+          <div className="text-6xl mb-6">🏷️</div>
+          <h1 className="text-3xl font-bold mb-4 text-fg">
+            {t('blog.tagNotFound')}
+          </h1>
+          <p className="mb-8 text-muted">
+            {t('blog.tagNotFoundBody', { tag: tagSlug })}
+          </p>
+          <Link
+            to="/blog"
+            className="inline-block px-6 py-3 bg-gradient-to-r from-purple-500 to-cyan-500 rounded-full text-white font-semibold hover:scale-105 transition-all duration-300"
+          >
+            {t('blog.allPosts')}
+          </Link>
+        </div>
+      </section>
+    )
+  }
+
+  return (
+    <section className="relative px-4 sm:px-6 pt-32 pb-24">
+      <div className="max-w-6xl mx-auto">
+        <header className="mb-12 text-center">
+          <h1 className="text-4xl sm:text-5xl md:text-6xl font-bold mb-6 bg-gradient-to-r from-brand-1 via-brand-2 to-brand-3 bg-clip-text text-transparent">
+            {activeTag ? `#${activeTag.name}` : t('blog.title')}
+          </h1>
+          <p className="text-xl text-body">
+            {activeTag
+              ? t('blog.tagged', { count: activeTag.count, tag: activeTag.name })
+              : t('blog.subtitle')}
+          </p>
+        </header>
+
+        {/* Tag index */}
+        {tags.length > 0 && (
+          <nav aria-label={t('blog.tags')} className="flex flex-wrap justify-center gap-2 mb-12">
+            <Link to="/blog" className={chipClass(!activeTag)} aria-current={!activeTag ? 'page' : undefined}>
+              {t('blog.allCount', { count: posts.length })}
+            </Link>
+            {tags.map((tag) => (
+              <Link
+                key={tag.slug}
+                to={tagPath(tag.name)}
+                className={chipClass(tag === activeTag)}
+                aria-current={tag === activeTag ? 'page' : undefined}
+              >
+                #{tag.name} ({tag.count})
+              </Link>
+            ))}
+          </nav>
+        )}
+
+        {visiblePosts.length === 0 ? (
+          <p className="text-center text-muted">
+            {t('blog.empty')}
+          </p>
+        ) : (
+          <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-8">
+            {visiblePosts.map((post) => (
+              <PostCard key={post.slug} post={post} />
+            ))}
+          </div>
+        )}
+      </div>
+    </section>
+  )
+}
+
+export default BlogIndex
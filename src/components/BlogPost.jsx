@@ -0,0 +1,102 @@
+import React, { useEffect } from 'react'
+import Link from './Link'
+import { PostMeta } from './PostCard'
+import { getAdjacentPosts, postPath, tagPath } from '../lib/blog'
+import { useI18n } from '../lib/i18n'
+
+const BlogPost = ({ post, posts }) => {
+  const { t, formatDate, sourceLanguage } = useI18n()
+
+  // Start each post at the top of the page
+  useEffect(() => {
+    window.scrollTo({ top: 0, behavior: 'instant' })
+  }, [post])
+
+  if (!post) {
+    return (
+      <section className="min-h-screen flex items-center justify-center px-4 sm:px-6 pt-20">
+        <div className="text-center">
+          <div className="text-6xl mb-6">🔍</div>
+          <h1 className="text-3xl font-bold mb-4 text-fg">
+            {t('blog.postNotFound')}
+          </h1>
+          <p className="mb-8 text-muted">
+            {t('blog.postNotFoundBody')}
+          </p>
+          <Link
+            to="/blog"
+            className="inline-block px-6 py-3 bg-gradient-to-r from-purple-500 to-cyan-500 rounded-full text-white font-semibold hover:scale-105 transition-all duration-300"
+          >
+            {t('blog.allPosts')}
+          </Link>
+        </div>
+      </section>
+    )
+  }
+
+  const { newer, older } = getAdjacentPosts(posts, post.slug)
+  const linkClass = `text-muted hover:text-fg transition-colors duration-300`
+
+  return (
+    <article className="relative px-4 sm:px-6 pt-32 pb-24">
+      <div className="max-w-3xl mx-auto">
+        <Link to="/blog" className={`inline-block mb-8 text-sm font-medium ${linkClass}`}>
+          {t('blog.allPosts')}
+        </Link>
+
+        {/* Header */}
+        <header className="mb-12">
+          <h1 {...sourceLanguage} className="text-4xl sm:text-5xl font-bold mb-6 bg-gradient-to-r from-brand-1 via-brand-2 to-brand-3 bg-clip-text text-transparent">
+            {post.title}
+          </h1>
+          <PostMeta post={post} />
+          {post.updated && (
+            <p className="mt-1 text-sm text-faint">
+              {t('blog.updated', { date: <time dateTime={post.updated}>{formatDate(post.updated)}</time> })}
+            </p>
+          )}
+          <div className="flex flex-wrap gap-2 mt-6">
+            {post.tags.map((tag) => (
+              <Link
+                key={tag}
+                to={tagPath(tag)}
+                className="px-3 py-1 bg-tag text-tag-fg hover:bg-tag-hover rounded-full text-sm transition-colors duration-300"
+              >
+                #{tag}
+              </Link>
+            ))}
+          </div>
+          {post.cover && (
+            <img src={post.cover} alt="" className="mt-8 w-full rounded-2xl shadow-2xl" />
+          )}
+        </header>
+
+        <div
+          {...sourceLanguage}
+          className="case-study-content text-body"
+          dangerouslySetInnerHTML={{ __html: post.html }}
+        />
+
+        {/* Newer / older post */}
+        {(newer || older) && (
+          <nav className="mt-16 pt-8 border-t border-line flex justify-between gap-4">
+            {older ? (
+              <Link to={postPath(older)} className={linkClass}>
+                <span className="block text-xs uppercase tracking-wide">{t('blog.older')}</span>
+                <span className="font-semibold">{t('blog.olderTitle', { title: older.title })}</span>
+              </Link>
+            ) : <span />}
+            {newer && (
+              <Link to={postPath(newer)} className={`text-end ${linkClass}`}>
+                <span className="block text-xs uppercase tracking-wide">{t('blog.newer')}</span>
+                <span className="font-semibold">{t('blog.newerTitle', { title: newer.title })}</span>
+              </Link>
+            )}
+          </nav>
+        )}
+      </div>
+    </article>
+  )
+}
+
+export default BlogPost
@@ -0,0 +1,255 @@
+import React, { useEffect, useId, useMemo, useState } from 'react'
+import { availability, profile, site } from 'virtual:content'
+import { useI18n } from '../lib/i18n'
+import { bookingMailtoUrl, sendBooking } from '../lib/contact'
+import { HONEYPOT_FIELD } from '../lib/inquiry'
+import { TOPIC_MAX_LENGTH, bookingInvite, dateIn, listSlots } from '../lib/booking'
+
+const FIELD_CLASS = 'w-full px-4 py-3 rounded-lg bg-field text-fg placeholder-faint border focus:border-purple-500 focus:ring-2 focus:ring-purple-500/20 transition-all duration-300'
+const CHIP_CLASS = 'px-3 py-2 rounded-lg border text-sm transition-all duration-300'
+const chipState = (selected) => selected
+  ? 'border-purple-500 bg-purple-500/10 text-fg'
+  : 'border-line-strong bg-field text-body hover:border-purple-400'
+
+const inviteUrl = (booking) =>
+  `data:text/calendar;charset=utf-8,${encodeURIComponent(bookingInvite(booking, { availability, profile }))}`
+
+// Books a discovery call in one of the open slots from src/content/availability.json, shown
+// in the visitor's own time zone (which they can change). Bookings go to the contact endpoint
+// like inquiries do, as requests the site owner confirms by email (see src/lib/booking.js).
+// Once the endpoint has taken one, the visitor gets the same tentative .ics invite the owner
+// receives; if it can't be reached, only an email to send instead.
+// Slots depend on the current time, so they're only listed once mounted.
+const BookingWidget = () => {
+  const { t, intl } = useI18n()
+  const id = useId()
+  const [now, setNow] = useState(null)
+  const [timeZone, setTimeZone] = useState(availability.timeZone)
+  const [day, setDay] = useState(null)
+  const [start, setStart] = useState(null)
+  const [answers, setAnswers] = useState({ name: '', email: '', topic: '' })
+  const [result, setResult] = useState({ status: 'idle' })
+
+  useEffect(() => {
+    setNow(new Date())
+    setTimeZone(Intl.DateTimeFormat().resolvedOptions().timeZone)
+  }, [])
+
+  const timeZones = useMemo(() => {
+    const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : []
+    return [...new Set([timeZone, availability.timeZone, ...zones])].sort()
+  }, [timeZone])
+
+  // Open slots grouped by the visitor's calendar day, e.g. { '2026-10-20': [Date, ...] }
+  const days = useMemo(() => {
+    if (!now) return null
+    return listSlots(availability, now).reduce((groups, slot) => {
+      const date = dateIn(slot, timeZone)
+      return { ...groups, [date]: [...(groups[date] ?? []), slot] }
+    }, {})
+  }, [now, timeZone])
+
+  const dayList = days ? Object.keys(days) : []
+  const selectedDay = days?.[day] ? day : dayList[0]
+  const errors = result.status === 'invalid' ? result.fields : {}
+  const isSending = result.status === 'sending'
+
+  const formatDay = (date) => new Date(`${date}T12:00:00Z`).toLocaleDateString(intl, { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' })
+  const formatTime = (date) => date.toLocaleTimeString(intl, { hour: 'numeric', minute: '2-digit', timeZone })
+  const formatFull = (date) => date.toLocaleString(intl, { dateStyle: 'full', timeStyle: 'short', timeZone })
+
+  const setAnswer = (field, value) => {
+    setAnswers(current => ({ ...current, [field]: value }))
+    if (result.status === 'invalid') setResult({ status: 'idle' })
+  }
+
+  const pickSlot = (slot) => {
+    setStart(slot.toISOString())
+    if (result.status !== 'sending') setResult({ status: 'idle' })
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (isSending || !start) return
+
+    const booking = {
+      ...answers,
+      start,
+      timeZone,
+      uid: `${crypto.randomUUID()}@${new URL(site.url).host}`
+    }
+
+    setResult({ status: 'sending' })
+    const next = await sendBooking({ ...booking, [HONEYPOT_FIELD]: e.currentTarget.elements[HONEYPOT_FIELD].value })
+
+    // The slot may have slipped inside the notice period while the visitor was typing
+    if (next.status === 'invalid' && next.fields.start) {
+      setStart(null)
+      setNow(new Date())
+    }
+    setResult({ ...next, booking })
+  }
+
+  const startOver = () => {
+    setStart(null)
+    setAnswers({ name: '', email: '', topic: '' })
+    setResult({ status: 'idle' })
+    setNow(new Date())
+  }
+
+  const fieldProps = (field) => ({
+    name: field,
+    value: answers[field],
+    onChange: (e) => setAnswer(field, e.target.value),
+    'aria-label': t(`booking.fields.${field}`),
+    placeholder: t(`booking.fields.${field}`),
+    'aria-invalid': Boolean(errors[field]),
+    'aria-describedby': errors[field] ? `${id}-${field}-error` : undefined,
+    className: `${FIELD_CLASS} ${errors[field] ? 'border-red-500' : 'border-line-strong'}`
+  })
+
+  const fieldError = (field) => errors[field] && (
+    <p id={`${id}-${field}-error`} className="mt-1 text-sm text-start text-red-600 dark:text-red-400">
+      {t(`booking.errors.${errors[field]}`)}
+    </p>
+  )
+
+  const inviteLink = (booking) => (
+    <a
+      href={inviteUrl(booking)}
+      download="discovery-call.ics"
+      className="inline-flex items-center gap-2 py-2 px-4 rounded-lg border border-line-strong text-body hover:text-fg hover:border-purple-400 transition-all duration-300"
+    >
+      <span aria-hidden="true">📅</span>
+      {t('booking.downloadInvite')}
+    </a>
+  )
+
+  if (result.status === 'sent') {
+    return (
+      <div className="space-y-4 text-start">
+        <p role="status" className="text-body">
+          {t('booking.booked', { time: formatFull(new Date(result.booking.start)) })}
+        </p>
+        <div className="flex flex-wrap items-center gap-4">
+          {inviteLink(result.booking)}
+          <button
+            type="button"
+            onClick={startOver}
+            className="text-purple-500 hover:text-purple-400 font-medium transition-colors duration-300"
+          >
+            {t('booking.bookAnother')}
+          </button>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <form className="relative space-y-5 text-start" onSubmit={handleSubmit} noValidate>
+      <p className="text-sm text-muted">{t('booking.intro', { minutes: availability.meetingMinutes })}</p>
+
+      <label className="flex flex-wrap items-center gap-2 text-sm text-body">
+        {t('booking.timeZone')}
+        <select
+          value={timeZone}
+          onChange={(e) => setTimeZone(e.target.value)}
+          className="px-3 py-2 rounded-lg border border-line-strong bg-field text-body focus:outline-none focus:ring-2 focus:ring-purple-500"
+        >
+          {timeZones.map(zone => <option key={zone} value={zone}>{zone.replace(/_/g, ' ')}</option>)}
+        </select>
+      </label>
+
+      {!days ? (
+        <p className="text-sm text-faint">{t('booking.loading')}</p>
+      ) : dayList.length === 0 ? (
+        <p className="text-sm text-muted">{t('booking.noSlots')}</p>
+      ) : (
+        <>
+          <div role="group" aria-label={t('booking.day')} className="flex gap-2 overflow-x-auto pb-1">
+            {dayList.map(date => (
+              <button
+                key={date}
+                type="button"
+                onClick={() => setDay(date)}
+                aria-pressed={date === selectedDay}
+                className={`${CHIP_CLASS} shrink-0 ${chipState(date === selectedDay)}`}
+              >
+                {formatDay(date)}
+              </button>
+            ))}
+          </div>
+          <div>
+            <div role="group" aria-label={t('booking.time')} className="grid grid-cols-3 sm:grid-cols-4 gap-2">
+              {days[selectedDay].map(slot => (
+                <button
+                  key={slot.toISOString()}
+                  type="button"
+                  onClick={() => pickSlot(slot)}
+                  aria-pressed={slot.toISOString() === start}
+                  className={`${CHIP_CLASS} ${chipState(slot.toISOString() === start)}`}
+                >
+                  {formatTime(slot)}
+                </button>
+              ))}
+            </div>
+            {fieldError('start')}
+          </div>
+        </>
+      )}
+
+      {start && (
+        <>
+          <p className="text-sm font-medium text-fg">{formatFull(new Date(start))}</p>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <input type="text" autoComplete="name" required maxLength={100} {...fieldProps('name')} />
+              {fieldError('name')}
+            </div>
+            <div>
+              <input type="email" autoComplete="email" required maxLength={254} {...fieldProps('email')} />
+              {fieldError('email')}
+            </div>
+          </div>
+          <div>
+            <textarea rows="3" maxLength={TOPIC_MAX_LENGTH} {...fieldProps('topic')} className={`${fieldProps('topic').className} resize-none`} />
+            {fieldError('topic')}
+          </div>
+        </>
+      )}
+
+      {/* Honeypot, as in the inquiry wizard */}
+      <div aria-hidden="true" className="absolute w-px h-px overflow-hidden opacity-0 pointer-events-none">
+        <label>
+          {t('inquiry.honeypot')}
+          <input type="text" name={HONEYPOT_FIELD} tabIndex={-1} autoComplete="off" />
+        </label>
+      </div>
+
+      <div role="alert" className="text-sm text-red-600 dark:text-red-400 empty:hidden">
+        {result.status === 'failed' && t('booking.errors.failed')}
+        {result.status === 'rateLimited' && t('inquiry.errors.rateLimited', { count: Math.ceil(result.retryAfter / 60) })}
+        {result.status === 'unreachable' && (
+          <span className="flex flex-wrap items-center gap-3">
+            {t('booking.errors.unreachable')}
+            <a href={bookingMailtoUrl(result.booking)} className="underline font-medium text-purple-500 hover:text-purple-400">
+              {t('inquiry.openMailApp')}
+            </a>
+          </span>
+        )}
+      </div>
+
+      {start && (
+        <button
+          type="submit"
+          disabled={isSending}
+          className="w-full py-3 px-6 bg-gradient-to-r from-purple-600 to-cyan-600 rounded-lg text-white font-semibold hover:scale-[1.02] transition-all duration-300 shadow-lg hover:shadow-purple-500/25 disabled:opacity-70 disabled:cursor-wait disabled:hover:scale-100"
+        >
+          {isSending ? t('booking.booking') : t('booking.book', { time: formatTime(new Date(start)) })}
+        </button>
+      )}
+    </form>
+  )
+}
+
+export default BookingWidget
@@ -0,0 +1,109 @@
+import React, { useEffect } from 'react'
+import { profile, site } from 'virtual:content'
+import Link from './Link'
+import { useI18n } from '../lib/i18n'
+import { emailUrl, phoneUrl, phoneLabel, vcardFileName } from '../lib/contact'
+import { businessCardPath } from '../lib/vcard'
+
+// "https://github.com/moinkhan-in" → "github.com/moinkhan-in"
+const displayUrl = (url) => url.replace(/^https?:\/\/(www\.)?/, '').replace(/\/$/, '')
+
+const QrCode = ({ src, alt, caption }) => (
+  <figure className="flex flex-col items-center gap-2">
+    <img src={src} alt={alt} width="160" height="160" className="w-36 h-36 sm:w-40 sm:h-40" />
+    <figcaption className="text-xs font-medium text-gray-600">{caption}</figcaption>
+  </figure>
+)
+
+// "/card": the contact details as a card to show at meetups or print, with QR codes for the
+// vCard and the site. The card stays black on white in every theme so the codes scan and it
+// prints the same as it looks; everything around it is left off the printout.
+const BusinessCard = () => {
+  const { t, sourceLanguage } = useI18n()
+
+  useEffect(() => {
+    window.scrollTo({ top: 0, behavior: 'instant' })
+  }, [])
+
+  const details = [
+    { label: t('card.email'), href: emailUrl, value: profile.email },
+    { label: t('card.phone'), href: phoneUrl, value: phoneLabel },
+    { label: t('card.website'), href: site.url, value: displayUrl(site.url) },
+    { label: 'GitHub', href: profile.github, value: displayUrl(profile.github) },
+    { label: 'LinkedIn', href: profile.linkedin, value: displayUrl(profile.linkedin) }
+  ]
+
+  return (
+    <section className="relative px-4 sm:px-6 pt-32 pb-24 print:p-0">
+      <div className="max-w-3xl mx-auto">
+        <header className="mb-10 text-center print:hidden">
+          <h1 className="text-4xl sm:text-5xl font-bold mb-4 bg-gradient-to-r from-brand-1 via-brand-2 to-brand-3 bg-clip-text text-transparent">
+            {t('card.title')}
+          </h1>
+          <p className="text-lg text-body">{t('card.subtitle')}</p>
+        </header>
+
+        <article className="bg-white text-gray-900 rounded-3xl shadow-2xl p-8 sm:p-10 print:shadow-none print:border print:border-gray-300 print:break-inside-avoid">
+          <div className="flex flex-col md:flex-row md:items-center gap-8">
+            <div className="flex-1 text-start">
+              <h2 className="text-3xl font-bold">{profile.name}</h2>
+              <p {...sourceLanguage} className="mt-1 font-semibold text-purple-700">{profile.title}</p>
+              <dl className="mt-6 grid grid-cols-[auto_1fr] gap-x-4 gap-y-2 text-sm">
+                {details.map(({ label, href, value }) => (
+                  <React.Fragment key={href}>
+                    <dt className="text-gray-500">{label}</dt>
+                    <dd className="min-w-0 break-words">
+                      <a href={href} dir="ltr" className="text-gray-900 hover:text-purple-700 underline-offset-2 hover:underline">
+                        {value}
+                      </a>
+                    </dd>
+                  </React.Fragment>
+                ))}
+              </dl>
+            </div>
+            <div className="flex justify-center gap-6">
+              <QrCode
+                src={businessCardPath.vcardQr}
+                alt={t('card.vcardQrAlt', { name: profile.name })}
+                caption={t('card.scanToSave')}
+              />
+              <QrCode
+                src={businessCardPath.siteQr}
+                alt={t('card.siteQrAlt', { url: displayUrl(site.url) })}
+                caption={t('card.scanToVisit')}
+              />
+            </div>
+          </div>
+        </article>
+
+        <div className="mt-8 flex flex-wrap justify-center gap-4 print:hidden">
+          <a
+            href={businessCardPath.vcard}
+            download={vcardFileName}
+            className="px-6 py-3 bg-gradient-to-r from-purple-500 to-cyan-500 rounded-full text-white font-semibold hover:scale-105 transition-all duration-300"
+          >
+            <span aria-hidden="true">💾 </span>
+            {t('card.saveContact')}
+          </a>
+          <button
+            type="button"
+            onClick={() => window.print()}
+            className="px-6 py-3 rounded-full border border-line-strong text-body hover:text-fg hover:border-purple-400 font-semibold transition-all duration-300"
+          >
+            <span aria-hidden="true">🖨️ </span>
+            {t('card.print')}
+          </button>
+          <Link
+            to="/"
+            state={{ section: 'contact' }}
+            className="px-6 py-3 rounded-full text-purple-500 hover:text-purple-400 font-semibold transition-colors duration-300"
+          >
+            {t('card.back')}
+          </Link>
+        </div>
+      </div>
+    </section>
+  )
+}
+
+export default BusinessCard
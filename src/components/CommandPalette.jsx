@@ -0,0 +1,181 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react'
+import Highlight from './Highlight'
+import { createSearch } from '../lib/search'
+import { useI18n } from '../lib/i18n'
+import { useModalDialog } from '../lib/dialog'
+import { projectAction } from '../lib/projectAction'
+
+const GROUPS = ['Sections', 'Projects', 'Actions']
+
+const CommandPalette = ({ commands, searchProjects, onSelect, onOpenProject, onClose }) => {
+  const { t } = useI18n()
+  const [query, setQuery] = useState('')
+  const [activeIndex, setActiveIndex] = useState(0)
+  const [feedback, setFeedback] = useState('')
+  const dialogRef = useRef(null)
+  const listRef = useRef(null)
+
+  const searchCommands = useMemo(() => createSearch(commands, { title: 3, keywords: 1 }), [commands])
+
+  // Sections and actions come from `commands`; projects reuse the grid's search, in the current language
+  const results = useMemo(() => {
+    const projectResults = searchProjects(query).map(({ item, matches }) => ({
+      id: `project:${item.slug}`,
+      group: 'Projects',
+      icon: '📁',
+      title: item.title,
+      // Describe what selecting a project will do, as on the card's thumbnail
+      subtitle: t(`projects.actions.${projectAction(item)}`),
+      matches,
+      run: () => onOpenProject(item)
+    }))
+    const commandResults = searchCommands(query).map(({ item, matches }) => ({ ...item, matches }))
+
+    return [...commandResults, ...projectResults]
+      .sort((a, b) => GROUPS.indexOf(a.group) - GROUPS.indexOf(b.group))
+  }, [query, searchCommands, searchProjects, onOpenProject, t])
+
+  // Focus starts in the input, which is the only tab stop; options are reached with the
+  // arrow keys. Escape closes and focus goes back to where it was.
+  useModalDialog(dialogRef, true, onClose)
+
+  // Keep the active option visible while arrowing through a long list
+  useEffect(() => {
+    listRef.current
+      ?.querySelector(`[data-index="${activeIndex}"]`)
+      ?.scrollIntoView({ block: 'nearest' })
+  }, [activeIndex])
+
+  const select = async (result) => {
+    if (!result) return
+
+    // Commands with feedback run in place so the confirmation can be read before closing
+    if (result.feedback) {
+      try {
+        await result.run()
+        setFeedback(result.feedback)
+      } catch {
+        setFeedback(t('palette.failed'))
+      }
+      setTimeout(onClose, 1200)
+      return
+    }
+
+    onSelect(result)
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault()
+      setActiveIndex(index => (index + 1) % Math.max(results.length, 1))
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault()
+      setActiveIndex(index => (index - 1 + results.length) % Math.max(results.length, 1))
+    } else if (e.key === 'Home') {
+      e.preventDefault()
+      setActiveIndex(0)
+    } else if (e.key === 'End') {
+      e.preventDefault()
+      setActiveIndex(Math.max(results.length - 1, 0))
+    } else if (e.key === 'Enter') {
+      e.preventDefault()
+      select(results[activeIndex])
+    }
+  }
+
+  const optionId = (index) => `command-palette-option-${index}`
+
+  return (
+    <div className="fixed inset-0 z-[110] flex items-start justify-center p-4 pt-[15vh]">
+      {/* Backdrop */}
+      <div className="absolute inset-0 bg-black/60 backdrop-blur-sm" onClick={onClose} />
+
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-label={t('palette.label')}
+        tabIndex={-1}
+        className="relative w-full max-w-xl bg-panel border-line border rounded-xl shadow-2xl overflow-hidden focus:outline-none"
+      >
+        <div className="flex items-center px-4 border-b border-line">
+          <span className="text-faint" aria-hidden="true">🔍</span>
+          <input
+            type="text"
+            role="combobox"
+            aria-expanded="true"
+            aria-controls="command-palette-list"
+            aria-activedescendant={results.length > 0 ? optionId(activeIndex) : undefined}
+            aria-autocomplete="list"
+            aria-label={t('palette.searchLabel')}
+            placeholder={t('palette.placeholder')}
+            value={query}
+            onChange={(e) => {
+              setQuery(e.target.value)
+              setActiveIndex(0)
+            }}
+            onKeyDown={handleKeyDown}
+            className="w-full px-3 py-4 bg-transparent outline-none text-fg placeholder-faint"
+          />
+        </div>
+
+        <ul
+          id="command-palette-list"
+          ref={listRef}
+          role="listbox"
+          aria-label={t('palette.results')}
+          className="max-h-80 overflow-y-auto py-2"
+        >
+          {results.length === 0 && (
+            <li className="px-4 py-6 text-center text-sm text-muted">
+              {t('palette.noResults', { query })}
+            </li>
+          )}
+          {results.map((result, index) => (
+            <React.Fragment key={result.id}>
+              {result.group !== results[index - 1]?.group && (
+                <li role="presentation" className="px-4 pt-3 pb-1 text-xs font-semibold uppercase tracking-wide text-faint">
+                  {t(`palette.groups.${result.group}`)}
+                </li>
+              )}
+              <li
+                id={optionId(index)}
+                data-index={index}
+                role="option"
+                aria-selected={index === activeIndex}
+                onMouseMove={() => setActiveIndex(index)}
+                onClick={() => select(result)}
+                className={`mx-2 px-3 py-2 rounded-lg flex items-center gap-3 cursor-pointer ${
+                  index === activeIndex
+                    ? 'bg-gradient-to-r from-purple-500/20 to-cyan-500/20'
+                    : ''
+                }`}
+              >
+                <span aria-hidden="true">{result.icon}</span>
+                <span className="flex-1 min-w-0">
+                  <span className="block truncate text-fg">
+                    <Highlight text={result.title} ranges={result.matches?.title} />
+                  </span>
+                  {result.subtitle && (
+                    <span className="block truncate text-xs text-muted">
+                      {result.subtitle}
+                    </span>
+                  )}
+                </span>
+              </li>
+            </React.Fragment>
+          ))}
+        </ul>
+
+        <div className="px-4 py-2 border-t text-xs flex justify-between border-line text-faint">
+          <span role="status" aria-live="polite">
+            {feedback || t('palette.count', { count: results.length })}
+          </span>
+          <span aria-hidden="true">{t('palette.hints')}</span>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default CommandPalette
@@ -0,0 +1,32 @@
+import React from 'react'
+
+// Render `text` with the given [start, end) ranges wrapped in <mark>
+const Highlight = ({ text, ranges }) => {
+  if (!ranges || ranges.length === 0) return text
+
+  const merged = [...ranges]
+    .sort((a, b) => a[0] - b[0])
+    .reduce((acc, [start, end]) => {
+      const last = acc[acc.length - 1]
+      if (last && start <= last[1]) last[1] = Math.max(last[1], end)
+      else acc.push([start, end])
+      return acc
+    }, [])
+
+  const parts = []
+  let cursor = 0
+  merged.forEach(([start, end]) => {
+    if (start > cursor) parts.push(text.slice(cursor, start))
+    parts.push(
+      <mark key={start} className="bg-yellow-300/70 text-current rounded px-0.5">
+        {text.slice(start, end)}
+      </mark>
+    )
+    cursor = end
+  })
+  if (cursor < text.length) parts.push(text.slice(cursor))
+
+  return <>{parts}</>
+}
+
+export default Highlight
@@ -1,10 +1,42 @@
 import React, { useState, useEffect } from 'react'
+import { useI18n } from '../lib/i18n'
 
-const HoverPreview = ({ project, position, isDarkMode }) => {
+// Place the 320x240 card next to the cursor without letting it leave the viewport
+const getPlacement = (position, viewport) => ({
+  left: viewport.width < 640
+    ? Math.max(10, Math.min(position.x - 160, viewport.width - 340))
+    : (position.x > viewport.width / 2 ? position.x - 340 : position.x + 20),
+  top: Math.max(20, Math.min(position.y - 150, viewport.height - 280))
+})
+
+// A tooltip-style preview of a project's live site, shown next to its card on hover or
+// keyboard focus. Per WCAG 1.4.13 it can be dismissed with Escape, and the pointer can move
+// onto it without it disappearing (the card keeps it open through onMouseEnter/onMouseLeave).
+const HoverPreview = ({ id, project, position, onMouseEnter, onMouseLeave, onDismiss }) => {
+  const { t } = useI18n()
   const [isLoading, setIsLoading] = useState(true)
   const [hasError, setHasError] = useState(false)
   const [isVisible, setIsVisible] = useState(false)
   const [showIframe, setShowIframe] = useState(false)
+  const [viewport, setViewport] = useState(null)
+
+  // Measure the viewport after mount rather than reading window during render
+  useEffect(() => {
+    const measure = () => setViewport({ width: window.innerWidth, height: window.innerHeight })
+    measure()
+    window.addEventListener('resize', measure)
+    return () => window.removeEventListener('resize', measure)
+  }, [])
+
+  useEffect(() => {
+    if (!project) return
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onDismiss()
+    }
+    document.addEventListener('keydown', handleKeyDown)
+    return () => document.removeEventListener('keydown', handleKeyDown)
+  }, [project, onDismiss])
 
   // Animate appearance
   useEffect(() => {
@@ -25,60 +57,57 @@ const HoverPreview = ({ project, position, isDarkMode }) => {
     }
   }, [project, position])
 
-  if (!project || !position) return null
+  if (!project || !position || !viewport) return null
 
   return (
     <div 
-      className={`fixed z-[90] pointer-events-none transition-all duration-200 ${
+      id={id}
+      role="tooltip"
+      className={`fixed z-[90] transition-all duration-200 ${
         isVisible ? 'opacity-100 scale-100' : 'opacity-0 scale-95'
       }`}
-      style={{
-        left: typeof window !== 'undefined' 
-          ? (window.innerWidth < 640 
-            ? Math.max(10, Math.min(position.x - 160, window.innerWidth - 340)) 
-            : (position.x > window.innerWidth / 2 ? position.x - 340 : position.x + 20))
-          : position.x + 20,
-        top: typeof window !== 'undefined' ? Math.max(20, Math.min(position.y - 150, window.innerHeight - 280)) : position.y - 150,
-      }}
+      style={getPlacement(position, viewport)}
+      onMouseEnter={onMouseEnter}
+      onMouseLeave={onMouseLeave}
     >
-      <div className={`w-80 sm:w-80 max-w-[90vw] h-60 ${isDarkMode ? 'bg-gray-900 border-gray-700' : 'bg-white border-gray-200'} border-2 rounded-xl overflow-hidden shadow-2xl backdrop-blur-sm`}>
+      <div className="w-80 sm:w-80 max-w-[90vw] h-60 bg-panel border-line border-2 rounded-xl overflow-hidden shadow-2xl backdrop-blur-sm">
         {/* Header */}
-        <div className={`px-4 py-2 ${isDarkMode ? 'bg-gray-800 border-gray-700' : 'bg-gray-50 border-gray-200'} border-b flex items-center justify-between`}>
+        <div className="px-4 py-2 bg-sunken border-line border-b flex items-center justify-between">
           <div>
-            <h4 className={`text-sm font-semibold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+            <h4 className="text-sm font-semibold text-fg">
               {project.title}
             </h4>
-            <p className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
-              Live Preview
+            <p className="text-xs text-muted">
+              {t('hoverPreview.label')}
             </p>
           </div>
-          <div className="flex items-center space-x-1">
-            <div className="w-2 h-2 bg-green-500 rounded-full animate-pulse"></div>
-            <span className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>LIVE</span>
+          <div className="flex items-center space-x-1 rtl:space-x-reverse">
+            <div aria-hidden="true" className="w-2 h-2 bg-green-500 rounded-full animate-pulse"></div>
+            <span className="text-xs text-muted">{t('hoverPreview.live')}</span>
           </div>
         </div>
 
         {/* Preview Content */}
         <div className="relative h-[calc(100%-50px)]">
           {/* Project Info - Always show first */}
-          <div className={`absolute inset-0 ${isDarkMode ? 'bg-gray-800' : 'bg-gray-100'} p-4 flex flex-col justify-center ${showIframe && !hasError ? 'opacity-0' : 'opacity-100'} transition-opacity duration-300`}>
+          <div className={`absolute inset-0 bg-sunken p-4 flex flex-col justify-center ${showIframe && !hasError ? 'opacity-0' : 'opacity-100'} transition-opacity duration-300`}>
             <div className="text-center">
-              <div className="text-3xl mb-3">🌐</div>
-              <h5 className={`text-sm font-semibold ${isDarkMode ? 'text-white' : 'text-gray-900'} mb-2`}>
+              <div className="text-3xl mb-3" aria-hidden="true">🌐</div>
+              <h5 className="text-sm font-semibold text-fg mb-2">
                 {project.title}
               </h5>
-              <p className={`text-xs ${isDarkMode ? 'text-gray-300' : 'text-gray-700'} mb-3 leading-relaxed`}>
+              <p className="text-xs text-body mb-3 leading-relaxed">
                 {project.description}
               </p>
               <div className="flex flex-wrap gap-1 justify-center mb-3">
                 {project.tags.slice(0, 3).map((tag) => (
-                  <span key={tag} className={`px-2 py-1 ${isDarkMode ? 'bg-purple-900/50 text-purple-300' : 'bg-purple-100 text-purple-700'} rounded-full text-xs`}>
+                  <span key={tag} className="px-2 py-1 bg-tag text-tag-fg rounded-full text-xs">
                     {tag}
                   </span>
                 ))}
               </div>
-              <p className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
-                Click to open live site →
+              <p className="text-xs text-muted">
+                {t('hoverPreview.openHint')}
               </p>
             </div>
           </div>
@@ -87,23 +116,29 @@ const HoverPreview = ({ project, position, isDarkMode }) => {
           {showIframe && (
             <>
               {isLoading && !hasError && (
-                <div className={`absolute inset-0 ${isDarkMode ? 'bg-gray-800' : 'bg-gray-100'} flex items-center justify-center z-10`}>
+                <div className="absolute inset-0 bg-sunken flex items-center justify-center z-10">
                   <div className="text-center">
-                    <div className="animate-spin w-6 h-6 border-2 border-purple-500 border-t-transparent rounded-full mx-auto mb-2"></div>
-                    <p className={`text-xs ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>Loading live preview...</p>
+                    <div aria-hidden="true" className="animate-spin w-6 h-6 border-2 border-purple-500 border-t-transparent rounded-full mx-auto mb-2"></div>
+                    <p className="text-xs text-body">{t('hoverPreview.loading')}</p>
                   </div>
                 </div>
               )}
               
+              {/* Pinned to the left so the scaled-down page lines up in right-to-left layouts too.
+                  A picture of the site only: it takes no pointer or keyboard focus, and the
+                  text above describes it for screen readers. */}
               <iframe
                 src={project.liveUrl}
-                title={`${project.title} hover preview`}
-                className={`w-full h-full border-0 ${hasError ? 'hidden' : ''}`}
+                title={t('hoverPreview.frameTitle', { title: project.title })}
+                tabIndex={-1}
+                aria-hidden="true"
+                className={`absolute top-0 left-0 w-full h-full border-0 ${hasError ? 'hidden' : ''}`}
                 style={{ 
                   transform: 'scale(0.8)',
                   transformOrigin: 'top left',
                   width: '125%', 
-                  height: '125%'
+                  height: '125%',
+                  pointerEvents: 'none'
                 }}
                 loading="lazy"
                 sandbox="allow-same-origin allow-scripts"
@@ -0,0 +1,488 @@
+import React, { useEffect, useId, useRef, useState } from 'react'
+import { projects } from 'virtual:content'
+import { useI18n } from '../lib/i18n'
+import { usePersistentState } from '../lib/storage'
+import { inquiryMailtoUrl, sendInquiry } from '../lib/contact'
+import {
+  ATTACHMENT_LIMITS,
+  BUDGETS,
+  CHANNELS,
+  EMPTY_INQUIRY,
+  HONEYPOT_FIELD,
+  INQUIRY_STEPS,
+  OTHER_PROJECT_TYPE,
+  TEXT_LIMITS,
+  TIMELINES,
+  normalizeInquiry,
+  stepErrors,
+  validateInquiry
+} from '../lib/inquiry'
+
+// The project types on offer are the portfolio's own project categories
+const PROJECT_TYPES = [...new Set(projects.map(project => project.category)), OTHER_PROJECT_TYPE]
+
+const CHANNEL_ICONS = { email: '📧', whatsapp: '💬', phone: '📱' }
+
+// The draft saved to localStorage: every answer except attachments, which can't be stored
+const DRAFT_KEY = 'portfolio:inquiry-draft'
+const { attachments: _attachments, ...EMPTY_ANSWERS } = EMPTY_INQUIRY
+const EMPTY_DRAFT = { step: 0, answers: EMPTY_ANSWERS }
+
+const isDraft = (value) =>
+  Number.isInteger(value?.step) && value.step >= 0 && value.step < INQUIRY_STEPS.length &&
+  typeof value.answers === 'object' && Object.keys(EMPTY_ANSWERS).every(field => typeof value.answers[field] === 'string')
+
+const FIELD_CLASS = 'w-full px-4 py-3 rounded-lg bg-field text-fg placeholder-faint border focus:border-purple-500 focus:ring-2 focus:ring-purple-500/20 transition-all duration-300'
+const BUTTON_CLASS = 'py-3 px-6 rounded-lg font-semibold transition-all duration-300'
+
+// Reads a file into an attachment, { name, type, data } with base64 data
+const readAttachment = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader()
+  reader.onload = () => resolve({ name: file.name, type: file.type, data: reader.result.split(',')[1] })
+  reader.onerror = () => reject(reader.error)
+  reader.readAsDataURL(file)
+})
+
+// A set of radio buttons drawn as cards
+const ChoiceGroup = ({ name, legend, options, value, onChange, error, errorId }) => (
+  <fieldset aria-describedby={error ? errorId : undefined}>
+    <legend className="text-sm font-semibold text-body mb-3">{legend}</legend>
+    <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+      {options.map(option => (
+        <label key={option.value} className="relative cursor-pointer">
+          <input
+            type="radio"
+            name={name}
+            value={option.value}
+            checked={value === option.value}
+            onChange={() => onChange(option.value)}
+            aria-invalid={Boolean(error)}
+            className="peer sr-only"
+          />
+          <span className="flex items-center justify-center gap-2 h-full px-3 py-2 rounded-lg border border-line-strong bg-field text-sm text-body text-center peer-checked:border-purple-500 peer-checked:bg-purple-500/10 peer-checked:text-fg peer-focus-visible:ring-2 peer-focus-visible:ring-purple-500 hover:border-purple-400 transition-all duration-300">
+            {option.icon && <span aria-hidden="true">{option.icon}</span>}
+            {option.label}
+          </span>
+        </label>
+      ))}
+    </div>
+  </fieldset>
+)
+
+const FieldError = ({ id, error, params }) => {
+  const { t } = useI18n()
+  if (!error) return null
+
+  return (
+    <p id={id} className="mt-1 text-sm text-start text-red-600 dark:text-red-400">
+      {t(`inquiry.errors.${error}`, { count: ATTACHMENT_LIMITS.count, size: ATTACHMENT_LIMITS.bytes / 1024 / 1024, ...params })}
+    </p>
+  )
+}
+
+// Every answer, with a button back to its step while still editing
+const InquirySummary = ({ inquiry, onEdit }) => {
+  const { t } = useI18n()
+  const none = t('inquiry.none')
+
+  const sections = [
+    { step: 0, rows: [
+      ['projectType', inquiry.projectType === OTHER_PROJECT_TYPE ? t('inquiry.otherType') : inquiry.projectType],
+      ['details', inquiry.details]
+    ] },
+    { step: 1, rows: [
+      ['budget', t(`inquiry.budget.${inquiry.budget}`)],
+      ['timeline', t(`inquiry.timeline.${inquiry.timeline}`)]
+    ] },
+    { step: 2, rows: [
+      ['name', inquiry.name],
+      ['email', inquiry.email],
+      ['channel', t(`inquiry.channel.${inquiry.channel}`)],
+      ...(inquiry.phone ? [['phone', inquiry.phone]] : [])
+    ] },
+    { step: 3, rows: [
+      ['attachments', inquiry.attachments.map(file => file.name).join(', ') || none]
+    ] }
+  ]
+
+  return (
+    <div className="space-y-4 text-start">
+      {sections.map(({ step, rows }) => (
+        <div key={step} className="p-4 rounded-lg bg-sunken border border-line">
+          <div className="flex items-center justify-between mb-2">
+            <h4 className="text-sm font-semibold text-fg">{t(`inquiry.steps.${INQUIRY_STEPS[step].id}`)}</h4>
+            {onEdit && (
+              <button
+                type="button"
+                onClick={() => onEdit(step)}
+                aria-label={t('inquiry.editStep', { step: t(`inquiry.steps.${INQUIRY_STEPS[step].id}`) })}
+                className="text-sm text-purple-500 hover:text-purple-400 transition-colors duration-300"
+              >
+                {t('inquiry.edit')}
+              </button>
+            )}
+          </div>
+          <dl className="space-y-2">
+            {rows.map(([field, value]) => (
+              <div key={field}>
+                <dt className="text-xs uppercase tracking-wide text-faint">{t(`inquiry.fields.${field}`)}</dt>
+                <dd className="text-sm text-body whitespace-pre-line break-words">{value}</dd>
+              </div>
+            ))}
+          </dl>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+// The contact section's multi-step project inquiry. Answers are checked as each step is left
+// and autosaved as a draft, so a visitor can come back to it later; the last step reviews
+// everything before it's sent. `result` is what sendInquiry resolved to, { status: 'sending' }
+// while waiting, or { status: 'idle' }.
+const InquiryWizard = () => {
+  const { t } = useI18n()
+  const id = useId()
+  const formRef = useRef(null)
+  const headingRef = useRef(null)
+  const [draft, setDraft] = usePersistentState(DRAFT_KEY, EMPTY_DRAFT, isDraft)
+  const [attachments, setAttachments] = useState([])
+  const [rejectedFiles, setRejectedFiles] = useState(null)
+  const [touched, setTouched] = useState({})
+  const [checkedSteps, setCheckedSteps] = useState([])
+  const [result, setResult] = useState({ status: 'idle' })
+  const [focusTarget, setFocusTarget] = useState(null)
+
+  const { step: stepIndex, answers } = draft
+  const step = INQUIRY_STEPS[stepIndex]
+  const isReview = step.id === 'review'
+  const isSending = result.status === 'sending'
+  const hasDraft = stepIndex > 0 || Object.keys(EMPTY_ANSWERS).some(field => answers[field] !== EMPTY_ANSWERS[field])
+  const inquiry = normalizeInquiry({ ...answers, attachments })
+
+  // Server-side errors win over our own, which they only differ from if the rules changed
+  const errors = result.status === 'invalid' ? result.fields : validateInquiry(inquiry)
+  const visibleError = (field) =>
+    (touched[field] || checkedSteps.includes(stepIndex)) ? errors[field] : undefined
+
+  // Move focus to the new step's heading, or to the first field that needs fixing
+  useEffect(() => {
+    if (!focusTarget) return
+    const target = focusTarget === 'heading'
+      ? headingRef.current
+      : formRef.current?.querySelector('[aria-invalid="true"]')
+    target?.focus()
+    setFocusTarget(null)
+  }, [focusTarget])
+
+  const goTo = (index) => {
+    setDraft(current => ({ ...current, step: index }))
+    setFocusTarget('heading')
+  }
+
+  const setAnswer = (field, value) => {
+    setDraft(current => ({ ...current, answers: { ...current.answers, [field]: value } }))
+    if (result.status === 'invalid') setResult({ status: 'idle' })
+  }
+
+  const touch = (field) => setTouched(current => ({ ...current, [field]: true }))
+
+  const startOver = () => {
+    setDraft(EMPTY_DRAFT)
+    setAttachments([])
+    setRejectedFiles(null)
+    setTouched({})
+    setCheckedSteps([])
+    setResult({ status: 'idle' })
+    setFocusTarget('heading')
+  }
+
+  const addFiles = async (files) => {
+    const room = ATTACHMENT_LIMITS.count - attachments.length
+    const accepted = files.filter(file => ATTACHMENT_LIMITS.types.includes(file.type) && file.size <= ATTACHMENT_LIMITS.bytes)
+
+    const added = accepted.slice(0, room)
+    const read = await Promise.allSettled(added.map(readAttachment))
+    const unreadable = added.find((file, index) => read[index].status === 'rejected')
+
+    // { error, name }: what went wrong, and with which file when it's about one in particular
+    setRejectedFiles(
+      files.some(file => !ATTACHMENT_LIMITS.types.includes(file.type)) ? { error: 'fileType' }
+        : accepted.length < files.length ? { error: 'fileTooLarge' }
+        : accepted.length > room ? { error: 'tooManyFiles' }
+        : unreadable ? { error: 'fileUnreadable', name: unreadable.name }
+        : null
+    )
+    setAttachments(current => [...current, ...read.filter(entry => entry.status === 'fulfilled').map(entry => entry.value)])
+  }
+
+  // Enter in a text field submits the form, which means "next" until the last step
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (isSending) return
+
+    if (!isReview) {
+      if (Object.keys(stepErrors(errors, step)).length > 0) {
+        setCheckedSteps(current => [...current, stepIndex])
+        setFocusTarget('invalid')
+        return
+      }
+      goTo(stepIndex + 1)
+      return
+    }
+
+    // A restored draft may skip past steps that are no longer valid
+    const invalidStep = INQUIRY_STEPS.findIndex(option => Object.keys(stepErrors(errors, option)).length > 0)
+    if (invalidStep !== -1) {
+      setCheckedSteps(current => [...current, invalidStep])
+      setDraft(current => ({ ...current, step: invalidStep }))
+      setFocusTarget('invalid')
+      return
+    }
+
+    setResult({ status: 'sending' })
+    const next = await sendInquiry({ ...inquiry, [HONEYPOT_FIELD]: formRef.current.elements[HONEYPOT_FIELD].value })
+
+    if (next.status === 'sent') {
+      setDraft(EMPTY_DRAFT)
+      setAttachments([])
+      setResult({ ...next, inquiry })
+    } else if (next.status === 'invalid') {
+      const firstInvalid = INQUIRY_STEPS.findIndex(option => Object.keys(stepErrors(next.fields, option)).length > 0)
+      setResult(next)
+      setCheckedSteps(current => [...current, firstInvalid])
+      setDraft(current => ({ ...current, step: firstInvalid === -1 ? current.step : firstInvalid }))
+      setFocusTarget('invalid')
+    } else {
+      setResult(next)
+    }
+  }
+
+  const textFieldProps = (field) => ({
+    name: field,
+    value: answers[field],
+    onChange: (e) => setAnswer(field, e.target.value),
+    onBlur: () => touch(field),
+    maxLength: TEXT_LIMITS[field],
+    'aria-label': t(`inquiry.fields.${field}`),
+    'aria-invalid': Boolean(visibleError(field)),
+    'aria-describedby': visibleError(field) ? `${id}-${field}-error` : undefined,
+    className: `${FIELD_CLASS} ${visibleError(field) ? 'border-red-500' : 'border-line-strong'}`
+  })
+
+  if (result.status === 'sent') {
+    return (
+      <div className="space-y-6">
+        <p role="status" className="text-body">{t('inquiry.sent')}</p>
+        <InquirySummary inquiry={result.inquiry} />
+        <button
+          type="button"
+          onClick={startOver}
+          className="text-purple-500 hover:text-purple-400 font-medium transition-colors duration-300"
+        >
+          {t('inquiry.sendAnother')}
+        </button>
+      </div>
+    )
+  }
+
+  return (
+    <form ref={formRef} className="relative space-y-6 text-start" onSubmit={handleSubmit} noValidate>
+      {/* Progress */}
+      <div>
+        <ol className="flex gap-2 mb-3" aria-label={t('inquiry.progress')}>
+          {INQUIRY_STEPS.map((option, index) => (
+            <li
+              key={option.id}
+              aria-current={index === stepIndex ? 'step' : undefined}
+              className={`flex-1 h-1.5 rounded-full transition-colors duration-300 ${index <= stepIndex ? 'bg-gradient-to-r from-purple-600 to-cyan-600' : 'bg-raised'}`}
+            >
+              <span className="sr-only">{t(`inquiry.steps.${option.id}`)}</span>
+            </li>
+          ))}
+        </ol>
+        <p className="text-xs text-faint">{t('inquiry.stepOf', { step: stepIndex + 1, total: INQUIRY_STEPS.length })}</p>
+        <h4 ref={headingRef} tabIndex={-1} className="text-lg font-semibold text-fg focus:outline-none">
+          {t(`inquiry.steps.${step.id}`)}
+        </h4>
+      </div>
+
+      {step.id === 'project' && (
+        <>
+          <ChoiceGroup
+            name="projectType"
+            legend={t('inquiry.fields.projectType')}
+            options={PROJECT_TYPES.map(type => ({
+              value: type,
+              label: type === OTHER_PROJECT_TYPE ? t('inquiry.otherType') : type
+            }))}
+            value={answers.projectType}
+            onChange={(value) => setAnswer('projectType', value)}
+            error={visibleError('projectType')}
+            errorId={`${id}-projectType-error`}
+          />
+          <FieldError id={`${id}-projectType-error`} error={visibleError('projectType')} />
+          <div>
+            <textarea rows="5" placeholder={t('inquiry.detailsPlaceholder')} {...textFieldProps('details')} />
+            <FieldError id={`${id}-details-error`} error={visibleError('details')} />
+          </div>
+        </>
+      )}
+
+      {step.id === 'scope' && (
+        <>
+          <div>
+            <ChoiceGroup
+              name="budget"
+              legend={t('inquiry.fields.budget')}
+              options={BUDGETS.map(budget => ({ value: budget, label: t(`inquiry.budget.${budget}`) }))}
+              value={answers.budget}
+              onChange={(value) => setAnswer('budget', value)}
+              error={visibleError('budget')}
+              errorId={`${id}-budget-error`}
+            />
+            <FieldError id={`${id}-budget-error`} error={visibleError('budget')} />
+          </div>
+          <div>
+            <ChoiceGroup
+              name="timeline"
+              legend={t('inquiry.fields.timeline')}
+              options={TIMELINES.map(timeline => ({ value: timeline, label: t(`inquiry.timeline.${timeline}`) }))}
+              value={answers.timeline}
+              onChange={(value) => setAnswer('timeline', value)}
+              error={visibleError('timeline')}
+              errorId={`${id}-timeline-error`}
+            />
+            <FieldError id={`${id}-timeline-error`} error={visibleError('timeline')} />
+          </div>
+        </>
+      )}
+
+      {step.id === 'contact' && (
+        <>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <input type="text" autoComplete="name" placeholder={t('inquiry.fields.name')} {...textFieldProps('name')} />
+              <FieldError id={`${id}-name-error`} error={visibleError('name')} />
+            </div>
+            <div>
+              <input type="email" autoComplete="email" placeholder={t('inquiry.fields.email')} {...textFieldProps('email')} />
+              <FieldError id={`${id}-email-error`} error={visibleError('email')} />
+            </div>
+          </div>
+          <ChoiceGroup
+            name="channel"
+            legend={t('inquiry.fields.channel')}
+            options={CHANNELS.map(channel => ({ value: channel, label: t(`inquiry.channel.${channel}`), icon: CHANNEL_ICONS[channel] }))}
+            value={answers.channel}
+            onChange={(value) => setAnswer('channel', value)}
+          />
+          {answers.channel !== 'email' && (
+            <div>
+              <input type="tel" autoComplete="tel" placeholder={t('inquiry.fields.phone')} {...textFieldProps('phone')} />
+              <FieldError id={`${id}-phone-error`} error={visibleError('phone')} />
+            </div>
+          )}
+        </>
+      )}
+
+      {step.id === 'attachments' && (
+        <div className="space-y-3">
+          <p className="text-sm text-muted">
+            {t('inquiry.attachmentsHint', { count: ATTACHMENT_LIMITS.count, size: ATTACHMENT_LIMITS.bytes / 1024 / 1024 })}
+          </p>
+          {attachments.length < ATTACHMENT_LIMITS.count && (
+            <label className="inline-flex items-center gap-2 px-4 py-2 rounded-lg border border-dashed border-line-strong text-sm text-body hover:text-fg hover:border-purple-400 cursor-pointer transition-all duration-300 focus-within:ring-2 focus-within:ring-purple-500">
+              <span aria-hidden="true">📎</span>
+              {t('inquiry.addFiles')}
+              <input
+                type="file"
+                multiple
+                accept={ATTACHMENT_LIMITS.types.join(',')}
+                onChange={(e) => {
+                  addFiles([...e.target.files])
+                  e.target.value = ''
+                }}
+                aria-invalid={Boolean(rejectedFiles)}
+                aria-describedby={rejectedFiles ? `${id}-attachments-error` : undefined}
+                className="sr-only"
+              />
+            </label>
+          )}
+          <FieldError id={`${id}-attachments-error`} error={rejectedFiles?.error} params={{ name: rejectedFiles?.name }} />
+          {attachments.length > 0 && (
+            <ul className="space-y-2">
+              {attachments.map((file, index) => (
+                <li key={`${file.name}-${index}`} className="flex items-center justify-between gap-3 px-3 py-2 rounded-lg bg-sunken border border-line text-sm text-body">
+                  <span className="truncate">{file.name}</span>
+                  <button
+                    type="button"
+                    onClick={() => setAttachments(attachments.filter((_, other) => other !== index))}
+                    aria-label={t('inquiry.removeFile', { name: file.name })}
+                    className="text-muted hover:text-fg transition-colors duration-300"
+                  >
+                    ✕
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          <p className="text-xs text-faint">{t('inquiry.attachmentsNotSaved')}</p>
+        </div>
+      )}
+
+      {isReview && <InquirySummary inquiry={inquiry} onEdit={goTo} />}
+
+      {/* Honeypot: hidden from people, filled in by bots, and the endpoint drops anything that has it */}
+      <div aria-hidden="true" className="absolute w-px h-px overflow-hidden opacity-0 pointer-events-none">
+        <label>
+          {t('inquiry.honeypot')}
+          <input type="text" name={HONEYPOT_FIELD} tabIndex={-1} autoComplete="off" />
+        </label>
+      </div>
+
+      <div role="alert" className="text-sm text-red-600 dark:text-red-400 empty:hidden">
+        {result.status === 'failed' && t('inquiry.errors.failed')}
+        {result.status === 'rateLimited' && t('inquiry.errors.rateLimited', { count: Math.ceil(result.retryAfter / 60) })}
+        {result.status === 'unreachable' && (
+          <>
+            {t('inquiry.errors.unreachable')}{' '}
+            <a href={inquiryMailtoUrl(inquiry)} className="underline font-medium text-purple-500 hover:text-purple-400">
+              {t('inquiry.openMailApp')}
+            </a>
+          </>
+        )}
+      </div>
+
+      <div className="flex items-center gap-3">
+        {stepIndex > 0 && (
+          <button
+            type="button"
+            onClick={() => goTo(stepIndex - 1)}
+            className={`${BUTTON_CLASS} border border-line-strong text-body hover:text-fg`}
+          >
+            {t('inquiry.back')}
+          </button>
+        )}
+        <button
+          type="submit"
+          disabled={isSending}
+          className={`${BUTTON_CLASS} flex-1 bg-gradient-to-r from-purple-600 to-cyan-600 text-white hover:scale-[1.02] shadow-lg hover:shadow-purple-500/25 disabled:opacity-70 disabled:cursor-wait disabled:hover:scale-100`}
+        >
+          {!isReview ? t('inquiry.next') : isSending ? t('inquiry.sending') : t('inquiry.send')}
+        </button>
+      </div>
+
+      {hasDraft && (
+        <p className="text-xs text-faint">
+          {t('inquiry.draftSaved')}{' '}
+          <button type="button" onClick={startOver} className="underline hover:text-fg transition-colors duration-300">
+            {t('inquiry.startOver')}
+          </button>
+        </p>
+      )}
+    </form>
+  )
+}
+
+export default InquiryWizard
@@ -0,0 +1,33 @@
+import React from 'react'
+import { LOCALES, useI18n } from '../lib/i18n'
+
+// Segmented control listing each language in its own script
+const LanguageSwitcher = ({ locale, onChange, className = '' }) => {
+  const { t } = useI18n()
+
+  return (
+    <div
+      role="group"
+      aria-label={t('nav.language')}
+      className={`inline-flex p-1 rounded-full border bg-sunken border-line ${className}`}
+    >
+      {LOCALES.map((option) => (
+        <button
+          key={option.code}
+          lang={option.code}
+          onClick={() => onChange(option.code)}
+          aria-pressed={option.code === locale}
+          className={`px-3 py-1 rounded-full text-sm transition-all duration-300 ${
+            option.code === locale
+              ? 'bg-gradient-to-r from-purple-500 to-cyan-500 text-white'
+              : 'text-muted hover:text-fg'
+          }`}
+        >
+          {option.name}
+        </button>
+      ))}
+    </div>
+  )
+}
+
+export default LanguageSwitcher
@@ -0,0 +1,21 @@
+import React from 'react'
+import { navigate } from '../lib/router'
+
+// Anchor that navigates client-side, while keeping a real href for crawlers and new-tab clicks
+const Link = ({ to, state, replace, onClick, children, ...props }) => {
+  const handleClick = (e) => {
+    onClick?.(e)
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return
+
+    e.preventDefault()
+    navigate(to, { state, replace })
+  }
+
+  return (
+    <a href={to} onClick={handleClick} {...props}>
+      {children}
+    </a>
+  )
+}
+
+export default Link
@@ -0,0 +1,25 @@
+import React from 'react'
+import { useMotion } from '../lib/motion'
+import { useI18n } from '../lib/i18n'
+
+// Pressed while animations are off
+const MotionToggle = ({ className = '' }) => {
+  const { t } = useI18n()
+  const { reduceMotion, toggleMotion } = useMotion()
+
+  return (
+    <button
+      onClick={toggleMotion}
+      aria-pressed={reduceMotion}
+      title={t('motion.reduce')}
+      className={`px-3 py-2 rounded-lg border text-sm border-line transition-all duration-300 ${
+        reduceMotion ? 'bg-raised text-fg' : 'text-muted hover:text-fg'
+      } ${className}`}
+    >
+      <span aria-hidden="true">{reduceMotion ? '▶' : '⏸'}</span>
+      <span className="sr-only">{t('motion.reduce')}</span>
+    </button>
+  )
+}
+
+export default MotionToggle
@@ -0,0 +1,58 @@
+import React from 'react'
+import Link from './Link'
+import { postPath, tagPath } from '../lib/blog'
+import { useI18n } from '../lib/i18n'
+
+// Date, reading time and a draft badge, shared by post cards and the post header
+export const PostMeta = ({ post }) => {
+  const { t, formatDate } = useI18n()
+
+  return (
+    <div className="flex flex-wrap items-center gap-x-3 gap-y-1 text-sm text-muted">
+      <time dateTime={post.date}>{formatDate(post.date)}</time>
+      <span aria-hidden="true">·</span>
+      <span>{t('blog.readingTime', { minutes: post.readingTime })}</span>
+      {post.draft && (
+        <span className="px-2 py-0.5 rounded-full text-xs font-semibold bg-yellow-400/20 text-yellow-500">
+          {t('blog.draft')}
+        </span>
+      )}
+    </div>
+  )
+}
+
+const PostCard = ({ post }) => {
+  const { sourceLanguage } = useI18n()
+
+  return (
+    <article className="group h-full flex flex-col bg-surface/60 border-line backdrop-blur-sm rounded-2xl border overflow-hidden hover:shadow-2xl transition-all duration-300">
+      {post.cover && (
+        <img src={post.cover} alt="" loading="lazy" className="w-full h-44 object-cover" />
+      )}
+      <div className="flex-1 flex flex-col p-6">
+        <PostMeta post={post} />
+        <h3 {...sourceLanguage} className="text-xl font-bold mt-3 mb-3 text-fg">
+          <Link to={postPath(post)} className="hover:text-purple-400 transition-colors duration-300">
+            {post.title}
+          </Link>
+        </h3>
+        <p {...sourceLanguage} className="flex-1 mb-4 text-body">
+          {post.description}
+        </p>
+        <div className="flex flex-wrap gap-2">
+          {post.tags.map((tag) => (
+            <Link
+              key={tag}
+              to={tagPath(tag)}
+              className="px-3 py-1 bg-tag text-tag-fg hover:bg-tag-hover rounded-full text-xs transition-colors duration-300"
+            >
+              #{tag}
+            </Link>
+          ))}
+        </div>
+      </div>
+    </article>
+  )
+}
+
+export default PostCard
@@ -1,33 +1,19 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useId, useRef } from 'react'
+import { useI18n } from '../lib/i18n'
+import { useModalDialog } from '../lib/dialog'
 
-const PreviewModal = ({ isOpen, project, onClose, isDarkMode }) => {
+const PreviewModal = ({ isOpen, project, onClose }) => {
+  const { t } = useI18n()
   const [isLoading, setIsLoading] = useState(true)
   const [hasError, setHasError] = useState(false)
   const [loadTimeout, setLoadTimeout] = useState(false)
   const [iframeBlocked, setIframeBlocked] = useState(false)
+  const dialogRef = useRef(null)
+  const titleId = useId()
+  const urlId = useId()
 
-  // Handle escape key and body scroll
-  useEffect(() => {
-    const handleEscape = (e) => {
-      if (e.key === 'Escape' && isOpen) {
-        onClose()
-      }
-    }
-
-    if (isOpen) {
-      document.addEventListener('keydown', handleEscape)
-      // Add modal-open class instead of directly setting styles
-      document.body.classList.add('modal-open')
-      
-      return () => {
-        document.removeEventListener('keydown', handleEscape)
-        document.body.classList.remove('modal-open')
-      }
-    } else {
-      // Ensure modal-open class is removed when modal is closed
-      document.body.classList.remove('modal-open')
-    }
-  }, [isOpen, onClose])
+  // Focus trap, Escape, scroll lock, and focus back to the card or button that opened it
+  useModalDialog(dialogRef, isOpen && Boolean(project), onClose)
 
   // Reset loading state when modal opens
   useEffect(() => {
@@ -59,35 +45,44 @@ const PreviewModal = ({ isOpen, project, onClose, isDarkMode }) => {
       />
       
       {/* Modal Content */}
-      <div className={`relative w-full max-w-7xl h-[90vh] ${isDarkMode ? 'bg-gray-900 border-gray-700' : 'bg-white border-gray-200'} border rounded-xl overflow-hidden shadow-2xl`}>
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={titleId}
+        aria-describedby={urlId}
+        tabIndex={-1}
+        className="relative w-full max-w-7xl h-[90vh] bg-panel border-line border rounded-xl overflow-hidden shadow-2xl focus:outline-none"
+      >
         {/* Modal Header */}
-        <div className={`flex items-center justify-between p-4 border-b ${isDarkMode ? 'border-gray-700 bg-gray-800' : 'border-gray-200 bg-gray-50'}`}>
+        <div className="flex items-center justify-between p-4 border-b border-line bg-sunken">
           <div>
-            <h3 className={`text-xl font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
-              {project.title} - Live Preview
+            <h3 id={titleId} className="text-xl font-bold text-fg">
+              {t('preview.title', { title: project.title })}
             </h3>
-            <p className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+            <p id={urlId} className="text-sm text-muted">
               {project.liveUrl}
             </p>
           </div>
           
-          <div className="flex items-center space-x-2">
+          <div className="flex items-center space-x-2 rtl:space-x-reverse">
             {/* External Link Button */}
             <button
               onClick={() => window.open(project.liveUrl, '_blank')}
-              className={`px-4 py-2 ${isDarkMode ? 'bg-gray-700 hover:bg-gray-600 text-gray-300' : 'bg-gray-200 hover:bg-gray-300 text-gray-700'} rounded-lg transition-all duration-200 flex items-center space-x-2`}
-              title="Open in new tab"
+              className="px-4 py-2 bg-raised hover:bg-raised-hover text-body rounded-lg transition-all duration-200 flex items-center space-x-2 rtl:space-x-reverse"
+              title={t('preview.openTitle')}
             >
-              <span>↗</span>
-              <span className="hidden sm:inline">Open</span>
+              <span aria-hidden="true">↗</span>
+              <span className="sr-only sm:not-sr-only">{t('preview.open')}</span>
             </button>
             
             {/* Close Button */}
             <button
               onClick={onClose}
-              className={`px-4 py-2 ${isDarkMode ? 'bg-red-600 hover:bg-red-700' : 'bg-red-500 hover:bg-red-600'} text-white rounded-lg transition-all duration-200`}
+              aria-label={t('preview.close')}
+              className="px-4 py-2 bg-red-500 dark:bg-red-600 hover:bg-red-600 dark:hover:bg-red-700 text-white rounded-lg transition-all duration-200"
             >
-              ✕
+              <span aria-hidden="true">✕</span>
             </button>
           </div>
         </div>
@@ -96,37 +91,36 @@ const PreviewModal = ({ isOpen, project, onClose, isDarkMode }) => {
         <div className="relative h-[calc(100%-80px)]">
           {/* Loading Overlay */}
           {isLoading && !iframeBlocked && (
-            <div className={`absolute inset-0 ${isDarkMode ? 'bg-gray-800' : 'bg-gray-100'} flex items-center justify-center z-10`}>
+            <div role="status" className="absolute inset-0 bg-sunken flex items-center justify-center z-10">
               <div className="text-center">
-                <div className="animate-spin w-8 h-8 border-4 border-purple-500 border-t-transparent rounded-full mx-auto mb-4"></div>
-                <p className={`${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>Loading preview...</p>
-                <p className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-600'} mt-2`}>Press Escape to close</p>
+                <div aria-hidden="true" className="animate-spin w-8 h-8 border-4 border-purple-500 border-t-transparent rounded-full mx-auto mb-4"></div>
+                <p className="text-body">{t('preview.loading')}</p>
+                <p className="text-sm text-muted mt-2">{t('preview.escapeHint')}</p>
               </div>
             </div>
           )}
 
           {/* Iframe Blocked/Error Fallback */}
           {(iframeBlocked || hasError || loadTimeout) && (
-            <div className={`absolute inset-0 ${isDarkMode ? 'bg-gray-800' : 'bg-gray-100'} flex items-center justify-center z-10`}>
+            <div className="absolute inset-0 bg-sunken flex items-center justify-center z-10">
               <div className="text-center max-w-md mx-auto p-8">
-                <div className={`w-16 h-16 mx-auto mb-6 rounded-full ${isDarkMode ? 'bg-gray-700' : 'bg-gray-200'} flex items-center justify-center`}>
-                  <span className="text-2xl">🔒</span>
+                <div className="w-16 h-16 mx-auto mb-6 rounded-full bg-raised flex items-center justify-center">
+                  <span className="text-2xl" aria-hidden="true">🔒</span>
                 </div>
-                <h4 className={`text-xl font-semibold mb-4 ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
-                  Preview Not Available
+                <h4 className="text-xl font-semibold mb-4 text-fg">
+                  {t('preview.unavailable')}
                 </h4>
-                <p className={`${isDarkMode ? 'text-gray-300' : 'text-gray-600'} mb-6 leading-relaxed`}>
-                  This website cannot be previewed in an iframe due to security restrictions. 
-                  This is a common security feature that prevents embedding.
+                <p className="text-body mb-6 leading-relaxed">
+                  {t('preview.unavailableBody')}
                 </p>
                 <button
                   onClick={() => window.open(project.liveUrl, '_blank')}
                   className="px-6 py-3 bg-gradient-to-r from-purple-500 to-cyan-500 text-white rounded-lg hover:from-purple-600 hover:to-cyan-600 transition-all duration-200 transform hover:scale-105 shadow-lg font-medium"
                 >
-                  View Full Site →
+                  {t('preview.viewFullSite')}
                 </button>
-                <p className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'} mt-4`}>
-                  Opens in a new tab
+                <p className="text-xs text-faint mt-4">
+                  {t('preview.newTab')}
                 </p>
               </div>
             </div>
@@ -134,7 +128,7 @@ const PreviewModal = ({ isOpen, project, onClose, isDarkMode }) => {
           
           <iframe
             src={project.liveUrl}
-            title={`${project.title} Preview`}
+            title={t('preview.frameTitle', { title: project.title })}
             className={`w-full h-full border-0 ${(iframeBlocked || hasError || loadTimeout) ? 'hidden' : ''}`}
             loading="lazy"
             sandbox="allow-same-origin allow-scripts allow-forms allow-popups allow-pointer-lock"
@@ -0,0 +1,184 @@
+import React, { useEffect } from 'react'
+import Link from './Link'
+import { useI18n } from '../lib/i18n'
+
+const ProjectDetail = ({ project, projects, onBack, onPreview }) => {
+  const { t, formatDate, formatDateRange, sourceLanguage } = useI18n()
+
+  // Start each case study at the top of the page
+  useEffect(() => {
+    window.scrollTo({ top: 0, behavior: 'instant' })
+  }, [project])
+
+  if (!project) {
+    return (
+      <section className="min-h-screen flex items-center justify-center px-4 sm:px-6 pt-20">
+        <div className="text-center">
+          <div className="text-6xl mb-6">🔍</div>
+          <h1 className="text-3xl font-bold mb-4 text-fg">
+            {t('caseStudy.notFound')}
+          </h1>
+          <p className="mb-8 text-muted">
+            {t('caseStudy.notFoundBody')}
+          </p>
+          <button
+            onClick={onBack}
+            className="px-6 py-3 bg-gradient-to-r from-purple-500 to-cyan-500 rounded-full text-white font-semibold hover:scale-105 transition-all duration-300"
+          >
+            {t('caseStudy.back')}
+          </button>
+        </div>
+      </section>
+    )
+  }
+
+  const caseStudies = projects.filter(p => p.caseStudy.length > 0)
+  const index = caseStudies.findIndex(p => p.slug === project.slug)
+  const previous = index > 0 ? caseStudies[index - 1] : null
+  const next = index >= 0 && index < caseStudies.length - 1 ? caseStudies[index + 1] : null
+
+  const facts = [
+    { label: t('caseStudy.facts.role'), value: project.role },
+    { label: t('caseStudy.facts.type'), value: t(`values.type.${project.type}`) },
+    { label: t('caseStudy.facts.category'), value: project.category },
+    { label: t('caseStudy.facts.complexity'), value: t(`values.complexity.${project.complexity}`) },
+    { label: t('caseStudy.facts.timeline'), value: formatDateRange(project.startDate, project.endDate) },
+    { label: t('caseStudy.facts.updated'), value: formatDate(project.updatedAt) }
+  ].filter(fact => fact.value)
+
+  return (
+    <article className="relative px-4 sm:px-6 pt-32 pb-24">
+      <div className="max-w-5xl mx-auto">
+        <button
+          onClick={onBack}
+          className="mb-8 text-sm font-medium text-muted hover:text-fg transition-colors duration-300"
+        >
+          {t('caseStudy.back')}
+        </button>
+
+        {/* Header */}
+        <header className="mb-12">
+          <h1 className="text-4xl sm:text-5xl md:text-6xl font-bold mb-6 bg-gradient-to-r from-brand-1 via-brand-2 to-brand-3 bg-clip-text text-transparent">
+            {project.title}
+          </h1>
+          <p className="text-xl text-body mb-6 max-w-3xl">
+            {project.description}
+          </p>
+          <div className="flex flex-wrap gap-2 mb-8">
+            {project.tags.map((tag) => (
+              <span key={tag} className="px-3 py-1 bg-tag text-tag-fg rounded-full text-sm">
+                {tag}
+              </span>
+            ))}
+          </div>
+          <div className="flex flex-wrap gap-3">
+            {project.previewable && project.liveUrl && (
+              <button
+                onClick={() => onPreview(project)}
+                className="py-2 px-5 bg-gradient-to-r from-cyan-500 to-blue-500 rounded-lg text-white font-medium hover:scale-105 transition-all duration-300 text-sm"
+              >
+                {t('caseStudy.preview')}
+              </button>
+            )}
+            {project.liveUrl && (
+              <button
+                onClick={() => window.open(project.liveUrl, '_blank')}
+                className="py-2 px-5 bg-gradient-to-r from-purple-500 to-cyan-500 rounded-lg text-white font-medium hover:scale-105 transition-all duration-300 text-sm"
+              >
+                {t('caseStudy.visit')}
+              </button>
+            )}
+            <button
+              onClick={() => window.open(project.githubUrl, '_blank')}
+              className="py-2 px-5 border-2 border-line-strong text-body hover:bg-raised rounded-lg font-medium transition-all duration-300 text-sm"
+            >
+              GitHub
+            </button>
+          </div>
+        </header>
+
+        <div className="grid lg:grid-cols-[1fr_16rem] gap-12 items-start">
+          {/* Case study sections */}
+          <div className="space-y-12 min-w-0">
+            {project.caseStudy.length === 0 && (
+              <p className="text-muted">
+                {t('caseStudy.comingSoon')}
+              </p>
+            )}
+            {project.caseStudy.map((section) => (
+              <section key={section.id} id={section.id} className="scroll-mt-24">
+                <h2 className="text-2xl sm:text-3xl font-bold mb-4 text-fg">
+                  {t(`caseStudy.sections.${section.title}`)}
+                </h2>
+                <div
+                  {...sourceLanguage}
+                  className="case-study-content text-body"
+                  dangerouslySetInnerHTML={{ __html: section.html }}
+                />
+              </section>
+            ))}
+          </div>
+
+          {/* Sidebar */}
+          <aside className="lg:sticky lg:top-24 p-6 bg-surface/60 border-line backdrop-blur-sm rounded-xl border space-y-6">
+            {project.caseStudy.length > 0 && (
+              <nav>
+                <h3 className="text-sm font-semibold mb-3 text-body">{t('caseStudy.onThisPage')}</h3>
+                <ul className="space-y-2">
+                  {project.caseStudy.map((section) => (
+                    <li key={section.id}>
+                      <a
+                        href={`#${section.id}`}
+                        className="text-sm text-muted hover:text-fg transition-colors duration-300"
+                      >
+                        {t(`caseStudy.sections.${section.title}`)}
+                      </a>
+                    </li>
+                  ))}
+                </ul>
+              </nav>
+            )}
+            <dl className="space-y-3">
+              {facts.map((fact) => (
+                <div key={fact.label}>
+                  <dt className="text-xs uppercase tracking-wide text-faint">{fact.label}</dt>
+                  <dd className="text-sm font-medium text-body">{fact.value}</dd>
+                </div>
+              ))}
+            </dl>
+            <div>
+              <h3 className="text-xs uppercase tracking-wide mb-2 text-faint">{t('caseStudy.technologies')}</h3>
+              <div className="flex flex-wrap gap-2">
+                {project.technologies.map((tech) => (
+                  <span key={tech} className="px-2 py-1 bg-raised text-body rounded text-xs">
+                    {tech}
+                  </span>
+                ))}
+              </div>
+            </div>
+          </aside>
+        </div>
+
+        {/* Previous / next case study */}
+        {(previous || next) && (
+          <nav className="mt-16 pt-8 border-t border-line flex justify-between gap-4">
+            {previous ? (
+              <Link to={`/projects/${previous.slug}`} className="text-muted hover:text-fg transition-colors duration-300">
+                <span className="block text-xs uppercase tracking-wide">{t('caseStudy.previous')}</span>
+                <span className="font-semibold">{t('caseStudy.previousTitle', { title: previous.title })}</span>
+              </Link>
+            ) : <span />}
+            {next && (
+              <Link to={`/projects/${next.slug}`} className="text-end text-muted hover:text-fg transition-colors duration-300">
+                <span className="block text-xs uppercase tracking-wide">{t('caseStudy.next')}</span>
+                <span className="font-semibold">{t('caseStudy.nextTitle', { title: next.title })}</span>
+              </Link>
+            )}
+          </nav>
+        )}
+      </div>
+    </article>
+  )
+}
+
+export default ProjectDetail
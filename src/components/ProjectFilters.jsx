@@ -1,15 +1,29 @@
 import React from 'react'
+import Highlight from './Highlight'
+import { findMatches } from '../lib/search'
+import { useI18n } from '../lib/i18n'
 
 const ProjectFilters = ({ 
-  filters, 
+  facets, 
   activeFilters, 
   onFilterChange, 
   searchTerm, 
   onSearchChange, 
-  isDarkMode,
+  onClearFilters,
+  sortModes,
+  sortMode,
+  onSortChange,
   projectCount
 }) => {
-  const { categories, types, complexities } = filters
+  const { t } = useI18n()
+  const activeClass = 'bg-gradient-to-r from-purple-500 to-cyan-500 text-white shadow-lg scale-105'
+  const inactiveClass = 'bg-raised text-body hover:bg-raised-hover'
+  const hasActiveFilters = facets.some(facet => activeFilters[facet.key].length > 0) || searchTerm
+
+  // Enumerated values (type, complexity) have translated labels; the rest are shown as written
+  const optionLabel = (facet, value) => facet.key === 'type' || facet.key === 'complexity'
+    ? t(`values.${facet.key}.${value}`)
+    : value
 
   return (
     <div className="mb-8 space-y-6">
@@ -18,22 +32,20 @@ const ProjectFilters = ({
         <div className="relative">
           <input
             type="text"
-            placeholder="Search projects..."
+            placeholder={t('filters.search')}
+            aria-label={t('filters.search')}
             value={searchTerm}
             onChange={(e) => onSearchChange(e.target.value)}
-            className={`w-full px-4 py-3 pl-12 rounded-xl border ${
-              isDarkMode 
-                ? 'bg-gray-800 border-gray-600 text-white placeholder-gray-400' 
-                : 'bg-white border-gray-300 text-gray-900 placeholder-gray-500'
-            } focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all duration-200`}
+            className="w-full px-4 py-3 ps-12 rounded-xl border bg-field border-line-strong text-fg placeholder-faint focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all duration-200"
           />
-          <div className="absolute left-4 top-1/2 transform -translate-y-1/2">
-            <span className="text-gray-400">🔍</span>
+          <div className="absolute start-4 top-1/2 transform -translate-y-1/2" aria-hidden="true">
+            <span className="text-faint">🔍</span>
           </div>
           {searchTerm && (
             <button
               onClick={() => onSearchChange('')}
-              className="absolute right-4 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-gray-600"
+              aria-label={t('filters.clearSearch')}
+              className="absolute end-4 top-1/2 transform -translate-y-1/2 text-faint hover:text-muted"
             >
               ✕
             </button>
@@ -41,103 +53,90 @@ const ProjectFilters = ({
         </div>
       </div>
 
-      {/* Filter Tabs */}
+      {/* Filter Facets - multi-select within a facet, combined across facets */}
       <div className="space-y-4">
-        {/* Category Filters */}
-        <div className="text-center">
-          <h4 className={`text-sm font-semibold mb-3 ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
-            Category
-          </h4>
-          <div className="flex flex-wrap justify-center gap-2">
-            {categories.map((category) => (
-              <button
-                key={category}
-                onClick={() => onFilterChange('category', category)}
-                className={`px-4 py-2 rounded-lg text-sm font-medium transition-all duration-200 ${
-                  activeFilters.category === category
-                    ? 'bg-gradient-to-r from-purple-500 to-cyan-500 text-white shadow-lg scale-105'
-                    : isDarkMode
-                    ? 'bg-gray-700 text-gray-300 hover:bg-gray-600'
-                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
-                }`}
-              >
-                {category}
-              </button>
-            ))}
-          </div>
-        </div>
+        {facets.map((facet) => {
+          const selected = activeFilters[facet.key]
 
-        {/* Type Filters */}
-        <div className="text-center">
-          <h4 className={`text-sm font-semibold mb-3 ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
-            Type
-          </h4>
-          <div className="flex flex-wrap justify-center gap-2">
-            {types.map((type) => (
-              <button
-                key={type}
-                onClick={() => onFilterChange('type', type)}
-                className={`px-4 py-2 rounded-lg text-sm font-medium transition-all duration-200 ${
-                  activeFilters.type === type
-                    ? 'bg-gradient-to-r from-purple-500 to-cyan-500 text-white shadow-lg scale-105'
-                    : isDarkMode
-                    ? 'bg-gray-700 text-gray-300 hover:bg-gray-600'
-                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
-                }`}
-              >
-                {type}
-              </button>
-            ))}
-          </div>
-        </div>
+          return (
+            <div key={facet.key} className="text-center">
+              <h4 id={`facet-${facet.key}`} className="text-sm font-semibold mb-3 text-body">
+                {t(`filters.facets.${facet.key}`)}
+              </h4>
+              <div role="group" aria-labelledby={`facet-${facet.key}`} className="flex flex-wrap justify-center gap-2">
+                <button
+                  onClick={() => onFilterChange(facet.key, [])}
+                  aria-pressed={selected.length === 0}
+                  className={`px-4 py-2 rounded-lg text-sm font-medium transition-all duration-200 ${
+                    selected.length === 0 ? activeClass : inactiveClass
+                  }`}
+                >
+                  {t('filters.all')}
+                </button>
+                {facet.options.map((option) => (
+                  <button
+                    key={option.value}
+                    onClick={() => onFilterChange(
+                      facet.key,
+                      option.selected
+                        ? selected.filter(value => value !== option.value)
+                        : [...selected, option.value]
+                    )}
+                    disabled={option.count === 0 && !option.selected}
+                    aria-pressed={option.selected}
+                    className={`px-4 py-2 rounded-lg text-sm font-medium transition-all duration-200 disabled:opacity-40 disabled:cursor-not-allowed ${
+                      option.selected ? activeClass : inactiveClass
+                    }`}
+                  >
+                    <Highlight
+                      text={optionLabel(facet, option.value)}
+                      ranges={searchTerm ? findMatches(searchTerm, optionLabel(facet, option.value)) : null}
+                    />
+                    <span className={`ms-2 text-xs ${option.selected ? 'text-white/80' : 'text-faint'}`}>
+                      {option.count}
+                    </span>
+                  </button>
+                ))}
+              </div>
+            </div>
+          )
+        })}
+      </div>
 
-        {/* Complexity Filters */}
-        <div className="text-center">
-          <h4 className={`text-sm font-semibold mb-3 ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
-            Complexity
-          </h4>
-          <div className="flex flex-wrap justify-center gap-2">
-            {complexities.map((complexity) => (
-              <button
-                key={complexity}
-                onClick={() => onFilterChange('complexity', complexity)}
-                className={`px-4 py-2 rounded-lg text-sm font-medium transition-all duration-200 ${
-                  activeFilters.complexity === complexity
-                    ? 'bg-gradient-to-r from-purple-500 to-cyan-500 text-white shadow-lg scale-105'
-                    : isDarkMode
-                    ? 'bg-gray-700 text-gray-300 hover:bg-gray-600'
-                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
-                }`}
-              >
-                {complexity}
-              </button>
-            ))}
-          </div>
-        </div>
+      {/* Sort Order */}
+      <div className="flex justify-center items-center gap-3">
+        <label htmlFor="project-sort" className="text-sm font-semibold text-body">
+          {t('filters.sortBy')}
+        </label>
+        <select
+          id="project-sort"
+          value={sortMode}
+          onChange={(e) => onSortChange(e.target.value)}
+          className="px-4 py-2 rounded-lg border text-sm bg-field border-line-strong text-fg focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all duration-200"
+        >
+          {sortModes.map((mode) => (
+            <option key={mode} value={mode}>
+              {t(`filters.sortModes.${mode}`)}
+            </option>
+          ))}
+        </select>
       </div>
 
-      {/* Results Count */}
+      {/* Results Count, announced to screen readers as filters and search change */}
       <div className="text-center">
-        <p className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
-          Showing {projectCount} project{projectCount !== 1 ? 's' : ''}
+        <p role="status" className="text-sm text-muted">
+          {t('filters.count', { count: projectCount })}{searchTerm && sortMode === 'relevance' && t('filters.bestMatches')}
         </p>
       </div>
 
       {/* Clear Filters */}
-      {(activeFilters.category !== 'All' || activeFilters.type !== 'All' || activeFilters.complexity !== 'All' || searchTerm) && (
+      {hasActiveFilters && (
         <div className="text-center">
           <button
-            onClick={() => {
-              onFilterChange('category', 'All')
-              onFilterChange('type', 'All')
-              onFilterChange('complexity', 'All')
-              onSearchChange('')
-            }}
-            className={`px-4 py-2 text-sm ${
-              isDarkMode ? 'text-gray-400 hover:text-white' : 'text-gray-600 hover:text-gray-900'
-            } transition-colors duration-200`}
+            onClick={onClearFilters}
+            className="px-4 py-2 text-sm text-muted hover:text-fg transition-colors duration-200"
           >
-            Clear all filters
+            {t('filters.clear')}
           </button>
         </div>
       )}
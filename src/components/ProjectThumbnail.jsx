@@ -0,0 +1,75 @@
+import React from 'react'
+import thumbnails from 'virtual:thumbnails'
+import { useI18n } from '../lib/i18n'
+import { THUMBNAIL_FORMATS, THUMBNAIL_SIZES, thumbnailPath, thumbnailSrcSet } from '../lib/thumbnails'
+
+// What fills a project card's thumbnail area: the project's `thumbnail` image as AVIF/WebP
+// over its blurred placeholder, the live site scaled down in an iframe for projects that opt
+// in with `liveThumbnail`, or otherwise a placeholder naming the site or the repository.
+const ProjectThumbnail = ({ project }) => {
+  const { t } = useI18n()
+  const thumbnail = thumbnails[project.slug]
+
+  if (thumbnail) {
+    const fallback = THUMBNAIL_FORMATS.at(-1)
+    return (
+      <div className="absolute inset-0 overflow-hidden">
+        <div
+          aria-hidden="true"
+          className="absolute inset-0 bg-cover bg-top blur-lg scale-110"
+          style={{ backgroundImage: `url(${thumbnail.placeholder})` }}
+        />
+        <picture>
+          {THUMBNAIL_FORMATS.slice(0, -1).map(format => (
+            <source key={format} type={`image/${format}`} srcSet={thumbnailSrcSet(project, thumbnail.widths, format)} sizes={THUMBNAIL_SIZES} />
+          ))}
+          <img
+            src={thumbnailPath(project, thumbnail.widths[0], fallback)}
+            srcSet={thumbnailSrcSet(project, thumbnail.widths, fallback)}
+            sizes={THUMBNAIL_SIZES}
+            width={thumbnail.width}
+            height={thumbnail.height}
+            alt=""
+            loading="lazy"
+            decoding="async"
+            className="relative w-full h-full object-cover object-top"
+          />
+        </picture>
+      </div>
+    )
+  }
+
+  if (project.liveThumbnail) {
+    // Pinned to the left so it scales the same way in right-to-left layouts
+    return (
+      <iframe
+        src={project.liveUrl}
+        title={t('projects.thumbnailTitle', { title: project.title })}
+        tabIndex={-1}
+        aria-hidden="true"
+        className="absolute top-0 left-0 w-full h-full border-0"
+        style={{
+          transform: 'scale(0.25)',
+          transformOrigin: 'top left',
+          width: '400%',
+          height: '400%',
+          pointerEvents: 'none',
+          contain: 'layout style'
+        }}
+        loading="lazy"
+        sandbox="allow-same-origin"
+      />
+    )
+  }
+
+  return (
+    <div className="w-full h-full flex items-center justify-center">
+      <div className="text-center">
+        <span className="text-4xl mb-2 block">{project.liveUrl ? '🌐' : '📁'}</span>
+        <span className="text-sm text-muted">{project.liveUrl ? new URL(project.liveUrl).host : t('projects.repository')}</span>
+      </div>
+    </div>
+  )
+}
+
+export default ProjectThumbnail
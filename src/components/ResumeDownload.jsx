@@ -0,0 +1,56 @@
+import React from 'react'
+import { projects, resumeModified } from 'virtual:content'
+import { useI18n } from '../lib/i18n'
+import { usePersistentState } from '../lib/storage'
+import { downloadResume } from '../lib/contact'
+import { RESUME_FORMATS, isResumeFormat, resumeUpdated } from '../lib/resume'
+
+// Format picker and download button for the résumé that plugins/resume builds. The chosen
+// format is remembered, and the date shown is the one printed on the résumé itself.
+const ResumeDownload = () => {
+  const { t, formatDate } = useI18n()
+  const [format, setFormat] = usePersistentState('portfolio:resume-format', RESUME_FORMATS[0], isResumeFormat)
+
+  return (
+    <div className="flex flex-col items-center gap-6">
+      <fieldset className="flex flex-wrap justify-center gap-2">
+        <legend className="sr-only">{t('resume.format')}</legend>
+        {RESUME_FORMATS.map(option => (
+          <label
+            key={option}
+            className="cursor-pointer px-4 py-2 rounded-full border text-sm font-medium transition-all duration-300 border-line-strong text-body hover:border-purple-400 has-[:checked]:border-purple-500 has-[:checked]:bg-purple-500/10 has-[:checked]:text-fg has-[:focus-visible]:ring-2 has-[:focus-visible]:ring-purple-500"
+          >
+            <input
+              type="radio"
+              name="resume-format"
+              value={option}
+              checked={format === option}
+              onChange={() => setFormat(option)}
+              className="sr-only"
+            />
+            {t(`resume.formats.${option}`)}
+          </label>
+        ))}
+      </fieldset>
+
+      <div className="flex flex-col sm:flex-row gap-4 justify-center items-center">
+        <button
+          onClick={() => downloadResume(format)}
+          className="group px-8 py-4 bg-gradient-to-r from-purple-600 to-cyan-600 rounded-full text-white font-semibold hover:scale-105 transition-all duration-300 shadow-lg hover:shadow-purple-500/25 flex items-center space-x-3 rtl:space-x-reverse"
+        >
+          <span>📥</span>
+          <span>{t('resume.download', { format: t(`resume.formats.${format}`) })}</span>
+          <div className="w-0 group-hover:w-6 transition-all duration-300 overflow-hidden">
+            <span className="inline-block rtl:-scale-x-100">→</span>
+          </div>
+        </button>
+        <div className="text-sm text-muted flex items-center space-x-2 rtl:space-x-reverse">
+          <span>📊</span>
+          <span>{t('resume.updated', { date: formatDate(resumeUpdated(projects, resumeModified)) })}</span>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ResumeDownload
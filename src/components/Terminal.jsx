@@ -0,0 +1,145 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react'
+import { createCommands, runCommandLine, completeCommandLine } from '../lib/terminal'
+
+const PROMPT = '$'
+
+const TONE_CLASS = {
+  command: 'text-green-600 dark:text-green-400',
+  output: 'text-body',
+  error: 'text-red-600 dark:text-red-400'
+}
+
+const Terminal = ({ intro, context }) => {
+  const [entries, setEntries] = useState([])
+  const [input, setInput] = useState('')
+  const [history, setHistory] = useState([])
+  const [historyIndex, setHistoryIndex] = useState(null)
+  const inputRef = useRef(null)
+  const outputRef = useRef(null)
+
+  const commands = useMemo(() => createCommands(context), [context])
+
+  // Keep the latest output in view
+  useEffect(() => {
+    if (outputRef.current) outputRef.current.scrollTop = outputRef.current.scrollHeight
+  }, [entries])
+
+  const print = (lines, tone = 'output') => {
+    setEntries(prev => [...prev, ...lines.map(text => ({ text, tone }))])
+  }
+
+  const submit = () => {
+    const line = input.trim()
+    setInput('')
+    setHistoryIndex(null)
+
+    if (!line) {
+      print([`${PROMPT} `], 'command')
+      return
+    }
+
+    const nextHistory = [...history, line]
+    setHistory(nextHistory)
+
+    const result = runCommandLine(commands, line, { history: nextHistory })
+    if (result.clear) {
+      setEntries([])
+      return
+    }
+    print([`${PROMPT} ${line}`], 'command')
+    print(result.output, result.error ? 'error' : 'output')
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault()
+      submit()
+    } else if (e.key === 'Tab') {
+      // Only trap Tab while there's something to complete, so keyboard users can still leave
+      if (!input) return
+      e.preventDefault()
+      const { line, candidates } = completeCommandLine(commands, input)
+      setInput(line)
+      if (candidates.length > 1) {
+        print([`${PROMPT} ${input}`], 'command')
+        print([candidates.join('  ')])
+      }
+    } else if (e.key === 'ArrowUp') {
+      if (history.length === 0) return
+      e.preventDefault()
+      const index = historyIndex === null ? history.length - 1 : Math.max(0, historyIndex - 1)
+      setHistoryIndex(index)
+      setInput(history[index])
+    } else if (e.key === 'ArrowDown') {
+      if (historyIndex === null) return
+      e.preventDefault()
+      const index = historyIndex + 1
+      if (index >= history.length) {
+        setHistoryIndex(null)
+        setInput('')
+      } else {
+        setHistoryIndex(index)
+        setInput(history[index])
+      }
+    } else if (e.key === 'l' && e.ctrlKey) {
+      e.preventDefault()
+      setEntries([])
+    }
+  }
+
+  // A shell reads left to right in English whatever the page language
+  return (
+    <div
+      lang="en"
+      dir="ltr"
+      className="bg-sunken border-line border rounded-lg p-4 font-mono text-sm text-left"
+      onClick={() => {
+        // Don't steal a text selection the visitor is making
+        if (!window.getSelection()?.toString()) inputRef.current?.focus()
+      }}
+    >
+      <div className="flex items-center mb-2">
+        <div className="w-3 h-3 rounded-full bg-red-500 mr-2"></div>
+        <div className="w-3 h-3 rounded-full bg-yellow-500 mr-2"></div>
+        <div className="w-3 h-3 rounded-full bg-green-500 mr-2"></div>
+      </div>
+
+      <div ref={outputRef} className="max-h-64 overflow-y-auto" role="log" aria-live="polite" aria-label="Terminal output">
+        <div className={TONE_CLASS.command}>
+          {PROMPT} {intro}
+        </div>
+        <div className={TONE_CLASS.output}>
+          Welcome! Type <span className={TONE_CLASS.command}>help</span> to see what you can do here.
+        </div>
+        {entries.map((entry, index) => (
+          <div key={index} className={`${TONE_CLASS[entry.tone]} whitespace-pre-wrap break-words`}>
+            {entry.text || ' '}
+          </div>
+        ))}
+      </div>
+
+      <div className={`flex items-center ${TONE_CLASS.command}`}>
+        <span aria-hidden="true">{PROMPT}&nbsp;</span>
+        <input
+          ref={inputRef}
+          type="text"
+          value={input}
+          onChange={(e) => {
+            setInput(e.target.value)
+            setHistoryIndex(null)
+          }}
+          onKeyDown={handleKeyDown}
+          aria-label="Terminal command"
+          autoComplete="off"
+          autoCapitalize="off"
+          autoCorrect="off"
+          spellCheck="false"
+          placeholder="help"
+          className="flex-1 bg-transparent outline-none border-0 p-0 text-fg placeholder-faint"
+        />
+      </div>
+    </div>
+  )
+}
+
+export default Terminal
@@ -0,0 +1,29 @@
+import React from 'react'
+import { THEME_PREFERENCES, themeIcon, useTheme } from '../lib/theme'
+import { useI18n } from '../lib/i18n'
+
+// Native select, so it works with the keyboard and uses the phone's picker on mobile
+const ThemeSwitcher = ({ className = '' }) => {
+  const { t } = useI18n()
+  const { preference, setTheme } = useTheme()
+
+  return (
+    <label className={`relative inline-flex items-center ${className}`}>
+      <span className="sr-only">{t('theme.label')}</span>
+      <select
+        value={preference}
+        onChange={(e) => setTheme(e.target.value)}
+        className="appearance-none ps-3 pe-8 py-2 rounded-full border border-line bg-sunken text-sm text-body hover:text-fg cursor-pointer transition-colors duration-300 focus:outline-none focus:ring-2 focus:ring-purple-500"
+      >
+        {THEME_PREFERENCES.map((id) => (
+          <option key={id} value={id}>
+            {themeIcon(id)} {t(`theme.options.${id}`)}
+          </option>
+        ))}
+      </select>
+      <span aria-hidden="true" className="pointer-events-none absolute end-3 text-xs text-muted">▾</span>
+    </label>
+  )
+}
+
+export default ThemeSwitcher
@@ -0,0 +1,31 @@
+import { StrictMode } from 'react'
+import { prerenderToNodeStream } from 'react-dom/static'
+import * as content from 'virtual:content'
+import App from './App.jsx'
+import { setServerLocation } from './lib/router'
+import { listPages } from './lib/routes'
+import { getHeadTags, getPageMeta, injectHeadTags } from './lib/seo'
+
+// Pages to prerender. Section anchors ("/#about") are part of the home page.
+export const paths = listPages(content)
+  .map(page => page.path)
+  .filter(path => !path.includes('#'))
+
+// Render one page into the client build's index.html: its markup, waiting for lazy routes and
+// Suspense boundaries to resolve, and its own title, meta tags and structured data
+export const render = async (path, template) => {
+  setServerLocation(path)
+  const { prelude } = await prerenderToNodeStream(
+    <StrictMode>
+      <App />
+    </StrictMode>
+  )
+
+  const decoder = new TextDecoder()
+  let html = ''
+  for await (const chunk of prelude) html += decoder.decode(chunk, { stream: true })
+  html += decoder.decode()
+
+  const head = getHeadTags(getPageMeta({ pathname: path }, content), content)
+  return injectHeadTags(template, head).replace('<div id="root"></div>', () => `<div id="root">${html}</div>`)
+}
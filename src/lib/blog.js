@@ -0,0 +1,28 @@
+import { slugify } from '../../plugins/content/slug'
+
+// URL helpers and derived data for the blog. Posts arrive from the content plugin newest first.
+
+export const postPath = (post) => `/blog/${post.slug}`
+
+export const tagPath = (tag) => `/blog/tags/${slugify(tag)}`
+
+// Every tag with its slug and post count, most used first
+export const getTags = (posts) => {
+  const counts = new Map()
+  posts.forEach(post => post.tags.forEach(tag => counts.set(tag, (counts.get(tag) ?? 0) + 1)))
+
+  return [...counts]
+    .map(([name, count]) => ({ name, slug: slugify(name), count }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+}
+
+// The posts either side of `slug` in date order
+export const getAdjacentPosts = (posts, slug) => {
+  const index = posts.findIndex(post => post.slug === slug)
+  if (index === -1) return { newer: null, older: null }
+
+  return {
+    newer: posts[index - 1] ?? null,
+    older: posts[index + 1] ?? null
+  }
+}
@@ -0,0 +1,162 @@
+import { buildCalendar } from './ics.js'
+
+// Discovery call booking. Open slots come from the availability config in
+// src/content/availability.json: working hours per weekday in its own time zone, the call
+// length, a buffer between calls, minimum notice, how far ahead calls can be booked, and
+// blocked dates. The booking widget and the contact endpoint (server/contact) both use
+// this, so a slot the widget offers is one the endpoint accepts.
+// Nothing records bookings, so a booking is a request: the owner confirms it by email, and
+// blocks the time in availability.json so nobody else picks it.
+
+export const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+
+const MINUTE = 60 * 1000
+const DAY = 24 * 60 * MINUTE
+
+// Minutes `timeZone` is ahead of UTC at `date`
+const offsetMinutes = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    }).formatToParts(date).map(part => [part.type, Number(part.value)])
+  )
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute)
+  return Math.round((wallClock - date.getTime()) / MINUTE)
+}
+
+// The moment the clocks in `timeZone` show `date` ("YYYY-MM-DD") at `time` ("HH:MM").
+// The second pass settles times close to a daylight saving change.
+export const zonedTime = (date, time, timeZone) => {
+  const wallClock = Date.parse(`${date}T${time}:00Z`)
+  const first = wallClock - offsetMinutes(new Date(wallClock), timeZone) * MINUTE
+  return new Date(wallClock - offsetMinutes(new Date(first), timeZone) * MINUTE)
+}
+
+// "YYYY-MM-DD" for `date` as seen in `timeZone`
+export const dateIn = (date, timeZone) =>
+  new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date)
+
+const addDays = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY).toISOString().slice(0, 10)
+
+const weekday = (date) => WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()]
+
+export const isTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value })
+    return true
+  } catch {
+    return false
+  }
+}
+
+// Every bookable start time from `now` to the end of the booking window, earliest first.
+// Calls start every meetingMinutes + bufferMinutes within each block of working hours.
+export const listSlots = (availability, now = new Date()) => {
+  const { timeZone, meetingMinutes, bufferMinutes, minimumNoticeHours, bookingWindowDays, workingHours, blockedDates } = availability
+  const earliest = now.getTime() + minimumNoticeHours * 60 * MINUTE
+  const today = dateIn(now, timeZone)
+  const slots = []
+
+  for (let offset = 0; offset < bookingWindowDays; offset++) {
+    const date = addDays(today, offset)
+    if (blockedDates.includes(date)) continue
+
+    for (const range of workingHours[weekday(date)]) {
+      const end = zonedTime(date, range.end, timeZone).getTime()
+      for (let start = zonedTime(date, range.start, timeZone).getTime(); start + meetingMinutes * MINUTE <= end; start += (meetingMinutes + bufferMinutes) * MINUTE) {
+        if (start >= earliest) slots.push(new Date(start))
+      }
+    }
+  }
+
+  return slots
+}
+
+export const slotEnd = (availability, start) => new Date(start.getTime() + availability.meetingMinutes * MINUTE)
+
+// A booking request: who, what about, and which slot (an ISO start time). `timeZone` is
+// the visitor's, so the owner can see what time it is for them; `uid` identifies the
+// calendar event, the same on both sides' invites.
+export const TOPIC_MAX_LENGTH = 500
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const UID_PATTERN = /^[\w.-]{8,100}@[\w.-]{1,100}$/
+
+const text = (value) => typeof value === 'string' ? value.trim() : ''
+
+export const normalizeBooking = (input = {}) => ({
+  name: text(input.name),
+  email: text(input.email),
+  topic: text(input.topic),
+  start: text(input.start),
+  timeZone: text(input.timeZone),
+  uid: text(input.uid)
+})
+
+// { name: 'required', start: 'unavailable', ... } for each field with a problem, empty when valid
+export const validateBooking = (booking, availability, now = new Date()) => {
+  const errors = {}
+
+  if (!booking.name) errors.name = 'required'
+  else if (booking.name.length > 100) errors.name = 'tooLong'
+
+  if (!booking.email) errors.email = 'required'
+  else if (booking.email.length > 254 || !EMAIL_PATTERN.test(booking.email)) errors.email = 'invalid'
+
+  if (booking.topic.length > TOPIC_MAX_LENGTH) errors.topic = 'tooLong'
+
+  const start = Date.parse(booking.start)
+  if (!booking.start) errors.start = 'required'
+  else if (!listSlots(availability, now).some(slot => slot.getTime() === start)) errors.start = 'unavailable'
+
+  if (!isTimeZone(booking.timeZone)) errors.timeZone = 'invalid'
+  if (!UID_PATTERN.test(booking.uid)) errors.uid = 'invalid'
+
+  return errors
+}
+
+// "Monday, 19 October 2026, 10:00–10:30 (Asia/Karachi)"
+export const formatSlot = (availability, start, timeZone, locale = 'en-GB') => {
+  const end = slotEnd(availability, start)
+  const day = start.toLocaleDateString(locale, { timeZone, weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' })
+  const time = (date) => date.toLocaleTimeString(locale, { timeZone, hour: '2-digit', minute: '2-digit' })
+  return `${day}, ${time(start)}–${time(end)} (${timeZone})`
+}
+
+// The calendar invite for a valid booking. The site owner organizes, the visitor attends.
+// It stays tentative until the owner confirms the call.
+export const bookingInvite = (booking, { availability, profile }) => {
+  const start = new Date(booking.start)
+  return buildCalendar({
+    productId: `-//${profile.name}//Portfolio booking//EN`,
+    status: 'TENTATIVE',
+    uid: booking.uid,
+    start,
+    end: slotEnd(availability, start),
+    summary: `Discovery call: ${profile.name} and ${booking.name}`,
+    description: booking.topic || undefined,
+    organizer: { name: profile.name, email: profile.email },
+    attendees: [{ name: booking.name, email: booking.email }]
+  })
+}
+
+// A plain-text summary for the site owner, with the time on both sides
+export const formatBooking = (booking, availability) => {
+  const start = new Date(booking.start)
+  return [
+    `Discovery call request from ${booking.name} <${booking.email}>`,
+    'Reply to confirm it or suggest another time, and block the slot in availability.json.',
+    '',
+    `Your time: ${formatSlot(availability, start, availability.timeZone)}`,
+    `Their time: ${formatSlot(availability, start, booking.timeZone)}`,
+    '',
+    'Topic:',
+    booking.topic || '(none given)'
+  ].join('\n')
+}
@@ -0,0 +1,82 @@
+import { profile, site, availability } from 'virtual:content'
+import { formatInquiry } from './inquiry'
+import { formatBooking } from './booking'
+import { businessCardPath } from './vcard'
+import { resumePath } from './resume'
+
+// Contact links and actions built from the profile, shared by the page, command palette and terminal
+
+export const emailUrl = `mailto:${profile.email}`
+export const phoneUrl = `tel:${profile.phone}`
+export const phoneLabel = profile.phoneDisplay
+export const whatsappUrl = `https://wa.me/${profile.phone.replace(/\D/g, '')}?text=${encodeURIComponent(site.whatsappMessage)}`
+
+export const openExternal = (url) => window.open(url, '_blank')
+
+// A pre-filled email with the inquiry's summary, for when the contact endpoint can't be reached.
+// Attachments can't go in a mailto: link, the visitor has to add them in their email app.
+export const inquiryMailtoUrl = (inquiry) => {
+  const subject = `Project inquiry from ${inquiry.name}`
+  return `${emailUrl}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(formatInquiry(inquiry))}`
+}
+
+// The same for a booking, when the endpoint couldn't take it
+export const bookingMailtoUrl = (booking) => {
+  const subject = `Discovery call request from ${booking.name}`
+  return `${emailUrl}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(formatBooking(booking, availability))}`
+}
+
+// The contact endpoint (server/contact). Served from the same origin unless the build says otherwise.
+const CONTACT_ENDPOINT = import.meta.env.VITE_CONTACT_ENDPOINT || '/api/contact'
+
+// Posts a submission of the given kind (see server/contact/kinds.js) and resolves to one of
+//   { status: 'sent' }
+//   { status: 'invalid', fields }       fields is { name: 'required', ... }
+//   { status: 'rateLimited', retryAfter }
+//   { status: 'failed' }                the endpoint answered but couldn't deliver the message
+//   { status: 'unreachable' }           no endpoint answered, e.g. offline or a static-only host
+const send = async (kind, submission) => {
+  let response, result
+  try {
+    response = await fetch(CONTACT_ENDPOINT, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...submission, kind })
+    })
+    result = await response.json()
+  } catch {
+    // Network errors, and hosts that answer with an HTML error page instead of the endpoint
+    return { status: 'unreachable' }
+  }
+
+  if (response.ok) return { status: 'sent' }
+  if (result.error === 'invalid') return { status: 'invalid', fields: result.fields }
+  if (result.error === 'rateLimited') return { status: 'rateLimited', retryAfter: result.retryAfter }
+  return { status: 'failed' }
+}
+
+// A project inquiry (src/lib/inquiry.js)
+export const sendInquiry = (inquiry) => send('inquiry', inquiry)
+
+// A discovery call booking (src/lib/booking.js)
+export const sendBooking = (booking) => send('booking', booking)
+
+export const copyEmail = () => navigator.clipboard.writeText(profile.email)
+
+const download = (href, fileName) => {
+  const link = document.createElement('a')
+  link.href = href
+  link.download = fileName
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+}
+
+const fileBaseName = profile.name.replace(/\s+/g, '-')
+
+// One of RESUME_FORMATS, built by plugins/resume
+export const downloadResume = (format) => download(resumePath(profile, format), `${fileBaseName}-Resume.${format}`)
+
+// The vCard from plugins/business-card, to add to the visitor's address book
+export const vcardFileName = `${fileBaseName}.vcf`
+export const saveContact = () => download(businessCardPath.vcard, vcardFileName)
@@ -0,0 +1,19 @@
+// Formatting for the "YYYY-MM-DD" dates used in content files.
+// Dates are treated as UTC so they don't shift by a day in western timezones.
+
+const toDate = (value) => new Date(`${value}T00:00:00Z`)
+
+export const formatMonth = (value, locale = 'en-US') =>
+  toDate(value).toLocaleDateString(locale, { month: 'short', year: 'numeric', timeZone: 'UTC' })
+
+// JSON Resume dates may stop at the month or the year: "2022-05" is "May 2022", "2022" stays "2022"
+export const formatPartialDate = (value, locale = 'en-US') => value.length === 4
+  ? value
+  : formatMonth(`${value.slice(0, 7)}-01`, locale)
+
+export const formatDate = (value, locale = 'en-US') =>
+  toDate(value).toLocaleDateString(locale, { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' })
+
+// "Mar 2024 – Jul 2024", or "Nov 2024 – Present" for ongoing work
+export const formatDateRange = (start, end, { locale = 'en-US', present = 'Present' } = {}) =>
+  `${formatPartialDate(start, locale)} – ${end ? formatPartialDate(end, locale) : present}`
@@ -0,0 +1,75 @@
+import { useEffect, useRef } from 'react'
+
+const FOCUSABLE = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  'iframe',
+  '[tabindex]:not([tabindex="-1"])'
+].join(', ')
+
+// Focusable elements inside `container` that are actually shown
+const getFocusable = (container) => [...container.querySelectorAll(FOCUSABLE)]
+  .filter(element => element.tabIndex >= 0 && element.getClientRects().length > 0)
+
+// Modal dialog behaviour for the element in `ref` while `isOpen`, following the WAI-ARIA
+// dialog pattern: focus moves into it, Tab and Shift+Tab stay inside, Escape calls `onClose`,
+// page scroll is locked, and focus goes back to whatever opened it once it closes.
+// The element itself needs role="dialog", aria-modal and tabIndex={-1}.
+export const useModalDialog = (ref, isOpen, onClose) => {
+  const onCloseRef = useRef(onClose)
+  useEffect(() => {
+    onCloseRef.current = onClose
+  })
+
+  useEffect(() => {
+    const dialog = ref.current
+    if (!isOpen || !dialog) return
+
+    const previousFocus = document.activeElement
+    const focusFirst = () => (getFocusable(dialog)[0] ?? dialog).focus()
+
+    const handleKeyDown = (e) => {
+      // Components handle their own keys first and can claim one with preventDefault
+      if (e.defaultPrevented) return
+
+      if (e.key === 'Escape') {
+        e.preventDefault()
+        onCloseRef.current()
+      } else if (e.key === 'Tab') {
+        const focusable = getFocusable(dialog)
+        const first = focusable[0]
+        const last = focusable[focusable.length - 1]
+
+        if (!first) {
+          e.preventDefault()
+        } else if (e.shiftKey && (document.activeElement === first || !dialog.contains(document.activeElement))) {
+          e.preventDefault()
+          last.focus()
+        } else if (!e.shiftKey && document.activeElement === last) {
+          e.preventDefault()
+          first.focus()
+        }
+      }
+    }
+
+    // Catches focus leaving some other way, e.g. tabbing out of a framed page
+    const handleFocusIn = (e) => {
+      if (!dialog.contains(e.target)) focusFirst()
+    }
+
+    focusFirst()
+    document.body.classList.add('modal-open')
+    document.addEventListener('keydown', handleKeyDown)
+    document.addEventListener('focusin', handleFocusIn)
+
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown)
+      document.removeEventListener('focusin', handleFocusIn)
+      document.body.classList.remove('modal-open')
+      previousFocus?.focus?.({ preventScroll: true })
+    }
+  }, [ref, isOpen])
+}
@@ -0,0 +1,33 @@
+import { EMPTY_FILTERS } from './projectFacets'
+
+// Project filter state <-> query string, e.g. "?type=Full+Stack&complexity=Advanced&complexity=Intermediate&q=MongoDB".
+// Each selected value of a facet is its own repeated parameter.
+
+const SEARCH_PARAM = 'q'
+
+// Read filters from a query string. Values that aren't in `options` (e.g. from a stale link) are dropped.
+export const parseFilterParams = (search, options) => {
+  const params = new URLSearchParams(search)
+  const filters = Object.fromEntries(Object.keys(EMPTY_FILTERS).map(key => [
+    key,
+    [...new Set(params.getAll(key))].filter(value => options[key].includes(value))
+  ]))
+
+  return { filters, searchTerm: params.get(SEARCH_PARAM) ?? '' }
+}
+
+// Build the query string for the given state, keeping unrelated params and dropping empty facets
+export const serializeFilterParams = (search, filters, searchTerm) => {
+  const params = new URLSearchParams(search)
+
+  for (const [key, values] of Object.entries(filters)) {
+    params.delete(key)
+    values.forEach(value => params.append(key, value))
+  }
+
+  if (searchTerm) params.set(SEARCH_PARAM, searchTerm)
+  else params.delete(SEARCH_PARAM)
+
+  const query = params.toString()
+  return query ? `?${query}` : ''
+}
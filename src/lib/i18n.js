@@ -0,0 +1,85 @@
+import { createContext, createElement, Fragment, isValidElement, useContext, useEffect, useMemo } from 'react'
+import { usePersistentState } from './storage'
+import { formatDate, formatDateRange } from './dates'
+import en from '../locales/en.json'
+import ur from '../locales/ur.json'
+
+// Interface languages. `intl` is the locale used for dates and plural rules.
+// Adding one takes a catalog in src/locales with the same keys as en.json.
+export const LOCALES = [
+  { code: 'en', name: 'English', dir: 'ltr', intl: 'en-US' },
+  { code: 'ur', name: 'اردو', dir: 'rtl', intl: 'ur-PK' }
+]
+
+export const DEFAULT_LOCALE = 'en'
+
+const CATALOGS = { en, ur }
+
+export const isLocale = (code) => LOCALES.some(locale => locale.code === code)
+
+const getLocale = (code) => LOCALES.find(locale => locale.code === code) ?? LOCALES[0]
+
+// "projects.title" -> catalog.projects.title
+const lookup = (catalog, key) => key.split('.').reduce((node, part) => node?.[part], catalog)
+
+// Fill "{name}" placeholders. Params may be elements (e.g. <strong>), in which case
+// the result is a fragment rather than a string.
+const interpolate = (message, params) => {
+  const parts = message.split(/\{(\w+)\}/).map((part, index) => index % 2 ? params[part] ?? `{${part}}` : part)
+  return parts.some(isValidElement) ? createElement(Fragment, null, ...parts) : parts.join('')
+}
+
+// Everything components need to render in one language: `t` for catalog messages
+// and date formatting in that language. Missing messages fall back to English.
+export const createTranslator = (code) => {
+  const locale = getLocale(code)
+  const plurals = new Intl.PluralRules(locale.intl)
+
+  const t = (key, params = {}) => {
+    let message = lookup(CATALOGS[locale.code], key) ?? lookup(CATALOGS[DEFAULT_LOCALE], key)
+    if (message === undefined) {
+      if (import.meta.env.DEV) console.warn(`Missing message "${key}"`)
+      return key
+    }
+    // Plural messages are { one, other, ... } picked by `count`
+    if (typeof message === 'object') message = message[plurals.select(params.count)] ?? message.other
+
+    return interpolate(message, params)
+  }
+
+  return {
+    locale: locale.code,
+    intl: locale.intl,
+    dir: locale.dir,
+    t,
+    formatDate: (value) => formatDate(value, locale.intl),
+    formatDateRange: (start, end) => formatDateRange(start, end, { locale: locale.intl, present: t('dates.present') }),
+    // Spread onto elements holding untranslated (English) content, so it keeps its own direction
+    sourceLanguage: locale.code === DEFAULT_LOCALE ? {} : { lang: DEFAULT_LOCALE, dir: 'ltr' }
+  }
+}
+
+export const I18nContext = createContext(createTranslator(DEFAULT_LOCALE))
+
+// Holds the visitor's language, remembered across visits and mirrored on <html lang dir>.
+// Like any persistent state it starts from the default so prerendered HTML hydrates cleanly.
+export const I18nProvider = ({ children }) => {
+  const [locale, setLocale] = usePersistentState('portfolio:locale', DEFAULT_LOCALE, isLocale)
+  const value = useMemo(() => ({ ...createTranslator(locale), setLocale }), [locale, setLocale])
+
+  useEffect(() => {
+    document.documentElement.lang = locale
+    document.documentElement.dir = getLocale(locale).dir
+  }, [locale])
+
+  return createElement(I18nContext.Provider, { value }, children)
+}
+
+// { locale, intl, dir, t, formatDate, formatDateRange, sourceLanguage, setLocale }
+// `intl` is the locale to pass to Intl and toLocale*String for anything else
+export const useI18n = () => useContext(I18nContext)
+
+// Apply a content entry's `translations.<locale>` overrides, e.g. a project's Urdu title
+export const localize = (entry, locale) => entry.translations?.[locale]
+  ? { ...entry, ...entry.translations[locale] }
+  : entry
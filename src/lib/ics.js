@@ -0,0 +1,66 @@
+// iCalendar (RFC 5545) files for single events, e.g. booked calls.
+// vCards (src/lib/vcard.js) share the same line format, escaping and folding.
+
+// 20261019T093000Z
+const formatUtc = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+
+export const escapeText = (value) => value
+  .replace(/\\/g, '\\\\')
+  .replace(/\r?\n/g, '\\n')
+  .replace(/([,;])/g, '\\$1')
+
+// Parameter values such as CN are quoted, and can't contain quotes themselves
+const quoteParam = (value) => `"${value.replace(/"/g, "'")}"`
+
+const encoder = new TextEncoder()
+
+// Lines are folded at 75 octets, continuing on the next line after a space. Folding counts
+// bytes rather than characters but never splits one, so non-Latin names stay intact.
+export const fold = (line) => {
+  const lines = []
+  let current = ''
+  let size = 0
+  for (const char of line) {
+    const bytes = encoder.encode(char).length
+    if (size + bytes > 75) {
+      lines.push(current)
+      current = ' '
+      size = 1
+    }
+    current += char
+    size += bytes
+  }
+  return [...lines, current].join('\r\n')
+}
+
+const person = (role, { name, email }, params = []) =>
+  `${role};${[`CN=${quoteParam(name)}`, ...params].join(';')}:mailto:${email}`
+
+// A calendar with one event, as the text of an .ics file. `organizer` and each attendee
+// are { name, email }; `method` is REQUEST for an invitation, and `status` TENTATIVE for an
+// event that hasn't been agreed yet.
+export const buildCalendar = ({ productId, method = 'REQUEST', status = 'CONFIRMED', uid, stamp = new Date(), start, end, summary, description, organizer, attendees = [] }) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  `PRODID:${productId}`,
+  'CALSCALE:GREGORIAN',
+  `METHOD:${method}`,
+  'BEGIN:VEVENT',
+  `UID:${uid}`,
+  `DTSTAMP:${formatUtc(stamp)}`,
+  `DTSTART:${formatUtc(start)}`,
+  `DTEND:${formatUtc(end)}`,
+  `SUMMARY:${escapeText(summary)}`,
+  ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+  person('ORGANIZER', organizer),
+  ...attendees.map(attendee => person('ATTENDEE', attendee, ['ROLE=REQ-PARTICIPANT', 'PARTSTAT=ACCEPTED', 'RSVP=FALSE'])),
+  `STATUS:${status}`,
+  'SEQUENCE:0',
+  'BEGIN:VALARM',
+  'ACTION:DISPLAY',
+  'TRIGGER:-PT15M',
+  `DESCRIPTION:${escapeText(summary)}`,
+  'END:VALARM',
+  'END:VEVENT',
+  'END:VCALENDAR'
+].map(fold).join('\r\n') + '\r\n'
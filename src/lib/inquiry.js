@@ -0,0 +1,143 @@
+// A project inquiry: what the wizard in the contact section collects and the contact endpoint
+// (server/contact) accepts. The fields and rules are shared so both agree on what a valid
+// inquiry is. Errors are codes rather than text; the wizard translates them with
+// `inquiry.errors.<code>`. Option labels live in the catalogs under `inquiry.<field>.<id>`.
+
+export const BUDGETS = ['under1k', '1kTo5k', '5kTo15k', 'over15k', 'unsure']
+export const TIMELINES = ['asap', '1to3Months', '3to6Months', 'flexible']
+
+// The channels offered by the contact cards; anything but email needs a phone number
+export const CHANNELS = ['email', 'whatsapp', 'phone']
+
+// The project type is one of the portfolio's project categories, or this
+export const OTHER_PROJECT_TYPE = 'Other'
+
+export const TEXT_LIMITS = {
+  projectType: 100,
+  details: 5000,
+  name: 100,
+  email: 254,
+  phone: 30
+}
+
+export const ATTACHMENT_LIMITS = {
+  count: 3,
+  bytes: 2 * 1024 * 1024,
+  types: ['application/pdf', 'image/png', 'image/jpeg', 'text/plain', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document']
+}
+
+// The wizard's steps and the fields each one asks for. The last step reviews the lot.
+export const INQUIRY_STEPS = [
+  { id: 'project', fields: ['projectType', 'details'] },
+  { id: 'scope', fields: ['budget', 'timeline'] },
+  { id: 'contact', fields: ['name', 'email', 'channel', 'phone'] },
+  { id: 'attachments', fields: ['attachments'] },
+  { id: 'review', fields: [] }
+]
+
+export const EMPTY_INQUIRY = {
+  projectType: '',
+  details: '',
+  budget: '',
+  timeline: '',
+  name: '',
+  email: '',
+  channel: 'email',
+  phone: '',
+  attachments: []
+}
+
+// Bots fill every field they find, people never see this one
+export const HONEYPOT_FIELD = 'website'
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const PHONE_PATTERN = /^\+?[\d\s().-]{7,}$/
+
+const text = (value) => typeof value === 'string' ? value.trim() : ''
+
+// Decoded size of a base64 string
+const base64Bytes = (data) => Math.floor(data.length * 3 / 4) - (data.endsWith('==') ? 2 : data.endsWith('=') ? 1 : 0)
+
+// Attachments travel as { name, type, data } with base64 `data`
+const normalizeAttachment = (attachment) => ({
+  name: text(attachment?.name),
+  type: text(attachment?.type),
+  data: text(attachment?.data)
+})
+
+// A clean copy of the known fields; anything else in `input` is dropped
+export const normalizeInquiry = (input = {}) => ({
+  ...Object.fromEntries(Object.keys(TEXT_LIMITS).map(field => [field, text(input[field])])),
+  budget: text(input.budget),
+  timeline: text(input.timeline),
+  channel: text(input.channel),
+  attachments: Array.isArray(input.attachments) ? input.attachments.map(normalizeAttachment) : []
+})
+
+const attachmentError = (attachments) => {
+  if (attachments.length > ATTACHMENT_LIMITS.count) return 'tooManyFiles'
+  if (attachments.some(file => !file.name || !ATTACHMENT_LIMITS.types.includes(file.type))) return 'fileType'
+  if (attachments.some(file => !file.data || base64Bytes(file.data) > ATTACHMENT_LIMITS.bytes)) return 'fileTooLarge'
+  return null
+}
+
+// { name: 'required', email: 'invalid', ... } for each field with a problem, empty when valid
+export const validateInquiry = (inquiry) => {
+  const errors = {}
+
+  for (const [field, limit] of Object.entries(TEXT_LIMITS)) {
+    if (inquiry[field].length > limit) errors[field] = 'tooLong'
+  }
+
+  for (const field of ['projectType', 'details', 'name', 'email']) {
+    if (!inquiry[field]) errors[field] = 'required'
+  }
+
+  if (!BUDGETS.includes(inquiry.budget)) errors.budget = 'required'
+  if (!TIMELINES.includes(inquiry.timeline)) errors.timeline = 'required'
+  if (!CHANNELS.includes(inquiry.channel)) errors.channel = 'required'
+
+  if (!errors.email && !EMAIL_PATTERN.test(inquiry.email)) errors.email = 'invalid'
+
+  if (inquiry.channel !== 'email' && !errors.phone) {
+    if (!inquiry.phone) errors.phone = 'required'
+    else if (!PHONE_PATTERN.test(inquiry.phone)) errors.phone = 'invalid'
+  }
+
+  const attachments = attachmentError(inquiry.attachments)
+  if (attachments) errors.attachments = attachments
+
+  return errors
+}
+
+// The errors that belong to one step
+export const stepErrors = (errors, step) => Object.fromEntries(
+  Object.entries(errors).filter(([field]) => step.fields.includes(field))
+)
+
+// English labels for the plain-text summary, which is written for the site owner
+const SUMMARY_LABELS = {
+  budget: { under1k: 'Under $1,000', '1kTo5k': '$1,000–$5,000', '5kTo15k': '$5,000–$15,000', over15k: 'Over $15,000', unsure: 'Not sure yet' },
+  timeline: { asap: 'As soon as possible', '1to3Months': '1–3 months', '3to6Months': '3–6 months', flexible: 'Flexible' },
+  channel: { email: 'Email', whatsapp: 'WhatsApp', phone: 'Phone call' }
+}
+
+// A plain-text summary of a valid inquiry, used for the email and webhook text and the
+// pre-filled email when the endpoint can't be reached
+export const formatInquiry = (inquiry) => {
+  const lines = [
+    `Project type: ${inquiry.projectType}`,
+    `Budget: ${SUMMARY_LABELS.budget[inquiry.budget]}`,
+    `Timeline: ${SUMMARY_LABELS.timeline[inquiry.timeline]}`,
+    '',
+    `Name: ${inquiry.name}`,
+    `Email: ${inquiry.email}`,
+    inquiry.phone ? `Phone: ${inquiry.phone}` : null,
+    `Preferred contact: ${SUMMARY_LABELS.channel[inquiry.channel]}`,
+    inquiry.attachments.length > 0 ? `Attachments: ${inquiry.attachments.map(file => file.name).join(', ')}` : null,
+    '',
+    'Project details:',
+    inquiry.details
+  ]
+  return lines.filter(line => line !== null).join('\n')
+}
@@ -0,0 +1,93 @@
+import { slugify } from '../../plugins/content/slug.js'
+
+// JSON Resume (https://jsonresume.org/schema) is where the profile, work history, education
+// and skills come from: src/content/resume.json. These map it to what the site uses, and the
+// site's content back to a resume.json for other tools. Projects are the exception, they live
+// in src/content/projects with their case studies (scripts/import-resume.js converts them).
+
+export const JSON_RESUME_SCHEMA = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json'
+
+// Where the build publishes the exported resume.json
+export const JSON_RESUME_PATH = '/resume.json'
+
+// Skill bars are 0-100. JSON Resume levels are words, so a skill can set its own `rating`;
+// without one it gets a rating for its level.
+export const SKILL_LEVEL_RATINGS = { Master: 95, Expert: 90, Advanced: 80, Intermediate: 65, Beginner: 40 }
+
+// resume.json properties only the site uses, left out of the export
+const SKILL_EXTENSIONS = ['rating', 'icon', 'color']
+
+const DEFAULT_SKILL = { rating: 50, icon: '💡', color: 'from-purple-400 to-cyan-400' }
+
+export const findProfile = (basics, network) =>
+  basics.profiles?.find(profile => slugify(profile.network ?? '') === slugify(network))
+
+const countryName = (countryCode) => {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'region' }).of(countryCode)
+  } catch {
+    return countryCode
+  }
+}
+
+// "Lahore, Punjab, Pakistan" from whichever of the location's parts are there
+const formatLocation = ({ city, region, countryCode } = {}) =>
+  [city, region, countryCode && countryName(countryCode)].filter(Boolean).join(', ')
+
+// The `profile` the site uses: name, title, contact details and social links.
+// JSON Resume phone numbers are free text; `phone` is the dialable form for tel: and
+// WhatsApp links and `phoneDisplay` is the number as written.
+export const profileFromResume = ({ basics }) => ({
+  name: basics.name,
+  title: basics.label,
+  email: basics.email,
+  phone: basics.phone.replace(/(?!^\+)\D/g, ''),
+  phoneDisplay: basics.phone,
+  location: formatLocation(basics.location),
+  summary: basics.summary,
+  github: findProfile(basics, 'GitHub')?.url,
+  linkedin: findProfile(basics, 'LinkedIn')?.url
+})
+
+// The `skills` the site uses: { name, level (0-100), icon, color }
+export const skillsFromResume = ({ skills = [] }) => skills.map(skill => ({
+  name: skill.name,
+  level: skill.rating ?? SKILL_LEVEL_RATINGS[skill.level] ?? DEFAULT_SKILL.rating,
+  icon: skill.icon ?? DEFAULT_SKILL.icon,
+  color: skill.color ?? DEFAULT_SKILL.color
+}))
+
+const byStartDate = (a, b) => (b.startDate ?? '').localeCompare(a.startDate ?? '')
+
+// Work and education, most recent first, as JSON Resume entries
+export const workFromResume = ({ work = [] }) => [...work].sort(byStartDate)
+export const educationFromResume = ({ education = [] }) => [...education].sort(byStartDate)
+
+const withoutKeys = (entry, keys) => Object.fromEntries(Object.entries(entry).filter(([key]) => !keys.includes(key)))
+
+const toResumeProject = (site, project) => ({
+  name: project.title,
+  description: project.description,
+  ...(project.role ? { roles: [project.role] } : {}),
+  startDate: project.startDate,
+  ...(project.endDate ? { endDate: project.endDate } : {}),
+  url: project.liveUrl ?? `${site.url}/projects/${project.slug}`,
+  keywords: project.technologies,
+  type: 'application'
+})
+
+// The site's data as a JSON Resume document. `resume` is src/content/resume.json as loaded;
+// the site URL and projects come from the rest of the content, and `lastModified` is the
+// résumé's date (src/lib/resume.js).
+export const toJsonResume = ({ resume, site, projects, lastModified }) => ({
+  $schema: JSON_RESUME_SCHEMA,
+  ...withoutKeys(resume, ['$schema', 'meta']),
+  basics: { ...resume.basics, url: site.url },
+  skills: (resume.skills ?? []).map(skill => withoutKeys(skill, SKILL_EXTENSIONS)),
+  projects: projects.map(project => toResumeProject(site, project)),
+  meta: {
+    canonical: `${site.url}${JSON_RESUME_PATH}`,
+    version: 'v1.0.0',
+    lastModified
+  }
+})
@@ -0,0 +1,67 @@
+import { createContext, createElement, useCallback, useContext, useEffect, useMemo, useState } from 'react'
+import { readStorage, writeStorage } from './storage'
+
+// Whether to animate. Until the visitor flips the in-page toggle, the site follows the
+// operating system's reduced motion setting.
+const MOTION_PREFERENCES = ['system', 'reduce', 'full']
+const STORAGE_KEY = 'portfolio:motion'
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)'
+
+const isMotionPreference = (value) => MOTION_PREFERENCES.includes(value)
+
+// Resolve a preference onto <html data-motion="reduce|full">, which App.css uses to stop
+// CSS animations and transitions. Like applyThemePreference it also runs as an inline
+// script before first paint, so it may only use its argument and browser globals.
+export const applyMotionPreference = (preference) => {
+  const reduce = preference === 'system'
+    ? window.matchMedia('(prefers-reduced-motion: reduce)').matches
+    : preference === 'reduce'
+  document.documentElement.dataset.motion = reduce ? 'reduce' : 'full'
+  return reduce
+}
+
+export const motionScript = () => `(function () {
+  var preference = 'system';
+  try { preference = JSON.parse(localStorage.getItem(${JSON.stringify(STORAGE_KEY)})) || preference; } catch (error) {}
+  if (${JSON.stringify(MOTION_PREFERENCES)}.indexOf(preference) === -1) preference = 'system';
+  (${applyMotionPreference})(preference);
+})();`
+
+export const MotionContext = createContext({ reduceMotion: false, toggleMotion: () => {} })
+
+// `reduceMotion` is for the effects CSS can't stop on its own: JS-driven animation such as
+// typing and cursor tracking. It starts false for hydration and catches up with what the
+// inline script applied once mounted.
+export const MotionProvider = ({ children }) => {
+  const [preference, setPreference] = useState('system')
+  const [reduceMotion, setReduceMotion] = useState(false)
+
+  useEffect(() => {
+    const stored = readStorage(STORAGE_KEY, 'system')
+    if (isMotionPreference(stored)) setPreference(stored)
+    setReduceMotion(document.documentElement.dataset.motion === 'reduce')
+  }, [])
+
+  useEffect(() => {
+    if (preference !== 'system') return
+
+    const query = window.matchMedia(REDUCED_MOTION_QUERY)
+    const update = () => setReduceMotion(applyMotionPreference('system'))
+    query.addEventListener('change', update)
+    return () => query.removeEventListener('change', update)
+  }, [preference])
+
+  // The toggle always records an explicit choice, which then wins over the OS setting
+  const toggleMotion = useCallback(() => {
+    const next = reduceMotion ? 'full' : 'reduce'
+    setPreference(next)
+    writeStorage(STORAGE_KEY, next)
+    setReduceMotion(applyMotionPreference(next))
+  }, [reduceMotion])
+
+  const value = useMemo(() => ({ reduceMotion, toggleMotion }), [reduceMotion, toggleMotion])
+  return createElement(MotionContext.Provider, { value }, children)
+}
+
+// { reduceMotion, toggleMotion }
+export const useMotion = () => useContext(MotionContext)
@@ -0,0 +1,9 @@
+// What opening a project does, shared by the card thumbnail, the command palette and the
+// terminal: a live preview when the site can be framed, otherwise the live site, the case
+// study or the repository
+export const projectAction = (project) => {
+  if (project.previewable && project.liveUrl) return 'preview'
+  if (project.liveUrl) return 'live'
+  if (project.caseStudy.length > 0) return 'caseStudy'
+  return 'github'
+}
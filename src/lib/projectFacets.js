@@ -0,0 +1,42 @@
+// Faceted filtering for the project grid.
+// Values within a facet are OR-ed, facets are AND-ed together; an empty selection means "All".
+// Facet labels live in the message catalogs under filters.facets.<key>.
+
+export const FACETS = [
+  { key: 'category', field: 'category' },
+  { key: 'type', field: 'type' },
+  { key: 'complexity', field: 'complexity' },
+  { key: 'technology', field: 'technologies' }
+]
+
+export const EMPTY_FILTERS = Object.fromEntries(FACETS.map(facet => [facet.key, []]))
+
+const valuesOf = (project, facet) => [].concat(project[facet.field] ?? [])
+
+const matchesFacet = (project, facet, selected) =>
+  selected.length === 0 || valuesOf(project, facet).some(value => selected.includes(value))
+
+// Does the project pass every active facet, optionally ignoring one of them?
+export const matchesFilters = (project, filters, ignoreKey = null) =>
+  FACETS.every(facet => facet.key === ignoreKey || matchesFacet(project, facet, filters[facet.key]))
+
+// Unique values per facet in first-seen order, e.g. { category: ['Business', ...], ... }
+export const getFacetValues = (projects) => Object.fromEntries(FACETS.map(facet => [
+  facet.key,
+  [...new Set(projects.flatMap(project => valuesOf(project, facet)))]
+]))
+
+// Each option's count is what the grid would show if that option were added to the
+// facet, given the other facets' current selection. Selected options keep their count.
+export const getFacetOptions = (projects, facetValues, filters) => FACETS.map(facet => {
+  const candidates = projects.filter(project => matchesFilters(project, filters, facet.key))
+
+  return {
+    ...facet,
+    options: facetValues[facet.key].map(value => ({
+      value,
+      count: candidates.filter(project => valuesOf(project, facet).includes(value)).length,
+      selected: filters[facet.key].includes(value)
+    }))
+  }
+})
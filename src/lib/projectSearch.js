@@ -0,0 +1,7 @@
+// Field weights for project search: title > tags > technologies > description
+export const PROJECT_SEARCH_FIELDS = {
+  title: 4,
+  tags: 3,
+  technologies: 2,
+  description: 1
+}
@@ -0,0 +1,22 @@
+import { COMPLEXITY_LEVELS } from '../../plugins/content/schema'
+
+// Sort modes for the project grid. "relevance" keeps the incoming order, which is
+// the curated `order` from the content files, or search rank while searching.
+// Labels live in the message catalogs under filters.sortModes.<key>.
+export const SORT_MODES = ['relevance', 'newest', 'updated', 'complexity', 'featured', 'alphabetical']
+
+export const DEFAULT_SORT = 'relevance'
+
+const comparators = {
+  relevance: () => 0,
+  newest: (a, b) => b.startDate.localeCompare(a.startDate),
+  updated: (a, b) => b.updatedAt.localeCompare(a.updatedAt),
+  complexity: (a, b) => COMPLEXITY_LEVELS.indexOf(a.complexity) - COMPLEXITY_LEVELS.indexOf(b.complexity),
+  featured: (a, b) => Number(b.featured) - Number(a.featured),
+  alphabetical: (a, b) => a.title.localeCompare(b.title)
+}
+
+export const isSortMode = (key) => Object.hasOwn(comparators, key)
+
+// Array.prototype.sort is stable, so ties keep their incoming (relevance) order
+export const sortProjects = (projects, mode) => [...projects].sort(comparators[mode] ?? comparators.relevance)
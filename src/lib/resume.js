@@ -0,0 +1,30 @@
+import { slugify } from '../../plugins/content/slug.js'
+
+// The résumé is built by plugins/resume from the profile, skills and projects in
+// src/content, as a PDF and as Markdown and plain text. These are where the files end up
+// and when they last changed, for the download buttons.
+
+export const RESUME_FORMATS = ['pdf', 'md', 'txt']
+
+export const isResumeFormat = (value) => RESUME_FORMATS.includes(value)
+
+// "/resume-moin-khan.pdf"
+export const resumePath = (profile, format) => `/resume-${slugify(profile.name)}.${format}`
+
+// "YYYY-MM-DD" of the latest change to what the résumé is built from: a project's
+// `updatedAt`, or `resumeModified`, the `meta.lastModified` of src/content/resume.json (profile,
+// work history, education and skills).
+export const resumeUpdated = (projects, resumeModified) =>
+  [resumeModified, ...projects.map(project => project.updatedAt)].sort().at(-1)
+
+// Whole years from the earliest job in the work history to `asOf` ("YYYY-MM-DD"), or null
+// without one. Measured to the résumé's date rather than today, so prerendered pages and
+// the résumé agree.
+export const yearsOfExperience = (work, asOf) => {
+  const starts = work.map(job => job.startDate).sort()
+  if (starts.length === 0) return null
+
+  const [year, month = '01'] = starts[0].split('-')
+  const [toYear, toMonth] = asOf.split('-')
+  return Math.floor((Number(toYear) * 12 + Number(toMonth) - (Number(year) * 12 + Number(month))) / 12)
+}
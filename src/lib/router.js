@@ -0,0 +1,98 @@
+import { useSyncExternalStore } from 'react'
+
+// Minimal History API router for the handful of routes this site needs
+
+const NAVIGATE_EVENT = 'portfolio:navigate'
+
+const subscribe = (callback) => {
+  window.addEventListener('popstate', callback)
+  window.addEventListener(NAVIGATE_EVENT, callback)
+  return () => {
+    window.removeEventListener('popstate', callback)
+    window.removeEventListener(NAVIGATE_EVENT, callback)
+  }
+}
+
+// Cache the snapshot so useSyncExternalStore sees a stable object between renders
+let cachedKey = null
+let cachedLocation = null
+
+const getSnapshot = () => {
+  const { pathname, search, hash } = window.location
+  const state = window.history.state
+  const key = `${pathname}${search}${hash}|${JSON.stringify(state)}`
+
+  if (key !== cachedKey) {
+    cachedKey = key
+    cachedLocation = { pathname, search, hash, state: state ?? {} }
+  }
+  return cachedLocation
+}
+
+// Prerendering has no window, so the page being rendered is set with setServerLocation.
+// While hydrating, the client reports the same bare location (no query string or state)
+// so its first render matches the prerendered markup; React then re-renders with the real one.
+let serverLocation = { pathname: '/', search: '', hash: '', state: {} }
+let hydrationLocation = null
+
+export const setServerLocation = (url) => {
+  const { pathname } = new URL(url, 'http://localhost')
+  serverLocation = { pathname, search: '', hash: '', state: {} }
+}
+
+const getServerSnapshot = () => {
+  if (typeof window === 'undefined') return serverLocation
+
+  hydrationLocation ??= { pathname: window.location.pathname, search: '', hash: '', state: {} }
+  return hydrationLocation
+}
+
+export const useLocation = () => useSyncExternalStore(subscribe, getSnapshot, getServerSnapshot)
+
+// Push (or replace) a history entry and notify subscribers.
+// The current scroll position is saved on the entry being left so back/forward can restore it.
+export const navigate = (to, { replace = false, state = {} } = {}) => {
+  if (!replace) {
+    window.history.replaceState({ ...window.history.state, scrollY: window.scrollY }, '')
+  }
+
+  const method = replace ? 'replaceState' : 'pushState'
+  window.history[method](state, '', to)
+  window.dispatchEvent(new Event(NAVIGATE_EVENT))
+}
+
+// A malformed escape such as "%E0" can't be decoded; left as is it matches no slug,
+// so the route shows its not-found page instead of the render throwing
+const decodeParam = (value) => {
+  try {
+    return decodeURIComponent(value)
+  } catch {
+    return value
+  }
+}
+
+// Match a pattern such as "/projects/:slug" against a pathname, returning params or null
+export const matchPath = (pattern, pathname) => {
+  const keys = []
+  const source = pattern.replace(/:(\w+)/g, (_, key) => {
+    keys.push(key)
+    return '([^/]+)'
+  })
+  const match = pathname.match(new RegExp(`^${source}/?$`))
+  if (!match) return null
+
+  return Object.fromEntries(keys.map((key, index) => [key, decodeParam(match[index + 1])]))
+}
+
+// Fill a pattern such as "/projects/:slug" with params, the inverse of matchPath
+export const toPath = (pattern, params) => pattern.replace(/:(\w+)/g, (_, key) => encodeURIComponent(params[key]))
+
+// Resolve a pathname against a list of { name, path } routes, most specific first.
+// Anything unmatched is the "home" route.
+export const matchRoute = (routes, pathname) => {
+  for (const route of routes) {
+    const params = matchPath(route.path, pathname)
+    if (params) return { name: route.name, params }
+  }
+  return { name: 'home', params: {} }
+}
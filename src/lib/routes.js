@@ -0,0 +1,65 @@
+import { toPath } from './router'
+import { getTags } from './blog'
+
+// Sections of the single-page home route, in page order
+export const NAV_SECTIONS = ['Home', 'About', 'Skills', 'Projects', 'Blog', 'Contact']
+
+const latest = (dates) => dates.filter(Boolean).sort().at(-1)
+
+// Pages besides the home route; anything unmatched renders the home sections.
+// `pages` lists each concrete page with its last modification date, for the sitemap.
+export const ROUTES = [
+  {
+    name: 'project',
+    path: '/projects/:slug',
+    pages: ({ projects }) => projects.map(project => ({ params: { slug: project.slug }, lastmod: project.updatedAt }))
+  },
+  {
+    name: 'blog',
+    path: '/blog',
+    pages: ({ posts }) => [{ params: {}, lastmod: latest(posts.map(post => post.updated ?? post.date)) }]
+  },
+  {
+    name: 'blogTag',
+    path: '/blog/tags/:tag',
+    pages: ({ posts }) => getTags(posts).map(tag => ({
+      params: { tag: tag.slug },
+      lastmod: latest(posts.filter(post => post.tags.includes(tag.name)).map(post => post.updated ?? post.date))
+    }))
+  },
+  {
+    name: 'blogPost',
+    path: '/blog/:slug',
+    pages: ({ posts }) => posts.map(post => ({ params: { slug: post.slug }, lastmod: post.updated ?? post.date }))
+  },
+  {
+    // The printable business card; it only changes with the profile, which has no date
+    name: 'card',
+    path: '/card',
+    pages: () => [{ params: {} }]
+  }
+]
+
+// Every page of the site as { path, lastmod }: the home route, its section anchors and each routed page
+export const listPages = (content) => {
+  const routed = ROUTES.flatMap(route => route.pages(content).map(({ params, lastmod }) => ({
+    path: toPath(route.path, params),
+    lastmod
+  })))
+
+  // Sections backed by content change with it; the rest change whenever anything does
+  const siteLastmod = latest(routed.map(page => page.lastmod))
+  const sectionLastmod = {
+    projects: latest(content.projects.map(project => project.updatedAt)),
+    blog: latest(content.posts.map(post => post.updated ?? post.date))
+  }
+
+  return [
+    { path: '/', lastmod: siteLastmod },
+    ...NAV_SECTIONS.slice(1).map(section => {
+      const id = section.toLowerCase()
+      return { path: `/#${id}`, lastmod: sectionLastmod[id] ?? siteLastmod }
+    }),
+    ...routed
+  ]
+}
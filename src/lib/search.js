@@ -0,0 +1,125 @@
+// Small client-side search engine: tokenization, typo tolerance, field weighting and match ranges.
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu
+
+// Split text into lowercase tokens, keeping each token's offset in the original string
+export const tokenize = (text) => [...String(text).matchAll(TOKEN_PATTERN)]
+  .map(match => ({ value: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length }))
+
+// Allowed typos grow with the length of the query token
+const maxTypos = (length) => length < 4 ? 0 : length < 7 ? 1 : 2
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions), bailing out past `limit`
+const editDistance = (a, b, limit) => {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1
+
+  let prevPrev = null
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i)
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    let rowMin = i
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      current[j] = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost)
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], prevPrev[j - 2] + 1)
+      }
+      rowMin = Math.min(rowMin, current[j])
+    }
+    if (rowMin > limit) return limit + 1
+    prevPrev = prev
+    prev = current
+  }
+
+  return prev[b.length]
+}
+
+// How well a query token matches a text token: a quality in (0, 1] and the matched range, or null
+const matchToken = (query, token) => {
+  const q = query.value
+  const t = token.value
+  const typos = maxTypos(q.length)
+
+  if (t === q) return { quality: 1, start: token.start, end: token.end }
+  if (t.startsWith(q)) return { quality: 0.8, start: token.start, end: token.start + q.length }
+  if (typos > 0 && editDistance(q, t, typos) <= typos) {
+    return { quality: 0.6, start: token.start, end: token.end }
+  }
+  if (typos > 0 && t.length > q.length && editDistance(q, t.slice(0, q.length), typos) <= typos) {
+    return { quality: 0.5, start: token.start, end: token.start + q.length }
+  }
+  if (q.length >= 3) {
+    const index = t.indexOf(q)
+    if (index > 0) return { quality: 0.4, start: token.start + index, end: token.start + index + q.length }
+  }
+  return null
+}
+
+// Best quality of each query token against a string, plus every matched range
+const matchText = (queryTokens, text) => {
+  const tokens = tokenize(text)
+  const qualities = []
+  const ranges = []
+
+  for (const query of queryTokens) {
+    let best = 0
+    for (const token of tokens) {
+      const match = matchToken(query, token)
+      if (!match) continue
+      best = Math.max(best, match.quality)
+      ranges.push([match.start, match.end])
+    }
+    qualities.push(best)
+  }
+
+  return { qualities, ranges }
+}
+
+// Ranges in `text` matching `query`, for highlighting text that isn't part of a search index
+export const findMatches = (query, text) => matchText(tokenize(query), text).ranges
+
+// Build a search function over `items`. `fields` maps a field name to its weight;
+// array fields (e.g. tags) are matched per value.
+//
+// search(query) returns [{ item, score, matches }] sorted by score, where `matches`
+// holds highlight ranges: matches.title = [[start, end]], matches.tags = { React: [[0, 4]] }.
+// Every query token must match some field for an item to be included.
+export const createSearch = (items, fields) => (query) => {
+  const queryTokens = tokenize(query)
+  if (queryTokens.length === 0) {
+    return items.map(item => ({ item, score: 0, matches: {} }))
+  }
+
+  const results = []
+
+  items.forEach((item, index) => {
+    const best = queryTokens.map(() => 0)
+    const matches = {}
+
+    for (const [field, weight] of Object.entries(fields)) {
+      const value = item[field]
+      const values = Array.isArray(value) ? value : [value ?? '']
+
+      for (const text of values) {
+        const { qualities, ranges } = matchText(queryTokens, text)
+        qualities.forEach((quality, i) => { best[i] = Math.max(best[i], quality * weight) })
+        if (ranges.length === 0) continue
+
+        if (Array.isArray(value)) {
+          matches[field] = { ...matches[field], [text]: ranges }
+        } else {
+          matches[field] = ranges
+        }
+      }
+    }
+
+    if (best.every(score => score > 0)) {
+      results.push({ item, index, matches, score: best.reduce((sum, score) => sum + score, 0) })
+    }
+  })
+
+  return results
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ item, score, matches }) => ({ item, score, matches }))
+}
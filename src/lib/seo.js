@@ -0,0 +1,274 @@
+import { matchRoute } from './router'
+import { ROUTES } from './routes'
+import { getTags } from './blog'
+
+// Per-page <head> tags and JSON-LD, built from content so the prerender and
+// the client agree. `content` is { site, profile, projects, skills, work, education, posts }.
+
+const absoluteUrl = (site, path) => `${site.url}${path}`
+
+// Open Graph images, rendered at build time by plugins/og-image
+export const OG_IMAGE_SIZE = { width: 1200, height: 630 }
+
+export const ogImagePath = {
+  site: '/og/site.png',
+  project: (project) => `/og/projects/${project.slug}.png`,
+  post: (post) => `/og/blog/${post.slug}.png`
+}
+
+const personId = (site) => `${site.url}/#person`
+
+const organization = (name, url) => ({ '@type': 'Organization', name, ...(url && { url }) })
+
+const personJsonLd = ({ site, profile, skills, work = [], education = [] }) => ({
+  '@type': 'Person',
+  '@id': personId(site),
+  name: profile.name,
+  jobTitle: profile.title,
+  description: profile.summary,
+  url: `${site.url}/`,
+  email: profile.email,
+  telephone: profile.phone,
+  address: { '@type': 'PostalAddress', addressCountry: profile.location },
+  sameAs: [profile.github, profile.linkedin],
+  knowsAbout: skills.map(skill => skill.name),
+  worksFor: work.filter(job => !job.endDate).map(job => organization(job.name, job.url)),
+  alumniOf: education.map(school => organization(school.institution, school.url))
+})
+
+const projectJsonLd = ({ site }, project) => ({
+  '@type': 'SoftwareSourceCode',
+  '@id': absoluteUrl(site, `/projects/${project.slug}`),
+  name: project.title,
+  description: project.description,
+  url: absoluteUrl(site, `/projects/${project.slug}`),
+  codeRepository: project.githubUrl,
+  ...(project.liveUrl && { sameAs: project.liveUrl }),
+  programmingLanguage: project.technologies,
+  keywords: project.tags.join(', '),
+  dateCreated: project.startDate,
+  dateModified: project.updatedAt,
+  image: absoluteUrl(site, ogImagePath.project(project)),
+  author: { '@id': personId(site) }
+})
+
+const projectListJsonLd = (content) => ({
+  '@type': 'ItemList',
+  name: 'Projects',
+  itemListElement: content.projects.map((project, index) => ({
+    '@type': 'ListItem',
+    position: index + 1,
+    item: projectJsonLd(content, project)
+  }))
+})
+
+const postJsonLd = ({ site }, post) => ({
+  '@type': 'BlogPosting',
+  '@id': absoluteUrl(site, `/blog/${post.slug}`),
+  headline: post.title,
+  description: post.description,
+  url: absoluteUrl(site, `/blog/${post.slug}`),
+  datePublished: post.date,
+  dateModified: post.updated ?? post.date,
+  keywords: post.tags.join(', '),
+  ...(post.cover && { image: absoluteUrl(site, post.cover) }),
+  author: { '@id': personId(site) }
+})
+
+// Titles and descriptions for the home page's sections, reached at "/#<section>"
+const sectionMeta = ({ profile, projects, skills, site }) => ({
+  about: {
+    title: `About | ${profile.name}`,
+    description: `${profile.name} is a ${profile.title.toLowerCase()} based in ${profile.location}. ${profile.summary}`
+  },
+  skills: {
+    title: `Skills | ${profile.name}`,
+    description: `Technologies ${profile.name} works with: ${skills.map(skill => skill.name).join(', ')}.`
+  },
+  projects: {
+    title: `Projects | ${profile.name}`,
+    description: `Selected work by ${profile.name}: ${projects.map(project => project.title).join(', ')}.`
+  },
+  blog: {
+    title: `Blog | ${profile.name}`,
+    description: `Write-ups by ${profile.name} on the projects on this site and the problems behind them.`
+  },
+  contact: {
+    title: `Contact | ${profile.name}`,
+    description: `Get in touch with ${profile.name} about your next project by email, phone or WhatsApp.`
+  },
+  home: { title: site.title, description: site.description }
+})
+
+// Title, description, canonical path, Open Graph type and image, and JSON-LD for a location
+export const getPageMeta = ({ pathname, hash = '' }, content) => {
+  const { site, profile, projects, posts } = content
+  const route = matchRoute(ROUTES, pathname)
+  const person = personJsonLd(content)
+  const notFound = {
+    title: `Page not found | ${profile.name}`,
+    description: site.description,
+    path: pathname,
+    type: 'website',
+    image: ogImagePath.site,
+    jsonLd: [person]
+  }
+
+  if (route.name === 'project') {
+    const project = projects.find(p => p.slug === route.params.slug)
+    if (!project) return notFound
+    return {
+      title: `${project.title} | ${profile.name}`,
+      description: project.description,
+      path: `/projects/${project.slug}`,
+      type: 'article',
+      image: ogImagePath.project(project),
+      jsonLd: [projectJsonLd(content, project), person]
+    }
+  }
+
+  if (route.name === 'blogPost') {
+    const post = posts.find(p => p.slug === route.params.slug)
+    if (!post) return notFound
+    return {
+      title: `${post.title} | ${profile.name}`,
+      description: post.description,
+      path: `/blog/${post.slug}`,
+      type: 'article',
+      image: ogImagePath.post(post),
+      publishedTime: post.date,
+      jsonLd: [postJsonLd(content, post), person]
+    }
+  }
+
+  if (route.name === 'blogTag') {
+    const tag = getTags(posts).find(t => t.slug === route.params.tag)
+    if (!tag) return notFound
+    const tagged = posts.filter(post => post.tags.includes(tag.name))
+    return {
+      title: `Posts tagged ${tag.name} | ${profile.name}`,
+      description: `${tag.count} post${tag.count !== 1 ? 's' : ''} by ${profile.name} about ${tag.name}: ${tagged.map(post => post.title).join(', ')}.`,
+      path: `/blog/tags/${tag.slug}`,
+      type: 'website',
+      image: ogImagePath.site,
+      jsonLd: [person]
+    }
+  }
+
+  if (route.name === 'blog') {
+    const { title, description } = sectionMeta(content).blog
+    return {
+      title,
+      description,
+      path: '/blog',
+      type: 'website',
+      image: ogImagePath.site,
+      jsonLd: [{ '@type': 'Blog', name: title, url: absoluteUrl(site, '/blog'), blogPost: posts.map(post => postJsonLd(content, post)) }, person]
+    }
+  }
+
+  if (route.name === 'card') {
+    return {
+      title: `Business card | ${profile.name}`,
+      description: `Contact details for ${profile.name}, ${profile.title}: save the vCard or scan the QR codes.`,
+      path: '/card',
+      type: 'profile',
+      image: ogImagePath.site,
+      jsonLd: [person]
+    }
+  }
+
+  const sectionId = hash.slice(1)
+  const sections = sectionMeta(content)
+  const { title, description } = sections[sectionId] ?? sections.home
+  return {
+    title,
+    description,
+    path: sections[sectionId] && sectionId !== 'home' ? `/#${sectionId}` : '/',
+    type: 'website',
+    image: ogImagePath.site,
+    jsonLd: [person, projectListJsonLd(content)]
+  }
+}
+
+// Search results and link previews cut descriptions off at around 160 characters,
+// at the last word break if there is one
+const truncate = (text, length = 160) => {
+  if (text.length <= length) return text
+
+  const space = text.lastIndexOf(' ', length - 1)
+  return `${text.slice(0, space === -1 ? length - 1 : space)}…`
+}
+
+// The managed <head> tags for a page, as Vite-style { tag, attrs, children } descriptors.
+// Each carries data-page-meta so the client can swap them on navigation.
+export const getHeadTags = (meta, { site, profile }) => {
+  const url = absoluteUrl(site, meta.path)
+  const description = truncate(meta.description)
+  const tags = [
+    { tag: 'title', children: meta.title },
+    { tag: 'meta', attrs: { name: 'description', content: description } },
+    { tag: 'meta', attrs: { name: 'author', content: profile.name } },
+    { tag: 'link', attrs: { rel: 'canonical', href: url } },
+    { tag: 'meta', attrs: { property: 'og:site_name', content: profile.name } },
+    { tag: 'meta', attrs: { property: 'og:title', content: meta.title } },
+    { tag: 'meta', attrs: { property: 'og:description', content: description } },
+    { tag: 'meta', attrs: { property: 'og:type', content: meta.type } },
+    { tag: 'meta', attrs: { property: 'og:url', content: url } },
+    { tag: 'meta', attrs: { property: 'og:image', content: absoluteUrl(site, meta.image) } },
+    { tag: 'meta', attrs: { property: 'og:image:width', content: String(OG_IMAGE_SIZE.width) } },
+    { tag: 'meta', attrs: { property: 'og:image:height', content: String(OG_IMAGE_SIZE.height) } },
+    { tag: 'meta', attrs: { property: 'og:image:alt', content: meta.title } },
+    ...(meta.publishedTime ? [{ tag: 'meta', attrs: { property: 'article:published_time', content: meta.publishedTime } }] : []),
+    { tag: 'meta', attrs: { name: 'twitter:card', content: 'summary_large_image' } },
+    { tag: 'meta', attrs: { name: 'twitter:title', content: meta.title } },
+    { tag: 'meta', attrs: { name: 'twitter:description', content: description } },
+    { tag: 'meta', attrs: { name: 'twitter:image', content: absoluteUrl(site, meta.image) } },
+    {
+      tag: 'script',
+      attrs: { type: 'application/ld+json' },
+      // "<" is escaped so content can never close the script element
+      children: JSON.stringify({ '@context': 'https://schema.org', '@graph': meta.jsonLd }).replace(/</g, '\\u003c')
+    }
+  ]
+
+  return tags.map(tag => ({ ...tag, attrs: { ...tag.attrs, 'data-page-meta': '' } }))
+}
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+// Serialize head tags for static HTML
+const renderHeadTags = (tags) => tags.map(({ tag, attrs, children }) => {
+  const attributes = Object.entries(attrs)
+    .map(([name, value]) => value === '' ? ` ${name}` : ` ${name}="${escapeHtml(value)}"`)
+    .join('')
+  if (tag === 'meta' || tag === 'link') return `<${tag}${attributes} />`
+
+  const body = tag === 'script' ? children : escapeHtml(children)
+  return `<${tag}${attributes}>${body}</${tag}>`
+}).join('\n    ')
+
+// The "<!-- page-meta -->" placeholder in index.html, or the region a previous injection left
+const PAGE_META_REGION = /<!-- page-meta -->(?:[\s\S]*?<!-- \/page-meta -->)?/
+
+// Put a page's head tags into an HTML document, replacing any that are already there
+export const injectHeadTags = (html, tags) => html.replace(
+  PAGE_META_REGION,
+  () => `<!-- page-meta -->\n    ${renderHeadTags(tags)}\n    <!-- /page-meta -->`
+)
+
+// Replace the managed head tags in the live document, after client-side navigation
+export const applyHeadTags = (tags) => {
+  document.head.querySelectorAll('[data-page-meta]').forEach(element => element.remove())
+
+  for (const { tag, attrs, children } of tags) {
+    const element = document.createElement(tag)
+    Object.entries(attrs).forEach(([name, value]) => element.setAttribute(name, value))
+    if (children) element.textContent = children
+    document.head.appendChild(element)
+  }
+}
@@ -0,0 +1,45 @@
+import { useState, useEffect, useRef } from 'react'
+
+// localStorage access that tolerates private mode, disabled storage and corrupt values
+
+export const readStorage = (key, fallback) => {
+  try {
+    const raw = window.localStorage.getItem(key)
+    return raw === null ? fallback : JSON.parse(raw)
+  } catch {
+    return fallback
+  }
+}
+
+export const writeStorage = (key, value) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value))
+  } catch {
+    // Storage is unavailable or full; the value just won't survive a reload
+  }
+}
+
+const alwaysValid = () => true
+
+// useState that is restored from and saved to localStorage.
+// `isValid` guards against values left behind by older versions of the site.
+// It starts from `fallback` so prerendered HTML and the first client render agree,
+// and switches to the stored value once mounted.
+export const usePersistentState = (key, fallback, isValid = alwaysValid) => {
+  const [value, setValue] = useState(fallback)
+  const hasRestored = useRef(false)
+
+  useEffect(() => {
+    if (!hasRestored.current) {
+      hasRestored.current = true
+      const stored = readStorage(key, fallback)
+      if (isValid(stored)) {
+        setValue(stored)
+        return
+      }
+    }
+    writeStorage(key, value)
+  }, [key, value, fallback, isValid])
+
+  return [value, setValue]
+}
@@ -0,0 +1,286 @@
+import { SYSTEM_THEME, THEME_PREFERENCES, isThemePreference } from './theme'
+import { RESUME_FORMATS, isResumeFormat } from './resume'
+
+// Command interpreter behind the hero terminal. It only describes commands; the
+// effects (scrolling, filtering, theming, ...) are handlers passed in from App.
+
+export class CommandError extends Error {}
+
+// Split a command line into words, honouring single and double quotes
+export const parseCommandLine = (line) => {
+  const words = []
+  let current = ''
+  let quote = null
+  let hasWord = false
+
+  for (const char of line) {
+    if (quote) {
+      if (char === quote) quote = null
+      else current += char
+    } else if (char === '"' || char === '\'') {
+      quote = char
+      hasWord = true
+    } else if (/\s/.test(char)) {
+      if (hasWord) words.push(current)
+      current = ''
+      hasWord = false
+    } else {
+      current += char
+      hasWord = true
+    }
+  }
+  if (hasWord) words.push(current)
+
+  return words
+}
+
+const quoteIfNeeded = (word) => /\s/.test(word) ? `"${word}"` : word
+
+const FILTER_FLAGS = {
+  '--category': 'category',
+  '--type': 'type',
+  '--complexity': 'complexity',
+  '--tech': 'technology'
+}
+
+// Build the command table. `context` provides data and handlers:
+// { profile, projects, skills, sections, facetValues, onOpenProject, onScrollToSection,
+//   onFilter(filters, searchTerm), onSetTheme(preference), onDownloadResume(format) }
+// `preference` is one of THEME_PREFERENCES (see src/lib/theme.js), e.g. "dark" or "system".
+export const createCommands = (context) => {
+  const { profile, projects, skills, sections, facetValues } = context
+  const sectionIds = sections.map(section => section.toLowerCase())
+
+  const findProject = (name) => {
+    const project = projects.find(p => p.slug === name || p.title.toLowerCase() === name?.toLowerCase())
+    if (!project) {
+      throw new CommandError(`No such project: ${name ?? ''}. Try "ls projects".`)
+    }
+    return project
+  }
+
+  const commands = {
+    help: {
+      description: 'List available commands',
+      run: () => [
+        'Available commands:',
+        ...Object.entries(commands).map(([name, command]) => `  ${(command.usage ?? name).padEnd(34)}${command.description}`),
+        '',
+        'Tab completes commands and arguments, ↑/↓ walk through history.'
+      ]
+    },
+
+    ls: {
+      usage: 'ls [projects|skills|sections]',
+      description: 'List projects, skills or page sections',
+      complete: () => ['projects', 'skills', 'sections'],
+      run: ([target]) => {
+        if (!target) return ['projects/  skills/  sections/  about  contact  resume']
+        if (target === 'projects') return projects.map(p => `${p.slug.padEnd(24)}${p.title} (${p.type}, ${p.complexity})`)
+        if (target === 'skills') return skills.map(s => `${s.name.padEnd(14)}${'█'.repeat(Math.round(s.level / 10)).padEnd(11)}${s.level}%`)
+        if (target === 'sections') return sectionIds
+        throw new CommandError(`ls: cannot access '${target}': No such directory`)
+      }
+    },
+
+    cat: {
+      usage: 'cat <about|skills|project>',
+      description: 'Print details about me or a project',
+      complete: () => ['about', 'skills', ...projects.map(p => p.slug)],
+      run: ([target]) => {
+        if (!target) throw new CommandError('cat: missing operand. Try "cat about".')
+        if (target === 'about') {
+          return [
+            `${profile.name} — ${profile.title}`,
+            `📍 ${profile.location}`,
+            '',
+            profile.summary,
+            '',
+            `Top skills: ${[...skills].sort((a, b) => b.level - a.level).slice(0, 4).map(s => s.name).join(', ')}`
+          ]
+        }
+        if (target === 'skills') return commands.ls.run(['skills'])
+
+        const project = findProject(target)
+        return [
+          project.title,
+          project.description,
+          '',
+          `Type:         ${project.type}`,
+          `Category:     ${project.category}`,
+          `Complexity:   ${project.complexity}`,
+          `Technologies: ${project.technologies.join(', ')}`,
+          ...(project.liveUrl ? [`Live:         ${project.liveUrl}`] : []),
+          `GitHub:       ${project.githubUrl}`
+        ]
+      }
+    },
+
+    open: {
+      usage: 'open <project>',
+      description: 'Open a project preview or live site',
+      complete: () => projects.map(p => p.slug),
+      run: (args) => {
+        const project = findProject(args.join(' ') || undefined)
+        context.onOpenProject(project)
+        return `Opening ${project.title}...`
+      }
+    },
+
+    cd: {
+      usage: 'cd <section>',
+      description: 'Scroll to a section of the page',
+      complete: () => sectionIds,
+      run: ([target]) => {
+        if (!sectionIds.includes(target)) {
+          throw new CommandError(`cd: no such section: ${target ?? ''}. Sections: ${sectionIds.join(', ')}`)
+        }
+        context.onScrollToSection(target)
+        return `→ ${target}`
+      }
+    },
+
+    filter: {
+      usage: 'filter [--type X] [--tech X] ...',
+      description: 'Filter projects (--category, --type, --complexity, --tech, --search, --clear)',
+      complete: (args) => {
+        const previous = args[args.length - 1]
+        if (FILTER_FLAGS[previous]) return facetValues[FILTER_FLAGS[previous]]
+        return [...Object.keys(FILTER_FLAGS), '--search', '--clear']
+      },
+      run: (args) => {
+        const filters = Object.fromEntries(Object.values(FILTER_FLAGS).map(key => [key, []]))
+        let searchTerm = ''
+
+        for (let i = 0; i < args.length; i++) {
+          const flag = args[i]
+          if (flag === '--clear') continue
+
+          const value = args[i + 1]
+          if (flag === '--search') {
+            searchTerm = value ?? ''
+            i++
+            continue
+          }
+
+          const key = FILTER_FLAGS[flag]
+          if (!key) throw new CommandError(`filter: unknown option ${flag}. Try "help".`)
+          if (!facetValues[key].includes(value)) {
+            throw new CommandError(`filter: invalid ${flag} "${value ?? ''}". Options: ${facetValues[key].join(', ')}`)
+          }
+          filters[key].push(value)
+          i++
+        }
+
+        const count = context.onFilter(filters, searchTerm)
+        return args.length === 0 || args.includes('--clear')
+          ? 'Filters cleared.'
+          : `${count} matching project${count !== 1 ? 's' : ''}. Scrolled to projects.`
+      }
+    },
+
+    theme: {
+      usage: `theme <${THEME_PREFERENCES.join('|')}>`,
+      description: 'Switch the colour theme',
+      complete: () => THEME_PREFERENCES,
+      run: ([preference]) => {
+        if (!isThemePreference(preference)) {
+          throw new CommandError(`theme: expected one of ${THEME_PREFERENCES.join(', ')}`)
+        }
+        context.onSetTheme(preference)
+        return preference === SYSTEM_THEME ? 'Theme follows your system.' : `Theme set to ${preference}.`
+      }
+    },
+
+    contact: {
+      description: 'Show my contact details',
+      run: () => [
+        `Email:    ${profile.email}`,
+        `Phone:    ${profile.phoneDisplay}`,
+        `LinkedIn: ${profile.linkedin}`,
+        `GitHub:   ${profile.github}`,
+        '',
+        'Run "cd contact" to jump to the contact form.'
+      ]
+    },
+
+    resume: {
+      usage: `resume [${RESUME_FORMATS.join('|')}]`,
+      description: 'Download my résumé',
+      complete: () => RESUME_FORMATS,
+      run: ([format = 'pdf']) => {
+        if (!isResumeFormat(format)) {
+          throw new CommandError(`resume: expected one of ${RESUME_FORMATS.join(', ')}`)
+        }
+        context.onDownloadResume(format)
+        return `Downloading résumé (${format})...`
+      }
+    },
+
+    whoami: {
+      description: 'Who is this?',
+      run: () => `${profile.name}, ${profile.title.toLowerCase()}`
+    },
+
+    history: {
+      description: 'Show previously run commands',
+      run: (args, { history }) => history.map((line, index) => `${String(index + 1).padStart(4)}  ${line}`)
+    },
+
+    clear: {
+      description: 'Clear the terminal',
+      run: () => null
+    }
+  }
+
+  return commands
+}
+
+// Run a command line and return { output: string[], error?: true, clear?: true }
+export const runCommandLine = (commands, line, session) => {
+  const [name, ...args] = parseCommandLine(line)
+  if (!name) return { output: [] }
+
+  const command = commands[name]
+  if (!command) return { output: [`command not found: ${name}. Type "help" for a list of commands.`], error: true }
+  if (name === 'clear') return { output: [], clear: true }
+
+  try {
+    const result = command.run(args, session)
+    return { output: [].concat(result ?? []) }
+  } catch (error) {
+    if (!(error instanceof CommandError)) throw error
+    return { output: [error.message], error: true }
+  }
+}
+
+// Tab completion: returns the completed line plus the candidates when it's ambiguous
+export const completeCommandLine = (commands, line) => {
+  const words = parseCommandLine(line)
+  const endsWithSpace = /\s$/.test(line) || line === ''
+  const current = endsWithSpace ? '' : words.pop() ?? ''
+
+  const candidates = words.length === 0
+    ? Object.keys(commands)
+    : commands[words[0]]?.complete?.(words.slice(1)) ?? []
+
+  const matches = candidates.filter(candidate => candidate.toLowerCase().startsWith(current.toLowerCase()))
+  const prefix = [...words.map(quoteIfNeeded)].join(' ')
+  const joinWord = (word) => (prefix ? `${prefix} ` : '') + word
+
+  if (matches.length === 1) {
+    return { line: `${joinWord(quoteIfNeeded(matches[0]))} `, candidates: [] }
+  }
+
+  if (matches.length > 1) {
+    // Extend the current word to the longest prefix all candidates share
+    let common = matches[0]
+    for (const match of matches) {
+      while (!match.toLowerCase().startsWith(common.toLowerCase())) common = common.slice(0, -1)
+    }
+    const word = common.length > current.length ? common : current
+    return { line: joinWord(/\s/.test(word) ? `"${word}` : word), candidates: matches }
+  }
+
+  return { line, candidates: [] }
+}
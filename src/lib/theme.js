@@ -0,0 +1,88 @@
+import { createContext, createElement, useCallback, useContext, useEffect, useMemo, useState } from 'react'
+import { readStorage, writeStorage } from './storage'
+
+// Colour themes. Their colours are the CSS variables in src/index.css; `scheme` is the
+// browser colour scheme (form controls, scrollbars) and decides whether Tailwind's `dark:`
+// variants apply. `color` is the browser UI colour (<meta name="theme-color">).
+export const THEMES = [
+  { id: 'dark', icon: '🌙', scheme: 'dark', color: '#111827' },
+  { id: 'light', icon: '☀️', scheme: 'light', color: '#ffffff' },
+  { id: 'contrast', icon: '◐', scheme: 'dark', color: '#000000' },
+  { id: 'solarized', icon: '🌅', scheme: 'light', color: '#eee8d5' }
+]
+
+// Until the visitor picks a theme, the site follows the operating system
+export const SYSTEM_THEME = 'system'
+export const THEME_PREFERENCES = [SYSTEM_THEME, ...THEMES.map(theme => theme.id)]
+
+const STORAGE_KEY = 'portfolio:theme'
+
+export const isThemePreference = (value) => THEME_PREFERENCES.includes(value)
+
+export const themeIcon = (preference) => preference === SYSTEM_THEME
+  ? '🖥️'
+  : THEMES.find(theme => theme.id === preference).icon
+
+// Resolve a preference and apply it to the document. It runs as an inline script before
+// first paint (see plugins/theme), so it may only use its arguments and browser globals.
+export const applyThemePreference = (preference, themes) => {
+  const matches = (query) => window.matchMedia(query).matches
+  const id = preference !== 'system' ? preference
+    : matches('(prefers-contrast: more)') ? 'contrast'
+    : matches('(prefers-color-scheme: light)') ? 'light'
+    : 'dark'
+  const theme = themes.find(option => option.id === id) || themes[0]
+  const root = document.documentElement
+
+  root.dataset.theme = theme.id
+  root.classList.toggle('dark', theme.scheme === 'dark')
+  root.style.colorScheme = theme.scheme
+  document.querySelector('meta[name="theme-color"]')?.setAttribute('content', theme.color)
+}
+
+// The pre-paint script: read the saved preference and apply it.
+// Semicolons matter here, the next line starts with a parenthesis.
+export const themeScript = () => `(function () {
+  var preference = 'system';
+  try { preference = JSON.parse(localStorage.getItem(${JSON.stringify(STORAGE_KEY)})) || preference; } catch (error) {}
+  if (${JSON.stringify(THEME_PREFERENCES)}.indexOf(preference) === -1) preference = 'system';
+  (${applyThemePreference})(preference, ${JSON.stringify(THEMES)});
+})();`
+
+const SYSTEM_QUERIES = ['(prefers-color-scheme: light)', '(prefers-contrast: more)']
+
+export const ThemeContext = createContext({ preference: SYSTEM_THEME, setTheme: () => {} })
+
+// Holds the visitor's theme preference. The inline script has already applied the saved
+// theme by the time React runs, so this only applies changes: picks from the switcher,
+// and OS changes while following the system. The preference starts as "system" for
+// hydration and catches up with the saved one once mounted.
+export const ThemeProvider = ({ children }) => {
+  const [preference, setPreference] = useState(SYSTEM_THEME)
+
+  useEffect(() => {
+    const stored = readStorage(STORAGE_KEY, SYSTEM_THEME)
+    if (isThemePreference(stored)) setPreference(stored)
+  }, [])
+
+  useEffect(() => {
+    if (preference !== SYSTEM_THEME) return
+
+    const queries = SYSTEM_QUERIES.map(query => window.matchMedia(query))
+    const update = () => applyThemePreference(SYSTEM_THEME, THEMES)
+    queries.forEach(query => query.addEventListener('change', update))
+    return () => queries.forEach(query => query.removeEventListener('change', update))
+  }, [preference])
+
+  const setTheme = useCallback((next) => {
+    setPreference(next)
+    writeStorage(STORAGE_KEY, next)
+    applyThemePreference(next, THEMES)
+  }, [])
+
+  const value = useMemo(() => ({ preference, setTheme }), [preference, setTheme])
+  return createElement(ThemeContext.Provider, { value }, children)
+}
+
+// { preference, setTheme }
+export const useTheme = () => useContext(ThemeContext)
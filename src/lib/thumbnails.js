@@ -0,0 +1,16 @@
+// Project thumbnails are images in src/content/projects (a project's `thumbnail`), which
+// plugins/thumbnails resizes to each width below as AVIF and WebP. These are where the files
+// end up; which widths a thumbnail has, its size and its blur placeholder come from
+// `virtual:thumbnails`.
+
+export const THUMBNAIL_WIDTHS = [400, 800, 1200]
+export const THUMBNAIL_FORMATS = ['avif', 'webp']
+
+// How wide a project card is in the 1/2/3 column grid, for the browser to pick a width
+export const THUMBNAIL_SIZES = '(min-width: 1280px) 400px, (min-width: 1024px) 50vw, 100vw'
+
+// "/thumbnails/cool-air-repairs-800.avif"
+export const thumbnailPath = (project, width, format) => `/thumbnails/${project.slug}-${width}.${format}`
+
+export const thumbnailSrcSet = (project, widths, format) =>
+  widths.map(width => `${thumbnailPath(project, width, format)} ${width}w`).join(', ')
@@ -0,0 +1,41 @@
+import { escapeText, fold } from './ics.js'
+
+// The site owner's contact card (vCard 4.0, RFC 6350) built from src/content/resume.json,
+// and where it's published. plugins/business-card emits these files on build.
+
+export const businessCardPath = {
+  vcard: '/contact.vcf',
+  vcardQr: '/card/contact-qr.svg',
+  siteQr: '/card/site-qr.svg'
+}
+
+// N is family name;given names. Profiles only have a full name, so its last word is taken
+// as the family name, which address books mostly use for sorting.
+const structuredName = (name) => {
+  const words = name.trim().split(/\s+/)
+  const family = words.length > 1 ? words.pop() : ''
+  return [family, words.join(' '), '', '', ''].map(escapeText).join(';')
+}
+
+// Social profiles are written twice: as SOCIALPROFILE (RFC 9554), which newer address books
+// label by service, and as plain URLs for everything else.
+const social = (service, url) => [
+  `SOCIALPROFILE;SERVICE-TYPE=${service}:${url}`,
+  `URL;TYPE=work:${url}`
+]
+
+// The .vcf text: name, title, email, phone, the portfolio, GitHub and LinkedIn
+export const buildVCard = ({ profile, site }) => [
+  'BEGIN:VCARD',
+  'VERSION:4.0',
+  'KIND:individual',
+  `FN:${escapeText(profile.name)}`,
+  `N:${structuredName(profile.name)}`,
+  `TITLE:${escapeText(profile.title)}`,
+  `EMAIL;TYPE=work:${profile.email}`,
+  `TEL;VALUE=uri;TYPE="cell,voice":tel:${profile.phone}`,
+  `URL;TYPE=work:${site.url}`,
+  ...social('GitHub', profile.github),
+  ...social('LinkedIn', profile.linkedin),
+  'END:VCARD'
+].map(fold).join('\r\n') + '\r\n'
@@ -1,11 +1,34 @@
+// Theme colours come from CSS variables (src/index.css), so one class works in every theme
+const token = (name) => `rgb(var(--color-${name}) / <alpha-value>)`
+
 /** @type {import('tailwindcss').Config} */
 export default {
+  // Set on <html> for themes with a dark colour scheme (src/lib/theme.js)
+  darkMode: 'class',
   content: [
     "./index.html",
     "./src/**/*.{js,ts,jsx,tsx}",
+    // Skill gradients (`from-... to-...`) are written in resume.json
+    "./src/content/**/*.json",
   ],
   theme: {
     extend: {
+      colors: {
+        page: token('page'),
+        surface: token('surface'),
+        panel: token('panel'),
+        sunken: token('sunken'),
+        raised: { DEFAULT: token('raised'), hover: token('raised-hover') },
+        field: token('field'),
+        fg: token('fg'),
+        body: token('body'),
+        muted: token('muted'),
+        faint: token('faint'),
+        line: { DEFAULT: token('line'), strong: token('line-strong') },
+        tag: { DEFAULT: token('tag'), hover: token('tag-hover'), fg: token('tag-fg') },
+        accent: token('accent'),
+        brand: { 1: token('brand-1'), 2: token('brand-2'), 3: token('brand-3') },
+      },
       animation: {
         'float': 'float 3s ease-in-out infinite',
       },
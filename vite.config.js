@@ -1,13 +1,23 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import content from './plugins/content/index.js'
+import feeds from './plugins/feeds/index.js'
+import sitemap from './plugins/sitemap/index.js'
+import ogImage from './plugins/og-image/index.js'
+import theme from './plugins/theme/index.js'
+import contact from './plugins/contact/index.js'
+import businessCard from './plugins/business-card/index.js'
+import resume from './plugins/resume/index.js'
+import thumbnails from './plugins/thumbnails/index.js'
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
+// `isSsrBuild` is the server bundle used by scripts/prerender.js; it runs in Node and isn't shipped.
+export default defineConfig(({ isSsrBuild }) => ({
+  plugins: [react(), content(), feeds(), sitemap(), ogImage(), theme(), contact(), businessCard(), resume(), thumbnails()],
   build: {
     // Enable tree shaking and code splitting
     rollupOptions: {
-      output: {
+      output: isSsrBuild ? {} : {
         manualChunks: {
           // Vendor chunks for better caching
           'vendor-react': ['react', 'react-dom'],
@@ -16,7 +26,13 @@ export default defineConfig({
           'components': [
             './src/components/PreviewModal.jsx',
             './src/components/HoverPreview.jsx',
-            './src/components/ProjectFilters.jsx'
+            './src/components/ProjectFilters.jsx',
+            './src/components/ProjectDetail.jsx',
+            './src/components/CommandPalette.jsx',
+            './src/components/Terminal.jsx',
+            './src/components/BlogIndex.jsx',
+            './src/components/BlogPost.jsx',
+            './src/components/BusinessCard.jsx'
           ]
         }
       }
@@ -26,7 +42,7 @@ export default defineConfig({
     // Enable source maps for debugging
     sourcemap: false,
     // Minimize bundle size
-    minify: 'terser',
+    minify: isSsrBuild ? false : 'terser',
     terserOptions: {
       compress: {
         drop_console: true, // Remove console.log in production
@@ -47,4 +63,4 @@ export default defineConfig({
       '@components': '/src/components'
     }
   }
-})
+}))